@@ -1,22 +1,115 @@
 // backend/middleware/authMiddleware.js
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+const { ACCESS_COOKIE } = require('../utils/authCookies');
+const { hasValidCsrfToken, sendCsrfError } = require('./csrf');
+
+/**
+ * Allow personal API tokens on a router's routes
+ * Must run before protect. Tokens need `<resource>:read` for GET/HEAD and
+ * `<resource>:write` for everything else. Routes without this only accept
+ * session JWTs, so a leaked API token can't manage the account.
+ * @param {string} resource - Scope prefix, e.g. 'tasks'
+ * @returns {Function} - Express middleware
+ */
+const allowApiTokens = (resource) => (req, res, next) => {
+  req.apiTokenResource = resource;
+  next();
+};
+
+/**
+ * Authenticate a request made with a personal API token
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ * @param {string} token - Raw API token
+ */
+const authenticateApiToken = async (req, res, next, token) => {
+  if (!req.apiTokenResource) {
+    return res.status(403).json({
+      success: false,
+      code: 'API_TOKEN_NOT_ALLOWED',
+      message: 'API tokens cannot be used for this endpoint'
+    });
+  }
+
+  const apiToken = await ApiToken.findActive(token);
+
+  if (!apiToken) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired API token'
+    });
+  }
+
+  const action = ['GET', 'HEAD'].includes(req.method) ? 'read' : 'write';
+  const scope = `${req.apiTokenResource}:${action}`;
+
+  if (!apiToken.hasScope(scope)) {
+    return res.status(403).json({
+      success: false,
+      code: 'INSUFFICIENT_SCOPE',
+      message: `This API token is missing the ${scope} scope`
+    });
+  }
+
+  req.user = await User.findById(apiToken.user).select('-password');
+
+  if (!req.user || req.user.isDisabled()) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired API token'
+    });
+  }
+
+  // A forced password reset suspends the account's tokens until it's done
+  if (req.user.passwordResetRequired) {
+    return res.status(403).json({
+      success: false,
+      code: 'PASSWORD_RESET_REQUIRED',
+      message: 'The account must reset its password before its API tokens can be used'
+    });
+  }
+
+  await apiToken.touch(req);
+  req.apiToken = apiToken;
+
+  next();
+};
 
 /**
  * Protect routes - verify JWT token
- * Middleware to authenticate users using JWT
+ * Middleware to authenticate users using JWT (Bearer header or, in cookie
+ * auth mode, the HttpOnly session cookie) and their server-side session,
+ * or a personal API token where allowApiTokens permits it
  */
 const protect = async (req, res, next) => {
   let token;
 
   try {
-    // Check if authorization header exists and starts with 'Bearer'
-    if (
+    const hasBearer = !!(
       req.headers.authorization &&
       req.headers.authorization.startsWith('Bearer')
-    ) {
-      // Extract token from header
-      token = req.headers.authorization.split(' ')[1];
+    );
+
+    // Check for a Bearer header, or the session cookie in cookie auth mode
+    if (hasBearer || req.cookies?.[ACCESS_COOKIE]) {
+      // Extract token (a header wins over the cookie)
+      token = hasBearer ? req.headers.authorization.split(' ')[1] : req.cookies[ACCESS_COOKIE];
+
+      // Browsers attach cookies to cross-site requests, so cookie-authenticated
+      // writes must also carry the CSRF token
+      if (!hasBearer && !hasValidCsrfToken(req)) {
+        return sendCsrfError(res);
+      }
+
+      // Personal API tokens are looked up rather than verified as JWTs
+      if (ApiToken.isApiToken(token)) {
+        return await authenticateApiToken(req, res, next, token);
+      }
 
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
@@ -31,6 +124,39 @@ const protect = async (req, res, next) => {
         });
       }
 
+      if (req.user.isDisabled()) {
+        return res.status(403).json({
+          success: false,
+          code: 'ACCOUNT_DISABLED',
+          message: 'This account has been disabled'
+        });
+      }
+
+      // Only session access tokens are accepted (not e.g. 2FA challenges)
+      if (!decoded.sid) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid token'
+        });
+      }
+
+      // Reject tokens whose session was signed out
+      const session = await Session.findOne({
+        _id: decoded.sid,
+        user: decoded.id,
+        revokedAt: null
+      });
+
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked'
+        });
+      }
+
+      await session.touch(req);
+      req.authSession = session;
+
       next();
     } else {
       return res.status(401).json({
@@ -64,14 +190,119 @@ const protect = async (req, res, next) => {
 };
 
 /**
- * Generate JWT token
+ * Restrict a route to certain roles
+ * Must run after protect
+ * @param {...string} roles - Roles allowed through (e.g. 'admin')
+ * @returns {Function} - Express middleware
+ */
+const authorize = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to access this resource'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Restrict accounts that haven't verified their email
+ * Behaviour is set by EMAIL_VERIFICATION_POLICY:
+ *   none      - no restriction
+ *   read-only - allow GET/HEAD only (default)
+ *   block     - reject every request
+ * Must run after protect
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  const policy = process.env.EMAIL_VERIFICATION_POLICY || 'read-only';
+
+  if (req.user.emailVerified || policy === 'none') {
+    return next();
+  }
+
+  if (policy === 'read-only' && ['GET', 'HEAD'].includes(req.method)) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    code: 'EMAIL_NOT_VERIFIED',
+    message: 'Please verify your email address to continue'
+  });
+};
+
+/**
+ * Generate JWT access token
  * @param {string} id - User ID
+ * @param {string} sessionId - Session ID
  * @returns {string} - JWT token
  */
-const generateToken = (id) => {
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId.toString() }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m' // Short-lived, renewed via refresh token
+  });
+};
+
+/**
+ * Generate an access token plus a rotating refresh token for a session
+ * @param {string} id - User ID
+ * @param {string} sessionId - Session ID (also the refresh token family)
+ * @returns {Promise<Object>} - { token, refreshToken }
+ */
+const generateAuthTokens = async (id, sessionId) => {
+  const { token: refreshToken } = await RefreshToken.issue(id, sessionId);
+
+  return {
+    token: generateToken(id, sessionId),
+    refreshToken
+  };
+};
+
+/**
+ * Generate a short-lived token proving the password step of a 2FA login
+ * @param {string} id - User ID
+ * @returns {string} - Challenge JWT
+ */
+const generateTwoFactorChallenge = (id) => {
   return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d' // Token expires in 30 days
+    expiresIn: '5m',
+    audience: '2fa-challenge'
   });
 };
 
-module.exports = { protect, generateToken };
\ No newline at end of file
+/**
+ * Verify a 2FA challenge token
+ * @param {string} token - Challenge JWT
+ * @returns {string|null} - User ID, or null if invalid/expired
+ */
+const verifyTwoFactorChallenge = (token) => {
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET, { audience: '2fa-challenge' }).id;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Start a new session for a request and issue its tokens
+ * @param {string} id - User ID
+ * @param {Object} req - Express request (for user-agent and IP)
+ * @returns {Promise<Object>} - { token, refreshToken }
+ */
+const startSession = async (id, req) => {
+  const session = await Session.start(id, req);
+  return generateAuthTokens(id, session._id);
+};
+
+module.exports = {
+  protect,
+  allowApiTokens,
+  authorize,
+  requireVerifiedEmail,
+  generateToken,
+  generateAuthTokens,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  startSession
+};
\ No newline at end of file
@@ -0,0 +1,54 @@
+// backend/middleware/csrf.js
+const crypto = require('crypto');
+const { CSRF_COOKIE } = require('../utils/authCookies');
+
+// Methods that can't change state don't need a CSRF token
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Double-submit check: the X-CSRF-Token header must match the CSRF cookie.
+ * A cross-site form or script can make the browser send the cookie, but
+ * can't read it to put the same value in a header.
+ * @param {Object} req - Express request
+ * @returns {boolean} - True if the request may proceed
+ */
+const hasValidCsrfToken = (req) => {
+  if (SAFE_METHODS.includes(req.method)) {
+    return true;
+  }
+
+  const cookieToken = req.cookies?.[CSRF_COOKIE];
+  const headerToken = req.get('X-CSRF-Token');
+
+  if (!cookieToken || !headerToken || cookieToken.length !== headerToken.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(Buffer.from(cookieToken), Buffer.from(headerToken));
+};
+
+/**
+ * Send the 403 response for a missing/mismatched CSRF token
+ * @param {Object} res - Express response
+ */
+const sendCsrfError = (res) => {
+  return res.status(403).json({
+    success: false,
+    code: 'CSRF_INVALID',
+    message: 'Missing or invalid CSRF token'
+  });
+};
+
+/**
+ * Require a valid CSRF token on state-changing requests
+ * For routes that authenticate with cookies outside of protect
+ */
+const csrfProtection = (req, res, next) => {
+  if (!hasValidCsrfToken(req)) {
+    return sendCsrfError(res);
+  }
+
+  next();
+};
+
+module.exports = { hasValidCsrfToken, sendCsrfError, csrfProtection };
@@ -0,0 +1,145 @@
+// backend/middleware/rateLimiter.js
+
+/**
+ * In-memory rate limit store (default)
+ * Counts hits per key in fixed windows. Fine for a single server; for
+ * several instances plug in a shared store (e.g. Redis) with the same
+ * interface: increment(key, windowMs) -> { count, resetAt } and reset(key).
+ */
+class MemoryStore {
+  constructor() {
+    this.hits = new Map();
+
+    // Drop expired windows so the map doesn't grow forever
+    this.cleanup = setInterval(() => {
+      const now = Date.now();
+      for (const [key, entry] of this.hits) {
+        if (entry.resetAt <= now) {
+          this.hits.delete(key);
+        }
+      }
+    }, 60 * 1000);
+    this.cleanup.unref();
+  }
+
+  /**
+   * Record a hit
+   * @param {string} key - Limiter key
+   * @param {number} windowMs - Window length
+   * @returns {Promise<Object>} - { count, resetAt }
+   */
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+
+    entry.count += 1;
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  /**
+   * Clear a key (e.g. after a successful login)
+   * @param {string} key - Limiter key
+   */
+  async reset(key) {
+    this.hits.delete(key);
+  }
+}
+
+let defaultStore = new MemoryStore();
+
+/**
+ * Replace the store used by limiters created without an explicit store
+ * @param {Object} store - Object with increment(key, windowMs) and reset(key)
+ */
+const setRateLimitStore = (store) => {
+  defaultStore = store;
+};
+
+/**
+ * Create a rate limiting middleware
+ * @param {Object} options
+ * @param {string} options.name - Prefix keeping limiters apart in a shared store
+ * @param {number} options.windowMs - Window length in ms
+ * @param {number} options.max - Requests allowed per window
+ * @param {Function} [options.keyGenerator] - (req) => key; defaults to client IP.
+ *   Return null/undefined to skip limiting for a request.
+ * @param {string} [options.message] - Message sent with the 429
+ * @param {Object} [options.store] - Store to use instead of the default
+ * @returns {Function} - Express middleware (with a reset(req) helper attached)
+ */
+const createRateLimiter = ({
+  name,
+  windowMs,
+  max,
+  keyGenerator = (req) => req.ip,
+  message = 'Too many requests, please try again later',
+  store
+}) => {
+  const getStore = () => store || defaultStore;
+  const buildKey = (key) => (key ? `${name}:${key}` : null);
+
+  const limiter = async (req, res, next) => {
+    try {
+      const key = buildKey(keyGenerator(req));
+
+      if (!key) {
+        return next();
+      }
+
+      const { count, resetAt } = await getStore().increment(key, windowMs);
+
+      if (count > max) {
+        const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          message,
+          retryAfter
+        });
+      }
+
+      next();
+    } catch (error) {
+      // Never lock everyone out because the store is down
+      console.error('Rate Limiter Error:', error.message);
+      next();
+    }
+  };
+
+  /**
+   * Clear the counter for a request's key
+   * @param {Object} req - Express request
+   * @param {string} [key] - Key to clear, when the request doesn't carry it
+   *   (e.g. the email of a sign-in finished by a later request)
+   */
+  limiter.reset = async (req, key = keyGenerator(req)) => {
+    const fullKey = buildKey(key);
+    if (fullKey) {
+      await getStore().reset(fullKey);
+    }
+  };
+
+  return limiter;
+};
+
+/**
+ * Limit password re-entry on signed-in endpoints (change password, delete
+ * account, 2FA changes...), so a stolen session can't be used to guess the
+ * password. Shared by all of them and counted per user; must come after protect.
+ */
+const passwordConfirmLimiter = createRateLimiter({
+  name: 'password-confirm',
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  // Profile updates only need the password to change the email
+  keyGenerator: (req) => (req.body.password || req.body.currentPassword ? req.user._id.toString() : null),
+  message: 'Too many password attempts, please try again later'
+});
+
+module.exports = { createRateLimiter, passwordConfirmLimiter, setRateLimitStore, MemoryStore };
@@ -0,0 +1,149 @@
+// backend/models/ApiToken.js
+const mongoose = require('mongoose');
+const { randomToken, hashToken } = require('../utils/crypto');
+
+/**
+ * Prefix on every personal access token, so protect can tell them
+ * apart from JWTs and leaked tokens are easy to spot
+ */
+const TOKEN_PREFIX = 'tmpat_';
+
+/**
+ * Scopes a token can be granted
+ */
+const API_TOKEN_SCOPES = ['tasks:read', 'tasks:write'];
+
+/**
+ * API Token Schema
+ * Personal access tokens for scripts and integrations. Only the hash is
+ * stored; the raw token is shown once when created.
+ */
+const apiTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [50, 'Token name cannot exceed 50 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  lastFour: {
+    type: String, // Lets users tell tokens apart without storing them
+    required: true
+  },
+  scopes: {
+    type: [{ type: String, enum: API_TOKEN_SCOPES }],
+    validate: [(scopes) => scopes.length > 0, 'At least one scope is required']
+  },
+  expiresAt: {
+    type: Date,
+    default: null // null = never expires
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries
+apiTokenSchema.index({ user: 1, createdAt: -1 });
+
+// Only write lastUsedAt this often to avoid a DB write on every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Check whether a bearer value looks like a personal access token
+ * @param {string} value - Raw bearer token
+ * @returns {boolean}
+ */
+apiTokenSchema.statics.isApiToken = function(value) {
+  return typeof value === 'string' && value.startsWith(TOKEN_PREFIX);
+};
+
+/**
+ * Static method to create a token for a user
+ * @param {string} userId - User ID
+ * @param {Object} options - { name, scopes, expiresInDays }
+ * @returns {Promise<Object>} - { token, doc } where token is the raw value
+ */
+apiTokenSchema.statics.issue = async function(userId, { name, scopes, expiresInDays }) {
+  const token = `${TOKEN_PREFIX}${randomToken(32)}`;
+
+  const doc = await this.create({
+    user: userId,
+    name,
+    tokenHash: hashToken(token),
+    lastFour: token.slice(-4),
+    scopes: [...new Set(scopes)],
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+  });
+
+  return { token, doc };
+};
+
+/**
+ * Static method to find the live token matching a raw value
+ * @param {string} token - Raw token
+ * @returns {Promise<Object|null>} - Token document, or null if unknown/expired
+ */
+apiTokenSchema.statics.findActive = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+};
+
+/**
+ * Method to check whether the token grants a scope
+ * @param {string} scope - e.g. 'tasks:write'
+ * @returns {boolean}
+ */
+apiTokenSchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+/**
+ * Method to record a use of this token
+ * @param {Object} req - Express request
+ * @returns {Promise} - Resolves when saved (or immediately if throttled)
+ */
+apiTokenSchema.methods.touch = function(req) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < TOUCH_INTERVAL_MS) {
+    return Promise.resolve(this);
+  }
+
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = req.ip;
+  return this.save();
+};
+
+/**
+ * Method to format token output (never includes the hash)
+ * @returns {Object} - Formatted token object
+ */
+apiTokenSchema.methods.toJSON = function() {
+  const apiToken = this.toObject();
+  delete apiToken.tokenHash;
+  delete apiToken.__v;
+  apiToken.expired = !!(this.expiresAt && this.expiresAt <= Date.now());
+  return apiToken;
+};
+
+const ApiToken = mongoose.model('ApiToken', apiTokenSchema);
+
+module.exports = ApiToken;
+module.exports.API_TOKEN_SCOPES = API_TOKEN_SCOPES;
@@ -0,0 +1,87 @@
+// backend/models/Attachment.js
+const mongoose = require('mongoose');
+const { getStorage } = require('../utils/storage');
+
+/**
+ * Attachment Schema
+ * Metadata for a file attached to a task; the bytes live in the storage
+ * driver under `storageKey`
+ */
+const attachmentSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true // Uploader (the task owner)
+  },
+  filename: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255 // Original file name, only used for display and downloads
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true // Bytes
+  },
+  storageKey: {
+    type: String,
+    required: true,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries
+attachmentSchema.index({ task: 1, createdAt: 1 });
+attachmentSchema.index({ user: 1 });
+
+/**
+ * Static method to delete attachments and their stored files
+ * Files that fail to delete are logged and left behind rather than
+ * blocking the delete.
+ * @param {Object} filter - Which attachments, e.g. { task: taskId }
+ * @returns {Promise<number>} - Number of attachments deleted
+ */
+attachmentSchema.statics.removeMany = async function(filter) {
+  const attachments = await this.find(filter).select('+storageKey');
+
+  if (attachments.length === 0) {
+    return 0;
+  }
+
+  const storage = getStorage();
+  const results = await Promise.allSettled(attachments.map((attachment) => storage.remove(attachment.storageKey)));
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      console.error(`Attachment Cleanup Error (${attachments[index].storageKey}):`, result.reason);
+    }
+  });
+
+  const { deletedCount } = await this.deleteMany({ _id: { $in: attachments.map((attachment) => attachment._id) } });
+  return deletedCount;
+};
+
+/**
+ * Method to format attachment output
+ * @returns {Object} - Formatted attachment object
+ */
+attachmentSchema.methods.toJSON = function() {
+  const attachment = this.toObject();
+  delete attachment.__v;
+  delete attachment.storageKey;
+  return attachment;
+};
+
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+
+module.exports = Attachment;
@@ -0,0 +1,63 @@
+// backend/models/Comment.js
+const mongoose = require('mongoose');
+
+/**
+ * Comment Schema
+ * A message in a task's discussion thread
+ */
+const commentSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true // Author
+  },
+  text: {
+    type: String,
+    required: [true, 'Comment text is required'],
+    trim: true,
+    maxlength: [5000, 'Comment cannot exceed 5000 characters']
+  },
+  editedAt: {
+    type: Date,
+    default: null // Set when the author changes the text
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries
+commentSchema.index({ task: 1, _id: -1 });
+commentSchema.index({ user: 1 });
+
+/**
+ * Static method to count comments per task
+ * @param {Array<string>} taskIds - Tasks to count
+ * @returns {Promise<Map>} - taskId string -> comment count
+ */
+commentSchema.statics.countByTask = async function(taskIds) {
+  const rows = await this.aggregate([
+    { $match: { task: { $in: taskIds } } },
+    { $group: { _id: '$task', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(rows.map((row) => [row._id.toString(), row.count]));
+};
+
+/**
+ * Method to format comment output
+ * @returns {Object} - Formatted comment object
+ */
+commentSchema.methods.toJSON = function() {
+  const comment = this.toObject();
+  delete comment.__v;
+  return comment;
+};
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+module.exports = Comment;
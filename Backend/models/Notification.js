@@ -0,0 +1,77 @@
+// backend/models/Notification.js
+const mongoose = require('mongoose');
+
+/**
+ * Notification Schema
+ * In-app alerts for a user. `key` identifies the event that raised the
+ * notification, so delivering the same event twice stores it once.
+ */
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['reminder', 'overdue', 'security'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  message: {
+    type: String,
+    maxlength: 1000
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  key: {
+    type: String // Omitted for notifications that can't repeat
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ key: 1 }, { unique: true, sparse: true });
+
+/**
+ * Static method to store a notification once per key
+ * @param {Object} fields - Notification fields (with `key` for idempotency)
+ * @returns {Promise<Object|null>} - New notification, or null if the key was already stored
+ */
+notificationSchema.statics.createOnce = async function(fields) {
+  try {
+    return await this.create(fields);
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Method to format notification output
+ * @returns {Object} - Formatted notification object
+ */
+notificationSchema.methods.toJSON = function() {
+  const notification = this.toObject();
+  delete notification.__v;
+  return notification;
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
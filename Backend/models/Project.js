@@ -0,0 +1,63 @@
+// backend/models/Project.js
+const mongoose = require('mongoose');
+
+/**
+ * Project Schema
+ * Lists that group a user's tasks; tasks without a project are in the Inbox
+ */
+const projectSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Project name is required'],
+    trim: true,
+    maxlength: [50, 'Project name cannot exceed 50 characters']
+  },
+  color: {
+    type: String,
+    match: [/^#[0-9a-f]{6}$/i, 'Color must be a hex value like #6366f1'],
+    lowercase: true,
+    default: '#6366f1'
+  },
+  archived: {
+    type: Boolean,
+    default: false // Archived projects are hidden from the sidebar and can't take new tasks
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries
+projectSchema.index({ user: 1, sortOrder: 1 });
+
+/**
+ * Static method to get the sort order for a new project (after the rest)
+ * @param {string} userId - Owner
+ * @returns {Promise<number>}
+ */
+projectSchema.statics.nextSortOrder = async function(userId) {
+  const last = await this.findOne({ user: userId }).sort({ sortOrder: -1 }).select('sortOrder');
+  return last ? last.sortOrder + 1 : 0;
+};
+
+/**
+ * Method to format project output
+ * @returns {Object} - Formatted project object
+ */
+projectSchema.methods.toJSON = function() {
+  const project = this.toObject();
+  delete project.__v;
+  return project;
+};
+
+const Project = mongoose.model('Project', projectSchema);
+
+module.exports = Project;
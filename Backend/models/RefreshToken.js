@@ -0,0 +1,90 @@
+// backend/models/RefreshToken.js
+const mongoose = require('mongoose');
+const { randomToken, hashToken } = require('../utils/crypto');
+
+/**
+ * Refresh Token Schema
+ * Stores hashed refresh tokens. Every token issued from the same login
+ * shares a `family` (the Session id), so a replayed token can revoke the
+ * whole chain.
+ */
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  replacedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Let MongoDB drop expired tokens
+
+/**
+ * Hash a raw refresh token for storage/lookup
+ * @param {string} token - Raw refresh token
+ * @returns {string} - SHA-256 hex digest
+ */
+refreshTokenSchema.statics.hashToken = function(token) {
+  return hashToken(token);
+};
+
+/**
+ * Static method to issue a new refresh token
+ * @param {string} userId - User ID
+ * @param {string} family - Token family (Session id)
+ * @returns {Promise<Object>} - { token, doc } where token is the raw value
+ */
+refreshTokenSchema.statics.issue = async function(userId, family) {
+  const token = randomToken(40);
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30;
+
+  const doc = await this.create({
+    user: userId,
+    tokenHash: this.hashToken(token),
+    family: family.toString(),
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+  });
+
+  return { token, doc };
+};
+
+/**
+ * Static method to revoke every token in a family
+ * @param {string} family - Token family
+ * @returns {Promise<Object>} - Update result
+ */
+refreshTokenSchema.statics.revokeFamily = function(family) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
@@ -0,0 +1,118 @@
+// backend/models/SavedView.js
+const mongoose = require('mongoose');
+const { TASK_SORTS } = require('../utils/taskQuery');
+
+// Ways the task list can be split into sections
+const GROUP_BY = ['none', 'status', 'priority', 'project', 'dueDate'];
+
+/**
+ * Saved filters, in the same shape as the GET /api/tasks filters.
+ * Due dates are kept as typed so relative days (today, +7d) stay relative.
+ */
+const filtersSchema = new mongoose.Schema({
+  q: {
+    type: String,
+    maxlength: [500, 'Search cannot exceed 500 characters'],
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['', 'pending', 'in-progress', 'completed'],
+    default: ''
+  },
+  priority: {
+    type: String,
+    enum: ['', 'low', 'medium', 'high'],
+    default: ''
+  },
+  project: {
+    type: String,
+    default: '' // A project ID, "inbox", or empty for every project
+  },
+  tags: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tag'
+  }],
+  tagMode: {
+    type: String,
+    enum: ['any', 'all'],
+    default: 'any'
+  },
+  dueAfter: {
+    type: String,
+    default: ''
+  },
+  dueBefore: {
+    type: String,
+    default: ''
+  },
+  overdue: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+/**
+ * SavedView Schema
+ * A named task list filter ("smart list"), evaluated when it's shown
+ */
+const savedViewSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'View name is required'],
+    trim: true,
+    maxlength: [50, 'View name cannot exceed 50 characters']
+  },
+  filters: {
+    type: filtersSchema,
+    default: () => ({})
+  },
+  sort: {
+    type: String,
+    enum: Object.keys(TASK_SORTS),
+    default: 'newest'
+  },
+  groupBy: {
+    type: String,
+    enum: GROUP_BY,
+    default: 'none'
+  },
+  pinned: {
+    type: Boolean,
+    default: false // The pinned view is where the dashboard opens; at most one per user
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries
+savedViewSchema.index({ user: 1, createdAt: 1 });
+
+/**
+ * Method to get the filters in the form buildTaskQuery takes
+ * @returns {Object} - Filters with tags as comma-separated IDs
+ */
+savedViewSchema.methods.taskFilters = function() {
+  const { tags, ...filters } = this.filters.toObject();
+  return { ...filters, tags: tags.join(',') };
+};
+
+/**
+ * Method to format view output
+ * @returns {Object} - Formatted view object
+ */
+savedViewSchema.methods.toJSON = function() {
+  const view = this.toObject();
+  delete view.__v;
+  return view;
+};
+
+const SavedView = mongoose.model('SavedView', savedViewSchema);
+
+module.exports = SavedView;
+module.exports.GROUP_BY = GROUP_BY;
@@ -0,0 +1,161 @@
+// backend/models/Session.js
+const mongoose = require('mongoose');
+const RefreshToken = require('./RefreshToken');
+
+/**
+ * Session Schema
+ * One record per login (device). Access tokens carry the session id and
+ * the session's refresh tokens use it as their family.
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Let MongoDB drop stale sessions
+
+// Only write lastSeenAt this often to avoid a DB write on every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Session lifetime - matches the refresh token lifetime
+ * @returns {number} - Milliseconds
+ */
+const sessionLifetimeMs = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30;
+  return days * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * Static method to start a session from an incoming request
+ * @param {string} userId - User ID
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - Session document
+ */
+sessionSchema.statics.start = function(userId, req) {
+  return this.create({
+    user: userId,
+    userAgent: (req.get('user-agent') || '').slice(0, 500),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + sessionLifetimeMs())
+  });
+};
+
+/**
+ * Static method to get active sessions for a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Array of sessions, most recently used first
+ */
+sessionSchema.statics.getActiveByUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+/**
+ * Static method to revoke every session of a user
+ * @param {string} userId - User ID
+ * @param {string} [exceptSessionId] - Session to keep (e.g. the caller's own)
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+sessionSchema.statics.revokeAllForUser = async function(userId, exceptSessionId) {
+  const query = { user: userId, revokedAt: null };
+
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const sessions = await this.find(query).select('_id');
+  const ids = sessions.map((session) => session._id);
+  const now = new Date();
+
+  await this.updateMany({ _id: { $in: ids } }, { revokedAt: now });
+  await RefreshToken.updateMany(
+    { family: { $in: ids.map(String) }, revokedAt: null },
+    { revokedAt: now }
+  );
+
+  return ids.length;
+};
+
+/**
+ * Method to record activity on this session
+ * @param {Object} req - Express request
+ * @returns {Promise} - Resolves when saved (or immediately if throttled)
+ */
+sessionSchema.methods.touch = function(req) {
+  if (Date.now() - this.lastSeenAt.getTime() < TOUCH_INTERVAL_MS) {
+    return Promise.resolve(this);
+  }
+
+  this.lastSeenAt = new Date();
+  this.ip = req.ip;
+  return this.save();
+};
+
+/**
+ * Method to extend the session after its refresh token rotates
+ * @param {Object} req - Express request
+ * @returns {Promise} - Resolves when saved
+ */
+sessionSchema.methods.extend = function(req) {
+  this.expiresAt = new Date(Date.now() + sessionLifetimeMs());
+  this.lastSeenAt = new Date();
+  this.ip = req.ip;
+  return this.save();
+};
+
+/**
+ * Static method to revoke a session and every refresh token issued for it
+ * @param {string} sessionId - Session ID
+ * @returns {Promise} - Resolves when revoked
+ */
+sessionSchema.statics.revokeById = async function(sessionId) {
+  await this.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: new Date() });
+  await RefreshToken.revokeFamily(sessionId.toString());
+};
+
+/**
+ * Method to format session output
+ * @returns {Object} - Formatted session object
+ */
+sessionSchema.methods.toJSON = function() {
+  const session = this.toObject();
+  delete session.__v;
+  return session;
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
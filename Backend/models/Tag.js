@@ -0,0 +1,78 @@
+// backend/models/Tag.js
+const mongoose = require('mongoose');
+
+/**
+ * Case-insensitive comparison for tag names ("Work" and "work" are the same tag)
+ */
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+/**
+ * Tag Schema
+ * User-defined labels; tasks reference tags by ID, so renaming a tag
+ * renames it on every task at once
+ */
+const tagSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Tag name is required'],
+    trim: true,
+    maxlength: [30, 'Tag name cannot exceed 30 characters']
+  },
+  color: {
+    type: String,
+    match: [/^#[0-9a-f]{6}$/i, 'Color must be a hex value like #6366f1'],
+    lowercase: true,
+    default: '#6366f1'
+  }
+}, {
+  timestamps: true
+});
+
+// One tag per name per user, ignoring case
+tagSchema.index({ user: 1, name: 1 }, { unique: true, collation: NAME_COLLATION });
+
+/**
+ * Static method to resolve tag IDs or names to a user's tags
+ * @param {string} userId - Owner
+ * @param {Array<string>} values - Tag IDs and/or names
+ * @returns {Promise<Array<Object>>} - Matching tags (unknown values are left out)
+ */
+tagSchema.statics.resolve = function(userId, values) {
+  // Any value may be a name, even one that looks like an ID
+  const ids = values.filter((value) => /^[0-9a-f]{24}$/i.test(value));
+
+  return this.find({
+    user: userId,
+    $or: [{ _id: { $in: ids } }, { name: { $in: values } }]
+  }).collation(NAME_COLLATION);
+};
+
+/**
+ * Static method to find a user's tag by name, ignoring case
+ * @param {string} userId - Owner
+ * @param {string} name - Tag name
+ * @returns {Promise<Object|null>} - Tag document
+ */
+tagSchema.statics.findByName = function(userId, name) {
+  return this.findOne({ user: userId, name }).collation(NAME_COLLATION);
+};
+
+/**
+ * Method to format tag output
+ * @returns {Object} - Formatted tag object
+ */
+tagSchema.methods.toJSON = function() {
+  const tag = this.toObject();
+  delete tag.__v;
+  return tag;
+};
+
+const Tag = mongoose.model('Tag', tagSchema);
+
+module.exports = Tag;
+module.exports.NAME_COLLATION = NAME_COLLATION;
@@ -1,5 +1,146 @@
 // backend/models/Task.js
 const mongoose = require('mongoose');
+const Comment = require('./Comment');
+const Attachment = require('./Attachment');
+const TaskHistory = require('./TaskHistory');
+const { FREQUENCIES, startOfDay, addDays, nextOccurrence } = require('../utils/recurrence');
+
+/**
+ * Checklist Item Schema
+ * Embedded in a task; array order is display order
+ */
+const checklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Checklist item text is required'],
+    trim: true,
+    maxlength: [200, 'Checklist item cannot exceed 200 characters']
+  },
+  done: {
+    type: Boolean,
+    default: false
+  },
+  doneAt: {
+    type: Date,
+    default: null
+  }
+});
+
+/**
+ * Method to mark a checklist item done or not done
+ * @param {boolean} done - New state
+ */
+checklistItemSchema.methods.setDone = function(done) {
+  this.done = done;
+  this.doneAt = done ? this.doneAt || new Date() : null;
+};
+
+/**
+ * Most checklist items a task can hold
+ */
+const MAX_CHECKLIST_ITEMS = 100;
+
+/**
+ * Most tags a task can carry
+ */
+const MAX_TASK_TAGS = 20;
+
+/**
+ * Most reminders a task can have, and the furthest ahead one can be (minutes)
+ */
+const MAX_REMINDERS = 5;
+const MAX_REMINDER_OFFSET = 4 * 7 * 24 * 60;
+
+/**
+ * Reminder Schema
+ * `offset` is minutes before the due day ends; `remindAt` is worked out from it
+ * on save, and `sentAt` is set when the scheduler claims the reminder
+ */
+const reminderSchema = new mongoose.Schema({
+  offset: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: MAX_REMINDER_OFFSET
+  },
+  remindAt: {
+    type: Date,
+    default: null // null while the task has no due date
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  }
+});
+
+/**
+ * Fields an instance-only edit can change without changing the series
+ */
+const SERIES_FIELDS = ['title', 'description', 'priority', 'project', 'tags'];
+
+/**
+ * Recurrence Rule Schema
+ * "Every N days" is daily with an interval; weekly repeats on `weekdays`
+ * (0 = Sunday); monthly repeats on `monthDay`, clamped to short months
+ */
+const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: FREQUENCIES,
+    required: true
+  },
+  interval: {
+    type: Number,
+    min: 1,
+    max: 365,
+    default: 1
+  },
+  weekdays: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: undefined
+  },
+  monthDay: {
+    type: Number,
+    min: 1,
+    max: 31,
+    default: null
+  },
+  endDate: {
+    type: Date,
+    default: null // Last day an occurrence may fall on
+  },
+  count: {
+    type: Number,
+    min: 1,
+    default: null // Total occurrences, including the first
+  }
+}, { _id: false });
+
+/**
+ * Series Schema
+ * Where a recurring task sits in its series
+ */
+const seriesSchema = new mongoose.Schema({
+  id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true // _id of the first occurrence
+  },
+  occurrence: {
+    type: Number,
+    default: 1
+  },
+  startedOn: Date, // Due date of the first occurrence
+  scheduledFor: Date, // Due date the rule gave this occurrence (dueDate may be moved)
+  next: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null // Set once the next occurrence has been created
+  },
+  seriesValues: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined // Series values of fields edited on this instance only
+  }
+}, { _id: false });
 
 /**
  * Task Schema
@@ -31,6 +172,53 @@ const taskSchema = new mongoose.Schema({
   dueDate: {
     type: Date
   },
+  checklist: {
+    type: [checklistItemSchema],
+    validate: [
+      (items) => items.length <= MAX_CHECKLIST_ITEMS,
+      `A task can have at most ${MAX_CHECKLIST_ITEMS} checklist items`
+    ]
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null // Set on subtasks; only one level of nesting
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null // null = Inbox
+  },
+  tags: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Tag' }],
+    validate: [
+      (tags) => tags.length <= MAX_TASK_TAGS,
+      `A task can have at most ${MAX_TASK_TAGS} tags`
+    ]
+  },
+  reminders: {
+    type: [reminderSchema],
+    validate: [
+      (reminders) => reminders.length <= MAX_REMINDERS,
+      `A task can have at most ${MAX_REMINDERS} reminders`
+    ]
+  },
+  overdueNotifiedAt: {
+    type: Date,
+    default: null // Set once the owner has been told the task is overdue
+  },
+  recurrence: {
+    type: recurrenceSchema,
+    default: null
+  },
+  series: {
+    type: seriesSchema,
+    default: null
+  },
+  deletedAt: {
+    type: Date,
+    default: null // Set while the task is in the trash
+  },
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -51,8 +239,35 @@ const taskSchema = new mongoose.Schema({
 // Indexes for faster queries
 taskSchema.index({ user: 1, createdAt: -1 });
 taskSchema.index({ status: 1 });
+taskSchema.index({ user: 1, parent: 1 });
+taskSchema.index({ user: 1, tags: 1 });
+taskSchema.index({ user: 1, project: 1 });
+taskSchema.index({ 'series.id': 1 });
+taskSchema.index({ 'reminders.remindAt': 1 });
+taskSchema.index({ dueDate: 1 });
+taskSchema.index({ user: 1, deletedAt: 1 });
+taskSchema.index({ deletedAt: 1 });
 taskSchema.index({ title: 'text', description: 'text' }); // Text search index
 
+/**
+ * Query middleware to hide trashed tasks
+ * Reads skip tasks in the trash unless the filter mentions deletedAt. Updates
+ * are left alone, so e.g. deleting a tag also removes it from trashed tasks.
+ */
+taskSchema.pre(['find', 'findOne', 'countDocuments', 'distinct'], function() {
+  if (!('deletedAt' in this.getFilter())) {
+    this.where({ deletedAt: null });
+  }
+});
+
+taskSchema.pre('aggregate', function() {
+  const [first] = this.pipeline();
+
+  if (!first || !first.$match || !('deletedAt' in first.$match)) {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  }
+});
+
 /**
  * Pre-save middleware to update updatedAt timestamp
  */
@@ -61,6 +276,32 @@ taskSchema.pre('save', function(next) {
   next();
 });
 
+/**
+ * Pre-save middleware to schedule reminders
+ * Due dates are whole days, so offsets count back from the end of the due
+ * day, when the task becomes overdue. A new due date re-arms reminders (and
+ * the overdue notice) already sent.
+ */
+taskSchema.pre('save', function(next) {
+  const dueDateChanged = !this.isNew && this.isModified('dueDate');
+
+  if (dueDateChanged) {
+    this.overdueNotifiedAt = null;
+  }
+
+  if (this.isModified('dueDate') || this.isModified('reminders')) {
+    const dueDayEnd = this.dueDate ? addDays(startOfDay(this.dueDate), 1) : null;
+    for (const reminder of this.reminders) {
+      reminder.remindAt = dueDayEnd ? new Date(dueDayEnd.getTime() - reminder.offset * 60 * 1000) : null;
+      if (dueDateChanged) {
+        reminder.sentAt = null;
+      }
+    }
+  }
+
+  next();
+});
+
 /**
  * Static method to get tasks with filtering
  * @param {string} userId - User ID
@@ -82,6 +323,269 @@ taskSchema.statics.getTasksByUser = function(userId, filters = {}) {
   return this.find(query).sort({ createdAt: -1 });
 };
 
+/**
+ * Static method to move tasks, with their subtasks, to a project
+ * Each task whose project changes gets a history entry.
+ * @param {Object} req - Express request (only the user's tasks are touched)
+ * @param {Array<string>} taskIds - Top-level tasks to move
+ * @param {string|null} projectId - Target project, or null for the Inbox
+ * @returns {Promise<number>} - Number of tasks moved
+ */
+taskSchema.statics.moveToProject = async function(req, taskIds, projectId) {
+  const tasks = await this.find({
+    user: req.user._id,
+    project: { $ne: projectId },
+    $or: [{ _id: { $in: taskIds } }, { parent: { $in: taskIds } }]
+  });
+
+  if (tasks.length === 0) {
+    return 0;
+  }
+
+  await this.updateMany({ _id: { $in: tasks.map((task) => task._id) } }, { project: projectId });
+
+  const project = projectId ? projectId.toString() : null;
+  for (const task of tasks) {
+    const before = task.auditSnapshot();
+    await TaskHistory.record(req, task, 'updated', before, { ...before, project });
+  }
+
+  return tasks.length;
+};
+
+/**
+ * Static method to get how long trashed tasks are kept
+ * @returns {number} - Days (TRASH_RETENTION_DAYS, default 30)
+ */
+taskSchema.statics.trashRetentionDays = function() {
+  return parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+};
+
+/**
+ * Static method to delete tasks for good, with their comments, attachments
+ * (including the stored files) and history
+ * Subtasks left behind become top-level tasks.
+ * @param {Object} filter - Tasks to delete (mention deletedAt to include trashed tasks)
+ * @returns {Promise<number>} - Number of tasks deleted
+ */
+taskSchema.statics.purge = async function(filter) {
+  const ids = (await this.find(filter).select('_id')).map((task) => task._id);
+
+  if (ids.length === 0) {
+    return 0;
+  }
+
+  await this.updateMany({ parent: { $in: ids } }, { parent: null });
+  await Comment.deleteMany({ task: { $in: ids } });
+  await Attachment.removeMany({ task: { $in: ids } });
+  await TaskHistory.deleteMany({ task: { $in: ids } });
+  const { deletedCount } = await this.deleteMany({ _id: { $in: ids } });
+
+  return deletedCount;
+};
+
+/**
+ * Static method to add progress to tasks
+ * Progress counts checklist items plus subtasks (done when completed).
+ * @param {Array<Object>} tasks - Task documents
+ * @returns {Promise<Array<Object>>} - Plain task objects with subtaskCount,
+ *   commentCount and progress: { done, total, percent } (percent is null
+ *   with nothing to count)
+ */
+taskSchema.statics.withProgress = async function(tasks) {
+  const children = await this.aggregate([
+    { $match: { parent: { $in: tasks.map((task) => task._id) } } },
+    {
+      $group: {
+        _id: '$parent',
+        total: { $sum: 1 },
+        completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } }
+      }
+    }
+  ]);
+  const childCounts = new Map(children.map((row) => [row._id.toString(), row]));
+  const commentCounts = await Comment.countByTask(tasks.map((task) => task._id));
+
+  return tasks.map((task) => {
+    const counts = childCounts.get(task._id.toString()) || { total: 0, completed: 0 };
+    const total = task.checklist.length + counts.total;
+    const done = task.checklist.filter((item) => item.done).length + counts.completed;
+
+    return {
+      ...task.toJSON(),
+      subtaskCount: counts.total,
+      commentCount: commentCounts.get(task._id.toString()) || 0,
+      progress: {
+        done,
+        total,
+        percent: total ? Math.round((done / total) * 100) : null
+      }
+    };
+  });
+};
+
+/**
+ * Method to set or clear a task's recurrence rule
+ * The first rule starts a series (tasks without a due date start today).
+ * Weekly rules default to the due date's weekday, monthly rules to its day.
+ * @param {Object|null} rule - { frequency, interval, weekdays, monthDay, endDate, count }
+ */
+taskSchema.methods.setRecurrence = function(rule) {
+  if (!rule) {
+    this.recurrence = null;
+    this.series = null;
+    return;
+  }
+
+  if (!this.series) {
+    const start = startOfDay(this.dueDate || Date.now());
+    this.dueDate = this.dueDate || start;
+    this.series = {
+      id: this._id,
+      occurrence: 1,
+      startedOn: start,
+      scheduledFor: start
+    };
+  }
+
+  const from = this.series.scheduledFor;
+
+  const weekdays = rule.weekdays?.length ? rule.weekdays : [from.getUTCDay()];
+
+  this.recurrence = {
+    ...rule,
+    weekdays: rule.frequency === 'weekly' ? weekdays : undefined,
+    monthDay: rule.frequency === 'monthly' ? rule.monthDay || from.getUTCDate() : null
+  };
+};
+
+/**
+ * Method to replace a task's reminders
+ * Reminders whose offset is kept stay as they are (so a sent one isn't re-sent).
+ * @param {Array<number>} offsets - Minutes before the due date
+ */
+taskSchema.methods.setReminders = function(offsets) {
+  const existing = new Map(this.reminders.map((reminder) => [reminder.offset, reminder]));
+  const unique = [...new Set(offsets.map(Number))].sort((a, b) => b - a);
+
+  this.reminders = unique.map((offset) => existing.get(offset) || { offset });
+};
+
+/**
+ * Method to record which series fields an edit changed
+ * An instance-only edit remembers the series value of each changed field so
+ * later occurrences keep it; a series-wide edit forgets any such values.
+ * @param {Object} before - task.toObject() from before the edit
+ * @param {boolean} seriesWide - Whether the edit applies to the whole series
+ * @returns {Array<string>} - Changed fields (empty for non-recurring tasks)
+ */
+taskSchema.methods.trackSeriesEdits = function(before, seriesWide) {
+  if (!this.series) {
+    return [];
+  }
+
+  const changed = SERIES_FIELDS.filter((field) => String(before[field]) !== String(this.get(field)));
+  const seriesValues = { ...this.series.seriesValues };
+
+  for (const field of changed) {
+    if (seriesWide) {
+      delete seriesValues[field];
+    } else if (!(field in seriesValues)) {
+      seriesValues[field] = before[field];
+    }
+  }
+
+  this.series.seriesValues = Object.keys(seriesValues).length > 0 ? seriesValues : undefined;
+  return changed;
+};
+
+/**
+ * Method to create the next occurrence of a recurring task
+ * Safe to call more than once: only the first call creates a task.
+ * @returns {Promise<Object|null>} - New task, or null if not recurring,
+ *   already created or the series has ended
+ */
+taskSchema.methods.spawnNextOccurrence = async function() {
+  if (!this.recurrence || !this.series || this.series.next) {
+    return null;
+  }
+
+  const dueDate = nextOccurrence(this.recurrence, this.series);
+  if (!dueDate) {
+    return null;
+  }
+
+  // Claim the slot first so concurrent requests can't both create one
+  const nextId = new mongoose.Types.ObjectId();
+  const { modifiedCount } = await this.constructor.updateOne(
+    { _id: this._id, 'series.next': null },
+    { 'series.next': nextId }
+  );
+
+  if (modifiedCount === 0) {
+    return null;
+  }
+
+  this.series.next = nextId;
+
+  const values = {};
+  for (const field of SERIES_FIELDS) {
+    values[field] = this.get(field);
+  }
+  Object.assign(values, this.series.seriesValues);
+
+  return this.constructor.create({
+    _id: nextId,
+    ...values,
+    status: 'pending',
+    dueDate,
+    checklist: this.checklist.map((item) => ({ text: item.text })),
+    reminders: this.reminders.map((reminder) => ({ offset: reminder.offset })),
+    parent: this.parent,
+    user: this.user,
+    recurrence: this.recurrence.toObject(),
+    series: {
+      id: this.series.id,
+      occurrence: this.series.occurrence + 1,
+      startedOn: this.series.startedOn,
+      scheduledFor: dueDate
+    }
+  });
+};
+
+/**
+ * Method to capture the fields the change history tracks, as plain JSON
+ * @returns {Object} - field -> value (IDs as strings, dates as ISO strings)
+ */
+taskSchema.methods.auditSnapshot = function() {
+  const iso = (date) => (date ? new Date(date).toISOString() : null);
+  const id = (value) => (value ? value.toString() : null);
+  const rule = this.recurrence;
+
+  return {
+    title: this.title,
+    description: this.description || '',
+    status: this.status,
+    priority: this.priority,
+    dueDate: iso(this.dueDate),
+    parent: id(this.parent),
+    project: id(this.project),
+    tags: this.tags.map(id),
+    checklist: this.checklist.map((item) => ({ text: item.text, done: item.done })),
+    reminders: this.reminders.map((reminder) => reminder.offset),
+    recurrence: rule
+      ? {
+          frequency: rule.frequency,
+          interval: rule.interval,
+          weekdays: rule.weekdays || [],
+          monthDay: rule.monthDay,
+          endDate: iso(rule.endDate),
+          count: rule.count
+        }
+      : null
+  };
+};
+
 /**
  * Method to format task output
  * @returns {Object} - Formatted task object
@@ -94,4 +598,9 @@ taskSchema.methods.toJSON = function() {
 
 const Task = mongoose.model('Task', taskSchema);
 
-module.exports = Task;
\ No newline at end of file
+module.exports = Task;
+module.exports.MAX_CHECKLIST_ITEMS = MAX_CHECKLIST_ITEMS;
+module.exports.MAX_TASK_TAGS = MAX_TASK_TAGS;
+module.exports.SERIES_FIELDS = SERIES_FIELDS;
+module.exports.MAX_REMINDERS = MAX_REMINDERS;
+module.exports.MAX_REMINDER_OFFSET = MAX_REMINDER_OFFSET;
\ No newline at end of file
@@ -0,0 +1,121 @@
+// backend/models/TaskHistory.js
+const mongoose = require('mongoose');
+
+/**
+ * Task History Schema
+ * One entry per create, update, delete or restore of a task, with the
+ * fields that changed. Values are stored as plain JSON (IDs as strings,
+ * dates as ISO strings) as produced by Task#auditSnapshot.
+ */
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const taskHistorySchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true // Task owner
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true // Who made the change
+  },
+  apiTokenName: {
+    type: String,
+    default: null // Set when the change came through a personal API token
+  },
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'deleted', 'restored', 'reverted'],
+    required: true
+  },
+  changes: {
+    type: [changeSchema],
+    default: []
+  },
+  revertOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null // History entry whose change a revert undid
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for faster queries
+taskHistorySchema.index({ task: 1, _id: -1 });
+taskHistorySchema.index({ user: 1 });
+
+/**
+ * Static method to list the fields that differ between two snapshots
+ * @param {Object} before - Snapshot before the change ({} for a new task)
+ * @param {Object} after - Snapshot after the change ({} for a deleted task)
+ * @returns {Array<Object>} - [{ field, from, to }]
+ */
+taskHistorySchema.statics.diff = function(before, after) {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  return [...fields]
+    .filter((field) => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+    .map((field) => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+};
+
+/**
+ * Static method to record a change to a task
+ * Updates that change nothing are not recorded.
+ * @param {Object} req - Express request (for the actor)
+ * @param {Object} task - Task document
+ * @param {string} action - created | updated | deleted | restored | reverted
+ * @param {Object} before - Snapshot before the change
+ * @param {Object} after - Snapshot after the change
+ * @param {Object} [extra] - Extra fields, e.g. { revertOf }
+ * @returns {Promise<Object|null>} - History entry, or null if nothing changed
+ */
+taskHistorySchema.statics.record = function(req, task, action, before, after, extra = {}) {
+  // A created or deleted task lists only the fields that had a value
+  const isEmpty = (value) => value === null || value === '' || (Array.isArray(value) && value.length === 0);
+  const changes = this.diff(before, after).filter((change) => {
+    if (action === 'created') return !isEmpty(change.to);
+    if (action === 'deleted') return !isEmpty(change.from);
+    return true;
+  });
+
+  if (changes.length === 0 && ['updated', 'reverted'].includes(action)) {
+    return Promise.resolve(null);
+  }
+
+  return this.create({
+    task: task._id,
+    user: task.user,
+    actor: req.user._id,
+    apiTokenName: req.apiToken ? req.apiToken.name : null,
+    action,
+    changes,
+    ...extra
+  });
+};
+
+/**
+ * Method to format history output
+ * @returns {Object} - Formatted history entry
+ */
+taskHistorySchema.methods.toJSON = function() {
+  const entry = this.toObject();
+  delete entry.__v;
+  return entry;
+};
+
+const TaskHistory = mongoose.model('TaskHistory', taskHistorySchema);
+
+module.exports = TaskHistory;
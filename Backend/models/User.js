@@ -1,6 +1,9 @@
 // backend/models/User.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { randomToken, hashToken } = require('../utils/crypto');
+const { verifyCode } = require('../utils/totp');
+const { getPasswordPolicy } = require('../utils/passwordPolicy');
 
 /**
  * User Schema
@@ -31,6 +34,84 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters'],
     select: false // Don't include password in queries by default
   },
+  passwordHistory: {
+    type: [String], // Recent password hashes, to block reuse
+    select: false
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  disabledAt: {
+    type: Date,
+    default: null // Set by an admin; disabled accounts can't sign in
+  },
+  passwordResetRequired: {
+    type: Boolean,
+    default: false // Set by an admin; sign-in is refused until the password is reset
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  emailVerificationSentAt: {
+    type: Date,
+    select: false
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  lockCount: {
+    type: Number,
+    default: 0 // Lockouts so far - each one doubles the next lock duration
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -41,6 +122,9 @@ const userSchema = new mongoose.Schema({
 
 // Index for faster queries
 userSchema.index({ email: 1 });
+userSchema.index({ role: 1 });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
 
 /**
  * Pre-save middleware to hash password before saving
@@ -55,6 +139,13 @@ userSchema.pre('save', async function(next) {
     // Generate salt and hash password
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Remember the last few hashes so old passwords can't be reused
+    // (skipped if the history wasn't loaded, rather than overwriting it)
+    if (this.isNew || this.isSelected('passwordHistory')) {
+      const { historyCount } = getPasswordPolicy();
+      this.passwordHistory = [...(this.passwordHistory || []), this.password].slice(-historyCount);
+    }
     next();
   } catch (error) {
     next(error);
@@ -70,6 +161,197 @@ userSchema.methods.comparePassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+/**
+ * Method to check whether an admin has disabled the account
+ * @returns {boolean}
+ */
+userSchema.methods.isDisabled = function() {
+  return !!this.disabledAt;
+};
+
+/**
+ * Method to check whether the account is locked out
+ * @returns {boolean} - True while lockUntil is in the future
+ */
+userSchema.methods.isLocked = function() {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+};
+
+/**
+ * Method to record a failed sign-in attempt
+ * After LOGIN_MAX_ATTEMPTS failures the account locks for LOGIN_LOCK_MINUTES,
+ * doubling with every further lockout (capped at 24 hours)
+ * @returns {Promise<Date|null>} - lockUntil if this attempt locked the account
+ */
+userSchema.methods.registerFailedLogin = async function() {
+  const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+  const baseMinutes = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 1;
+
+  // Increment atomically so parallel attempts all count
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+
+  if (updated.failedLoginAttempts < maxAttempts) {
+    this.failedLoginAttempts = updated.failedLoginAttempts;
+    return null;
+  }
+
+  const minutes = Math.min(baseMinutes * 2 ** updated.lockCount, 24 * 60);
+  const lockUntil = new Date(Date.now() + minutes * 60 * 1000);
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { failedLoginAttempts: 0, lockUntil, $inc: { lockCount: 1 } }
+  );
+
+  this.lockUntil = lockUntil;
+  return lockUntil;
+};
+
+/**
+ * Method to clear failed attempts after a successful sign-in
+ * @returns {Promise} - Resolves when saved
+ */
+userSchema.methods.resetLoginAttempts = function() {
+  if (!this.failedLoginAttempts && !this.lockUntil && !this.lockCount) {
+    return Promise.resolve();
+  }
+
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { failedLoginAttempts: 0, lockUntil: null, lockCount: 0 }
+  );
+};
+
+/**
+ * Method to create a single-use password reset token
+ * Only the hash is stored; the raw token is returned to be emailed
+ * @param {number} minutes - Minutes until the token expires
+ * @returns {string} - Raw reset token
+ */
+userSchema.methods.createPasswordResetToken = function(minutes) {
+  const token = randomToken();
+
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + minutes * 60 * 1000);
+
+  return token;
+};
+
+/**
+ * Method to create an email verification token
+ * Only the hash is stored; the raw token is returned to be emailed
+ * @param {number} hours - Hours until the token expires
+ * @returns {string} - Raw verification token
+ */
+userSchema.methods.createEmailVerificationToken = function(hours) {
+  const token = randomToken();
+
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + hours * 60 * 60 * 1000);
+  this.emailVerificationSentAt = new Date();
+
+  return token;
+};
+
+/**
+ * Method to check a TOTP code against the secret in twoFactorSecret
+ * A code is rejected if its time step was already used (replay). The step
+ * is claimed in the database in one step, so two requests racing with the
+ * same code can't both get in.
+ * @param {string} code - 6-digit code from the authenticator app
+ * @returns {Promise<boolean>} - True if valid (the step is already saved)
+ */
+userSchema.methods.verifyTwoFactorCode = async function(code) {
+  if (!this.twoFactorSecret) {
+    return false;
+  }
+
+  const step = verifyCode(this.twoFactorSecret, code);
+
+  if (step === null) {
+    return false;
+  }
+
+  const { modifiedCount } = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      $or: [{ twoFactorLastStep: { $lt: step } }, { twoFactorLastStep: null }]
+    },
+    { twoFactorLastStep: step }
+  );
+
+  if (modifiedCount !== 1) {
+    return false;
+  }
+
+  // Keep the loaded copy in step without a later save() writing it back
+  this.twoFactorLastStep = step;
+  this.unmarkModified('twoFactorLastStep');
+  return true;
+};
+
+/**
+ * Method to generate fresh one-time recovery codes
+ * Replaces any existing codes; only hashes are stored
+ * @param {number} [count=10] - Number of codes
+ * @returns {Array<string>} - Raw codes to show the user once
+ */
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = randomToken(5);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactorRecoveryCodes = codes.map((code) => hashToken(code));
+  return codes;
+};
+
+/**
+ * Method to consume a recovery code
+ * The code is removed in the database in one step, so two requests racing
+ * with the same code can't both get in.
+ * @param {string} code - Recovery code entered by the user
+ * @returns {Promise<boolean>} - True if the code was valid (already saved)
+ */
+userSchema.methods.useRecoveryCode = async function(code) {
+  const hash = hashToken(String(code || '').trim().toLowerCase());
+
+  const { modifiedCount } = await this.constructor.updateOne(
+    { _id: this._id, twoFactorRecoveryCodes: hash },
+    { $pull: { twoFactorRecoveryCodes: hash } }
+  );
+
+  if (modifiedCount !== 1) {
+    return false;
+  }
+
+  // Keep the loaded copy in step without a later save() writing it back
+  this.twoFactorRecoveryCodes = (this.twoFactorRecoveryCodes || []).filter((stored) => stored !== hash);
+  this.unmarkModified('twoFactorRecoveryCodes');
+  return true;
+};
+
+/**
+ * Method to get the profile fields returned by the auth API
+ * @returns {Object} - Public user profile
+ */
+userSchema.methods.getPublicProfile = function() {
+  return {
+    _id: this._id,
+    name: this.name,
+    email: this.email,
+    role: this.role,
+    emailVerified: this.emailVerified,
+    pendingEmail: this.pendingEmail || null,
+    twoFactorEnabled: this.twoFactorEnabled,
+    createdAt: this.createdAt
+  };
+};
+
 /**
  * Method to get user object without sensitive information
  * @returns {Object} - User object without password
@@ -77,6 +359,19 @@ userSchema.methods.comparePassword = async function(enteredPassword) {
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.passwordHistory;
+  delete user.failedLoginAttempts;
+  delete user.lockUntil;
+  delete user.lockCount;
+  delete user.passwordResetToken;
+  delete user.passwordResetExpires;
+  delete user.emailVerificationToken;
+  delete user.emailVerificationExpires;
+  delete user.emailVerificationSentAt;
+  delete user.twoFactorSecret;
+  delete user.twoFactorPendingSecret;
+  delete user.twoFactorLastStep;
+  delete user.twoFactorRecoveryCodes;
   delete user.__v;
   return user;
 };
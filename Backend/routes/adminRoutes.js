@@ -0,0 +1,359 @@
+// backend/routes/adminRoutes.js
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Session = require('../models/Session');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { sendForcedPasswordResetEmail } = require('../utils/emails');
+
+const router = express.Router();
+
+// All routes are admin-only
+router.use(protect, authorize('admin'));
+
+/**
+ * Escape user input for use inside a RegExp
+ * @param {string} value - Raw search text
+ * @returns {string}
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Count tasks per status for a set of users
+ * @param {Array<ObjectId>} userIds - Users to count for
+ * @returns {Promise<Map>} - userId string -> { total, pending, in-progress, completed }
+ */
+const getTaskCounts = async (userIds) => {
+  const rows = await Task.aggregate([
+    { $match: { user: { $in: userIds } } },
+    { $group: { _id: { user: '$user', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+
+  const counts = new Map();
+  for (const id of userIds) {
+    counts.set(id.toString(), { total: 0, pending: 0, 'in-progress': 0, completed: 0 });
+  }
+
+  for (const row of rows) {
+    const entry = counts.get(row._id.user.toString());
+    entry[row._id.status] = row.count;
+    entry.total += row.count;
+  }
+
+  return counts;
+};
+
+/**
+ * Find the user named in the route, or null for unknown/invalid IDs
+ * @param {string} id - User ID from the URL
+ * @returns {Promise<Object|null>} - User document
+ */
+const findUser = (id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return Promise.resolve(null);
+  }
+  return User.findById(id);
+};
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    List and search users with their task counts
+ * @access  Admin
+ */
+router.get(
+  '/users',
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('role').optional().isIn(['user', 'admin']).withMessage('Invalid role'),
+    query('status').optional().isIn(['active', 'disabled']).withMessage('Invalid status')
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { search, role, status } = req.query;
+      const page = parseInt(req.query.page, 10) || 1;
+      const limit = parseInt(req.query.limit, 10) || 20;
+
+      // Build query
+      const filter = {};
+
+      if (search) {
+        const pattern = new RegExp(escapeRegex(String(search).trim()), 'i');
+        filter.$or = [{ name: pattern }, { email: pattern }];
+      }
+
+      if (role) {
+        filter.role = role;
+      }
+
+      if (status === 'disabled') {
+        filter.disabledAt = { $ne: null };
+      } else if (status === 'active') {
+        filter.disabledAt = null;
+      }
+
+      const [users, total] = await Promise.all([
+        User.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+        User.countDocuments(filter)
+      ]);
+
+      const taskCounts = await getTaskCounts(users.map((user) => user._id));
+
+      res.status(200).json({
+        success: true,
+        count: users.length,
+        data: {
+          users: users.map((user) => ({
+            ...user.toJSON(),
+            taskCounts: taskCounts.get(user._id.toString())
+          })),
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Admin List Users Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching users',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/admin/users/:id
+ * @desc    Get a single user with task counts
+ * @access  Admin
+ */
+router.get('/users/:id', async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const taskCounts = await getTaskCounts([user._id]);
+    const activeSessions = await Session.countDocuments({
+      user: user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: {
+          ...user.toJSON(),
+          taskCounts: taskCounts.get(user._id.toString()),
+          activeSessions
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Admin Get User Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/admin/users/:id/status
+ * @desc    Disable or re-enable an account
+ * @access  Admin
+ */
+router.patch(
+  '/users/:id/status',
+  [
+    body('disabled')
+      .isBoolean()
+      .withMessage('disabled must be true or false')
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const user = await findUser(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (user._id.equals(req.user._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot disable your own account'
+        });
+      }
+
+      const disabled = req.body.disabled === true || req.body.disabled === 'true';
+
+      user.disabledAt = disabled ? user.disabledAt || new Date() : null;
+      await user.save({ validateBeforeSave: false });
+
+      // Disabling takes effect immediately on every device
+      if (disabled) {
+        await Session.revokeAllForUser(user._id);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: disabled ? 'Account disabled' : 'Account enabled',
+        data: { user }
+      });
+    } catch (error) {
+      console.error('Admin Update Status Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating account status',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   PATCH /api/admin/users/:id/role
+ * @desc    Change a user's role
+ * @access  Admin
+ */
+router.patch(
+  '/users/:id/role',
+  [
+    body('role')
+      .isIn(['user', 'admin'])
+      .withMessage('Role must be user or admin')
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const user = await findUser(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      // Stops the last admin from locking everyone out of the console
+      if (user._id.equals(req.user._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot change your own role'
+        });
+      }
+
+      user.role = req.body.role;
+      await user.save({ validateBeforeSave: false });
+
+      res.status(200).json({
+        success: true,
+        message: 'Role updated',
+        data: { user }
+      });
+    } catch (error) {
+      console.error('Admin Update Role Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating role',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/admin/users/:id/force-password-reset
+ * @desc    Sign a user out everywhere and require a new password
+ * @access  Admin
+ */
+router.post('/users/:id/force-password-reset', async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES, 10) || 60;
+    const token = user.createPasswordResetToken(minutes);
+    user.passwordResetRequired = true;
+    await user.save({ validateBeforeSave: false });
+
+    const sessionsRevoked = await Session.revokeAllForUser(user._id);
+
+    let emailSent = true;
+    try {
+      await sendForcedPasswordResetEmail(user, token, minutes);
+    } catch (mailError) {
+      // The flag still blocks sign-in; the user can use "Forgot password" instead
+      console.error('Forced Reset Mail Error:', mailError);
+      emailSent = false;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: emailSent
+        ? 'Password reset required. A reset link has been emailed to the user.'
+        : 'Password reset required, but the reset email could not be sent',
+      data: { user, sessionsRevoked, emailSent }
+    });
+  } catch (error) {
+    console.error('Admin Force Reset Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error forcing password reset',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
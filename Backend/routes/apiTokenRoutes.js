@@ -0,0 +1,149 @@
+// backend/routes/apiTokenRoutes.js
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const ApiToken = require('../models/ApiToken');
+const { API_TOKEN_SCOPES } = require('../models/ApiToken');
+const { protect } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All routes are protected (session sign-in only - tokens can't mint tokens)
+router.use(protect);
+
+// Keeps a leaked session from quietly minting unlimited tokens
+const MAX_TOKENS_PER_USER = 25;
+
+/**
+ * @route   GET /api/auth/tokens
+ * @desc    List the current user's API tokens
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const tokens = await ApiToken.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: tokens.length,
+      data: { tokens, scopes: API_TOKEN_SCOPES }
+    });
+  } catch (error) {
+    console.error('Get API Tokens Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching API tokens',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/tokens
+ * @desc    Create an API token - the raw token is only returned here
+ * @access  Private
+ */
+router.post(
+  '/',
+  [
+    body('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Token name is required')
+      .isLength({ max: 50 })
+      .withMessage('Token name cannot exceed 50 characters'),
+    body('scopes')
+      .isArray({ min: 1 })
+      .withMessage('Choose at least one scope'),
+    body('scopes.*')
+      .isIn(API_TOKEN_SCOPES)
+      .withMessage(`Scopes must be one of: ${API_TOKEN_SCOPES.join(', ')}`),
+    body('expiresInDays')
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Expiry must be between 1 and 365 days')
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const existing = await ApiToken.countDocuments({ user: req.user._id });
+      if (existing >= MAX_TOKENS_PER_USER) {
+        return res.status(400).json({
+          success: false,
+          message: `You can have at most ${MAX_TOKENS_PER_USER} API tokens. Revoke one first.`
+        });
+      }
+
+      const { name, scopes, expiresInDays } = req.body;
+      const { token, doc } = await ApiToken.issue(req.user._id, {
+        name,
+        scopes,
+        expiresInDays: expiresInDays ? parseInt(expiresInDays, 10) : null
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "API token created. Copy it now - it won't be shown again.",
+        data: { token, apiToken: doc }
+      });
+    } catch (error) {
+      console.error('Create API Token Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error creating API token',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/auth/tokens/:id
+ * @desc    Revoke (delete) an API token
+ * @access  Private
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'API token not found'
+      });
+    }
+
+    const apiToken = await ApiToken.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!apiToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'API token not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'API token revoked'
+    });
+  } catch (error) {
+    console.error('Revoke API Token Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking API token',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,313 @@
+// backend/routes/attachmentRoutes.js
+const express = require('express');
+const mongoose = require('mongoose');
+const path = require('path');
+const multer = require('multer');
+const Task = require('../models/Task');
+const Attachment = require('../models/Attachment');
+const { getStorage } = require('../utils/storage');
+const { randomToken } = require('../utils/crypto');
+
+// Mounted under /api/tasks/:id/attachments (auth is applied by taskRoutes)
+const router = express.Router({ mergeParams: true });
+
+const MAX_ATTACHMENTS_PER_TASK = 20;
+
+// Screenshots, PDFs and plain text unless ATTACHMENT_MIME_TYPES says otherwise
+const DEFAULT_MIME_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf', 'text/plain'];
+
+/**
+ * File signatures for types we can check, so a renamed file can't claim
+ * to be something else
+ */
+const SIGNATURES = {
+  'image/png': (buf) => buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/jpeg': (buf) => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff,
+  'image/gif': (buf) => ['GIF87a', 'GIF89a'].includes(buf.toString('latin1', 0, 6)),
+  'image/webp': (buf) => buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WEBP',
+  'application/pdf': (buf) => buf.toString('latin1', 0, 5) === '%PDF-'
+};
+
+/**
+ * Largest upload allowed, from ATTACHMENT_MAX_MB (default 10)
+ * @returns {number} - Bytes
+ */
+const getMaxBytes = () => (parseInt(process.env.ATTACHMENT_MAX_MB, 10) || 10) * 1024 * 1024;
+
+/**
+ * MIME types allowed, from ATTACHMENT_MIME_TYPES (comma-separated)
+ * @returns {Array<string>}
+ */
+const getAllowedTypes = () => {
+  const configured = (process.env.ATTACHMENT_MIME_TYPES || '')
+    .split(',')
+    .map((type) => type.trim().toLowerCase())
+    .filter(Boolean);
+
+  return configured.length > 0 ? configured : DEFAULT_MIME_TYPES;
+};
+
+// Files are held in memory until they pass the checks, then handed to storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: () => ({ fileSize: getMaxBytes(), files: 1 }),
+  defParamCharset: 'utf8',
+  fileFilter: (req, file, cb) => {
+    if (!getAllowedTypes().includes(file.mimetype.toLowerCase())) {
+      const error = new Error('Unsupported file type');
+      error.code = 'UNSUPPORTED_TYPE';
+      return cb(error, false);
+    }
+    cb(null, true);
+  }
+}).single('file');
+
+/**
+ * Run the multipart parser
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} - { status, message } to send the client, or null
+ */
+const parseUpload = (req, res) => new Promise((resolve, reject) => {
+  upload(req, res, (err) => {
+    if (!err) {
+      return resolve(req.file ? null : { status: 400, message: 'Send one file in the "file" field' });
+    }
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return resolve({ status: 413, message: `Files can be at most ${getMaxBytes() / (1024 * 1024)} MB` });
+    }
+    if (err.code === 'UNSUPPORTED_TYPE') {
+      return resolve({ status: 400, message: `Allowed file types: ${getAllowedTypes().join(', ')}` });
+    }
+    if (err instanceof multer.MulterError) {
+      return resolve({ status: 400, message: 'Send one file in the "file" field' });
+    }
+    reject(err);
+  });
+});
+
+/**
+ * Find the current user's task named in the URL
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} - Task document
+ */
+const findOwnTask = (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return Promise.resolve(null);
+  }
+  return Task.findOne({ _id: req.params.id, user: req.user._id }).select('_id');
+};
+
+/**
+ * Find an attachment on one of the current user's tasks
+ * @param {Object} req - Express request
+ * @param {boolean} [withKey=false] - Include the storage key
+ * @returns {Promise<Object|null>} - Attachment document
+ */
+const findOwnAttachment = async (req, withKey = false) => {
+  const task = await findOwnTask(req);
+
+  if (!task || !mongoose.isValidObjectId(req.params.attachmentId)) {
+    return null;
+  }
+
+  return Attachment.findOne({ _id: req.params.attachmentId, task: task._id })
+    .select(withKey ? '+storageKey' : '');
+};
+
+/**
+ * @route   GET /api/tasks/:id/attachments
+ * @desc    List a task's attachments (oldest first)
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const task = await findOwnTask(req);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const attachments = await Attachment.find({ task: task._id }).sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: attachments.length,
+      data: { attachments }
+    });
+  } catch (error) {
+    console.error('Get Attachments Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching attachments',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/tasks/:id/attachments
+ * @desc    Upload a file (multipart/form-data, field "file")
+ * @access  Private
+ */
+router.post('/', async (req, res) => {
+  try {
+    // Check the task before accepting any bytes
+    const task = await findOwnTask(req);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const count = await Attachment.countDocuments({ task: task._id });
+    if (count >= MAX_ATTACHMENTS_PER_TASK) {
+      return res.status(400).json({
+        success: false,
+        message: `A task can have at most ${MAX_ATTACHMENTS_PER_TASK} attachments`
+      });
+    }
+
+    const uploadError = await parseUpload(req, res);
+    if (uploadError) {
+      return res.status(uploadError.status).json({
+        success: false,
+        message: uploadError.message
+      });
+    }
+
+    const { originalname, mimetype, buffer, size } = req.file;
+    const mimeType = mimetype.toLowerCase();
+
+    if (SIGNATURES[mimeType] && !SIGNATURES[mimeType](buffer)) {
+      return res.status(400).json({
+        success: false,
+        message: `File content doesn't match its type (${mimeType})`
+      });
+    }
+
+    // Keys never contain the user's file name
+    const storageKey = `${req.user._id}/${task._id}/${randomToken(16)}`;
+    const storage = getStorage();
+    await storage.put(storageKey, buffer, { contentType: mimeType });
+
+    let attachment;
+    try {
+      attachment = await Attachment.create({
+        task: task._id,
+        user: req.user._id,
+        filename: path.basename(originalname).slice(0, 255) || 'file',
+        mimeType,
+        size,
+        storageKey
+      });
+    } catch (error) {
+      await storage.remove(storageKey).catch(() => {});
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'File attached',
+      data: { attachment }
+    });
+  } catch (error) {
+    console.error('Upload Attachment Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading attachment',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/tasks/:id/attachments/:attachmentId
+ * @desc    Download an attachment
+ * @access  Private
+ */
+router.get('/:attachmentId', async (req, res) => {
+  try {
+    const attachment = await findOwnAttachment(req, true);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    let stream;
+    try {
+      stream = await getStorage().get(attachment.storageKey);
+    } catch (error) {
+      console.error('Read Attachment Error:', error);
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment file is missing'
+      });
+    }
+
+    // Always a download, never rendered by the browser as a page
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': attachment.size,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, no-store'
+    });
+    res.attachment(attachment.filename);
+
+    stream.on('error', (error) => {
+      console.error('Read Attachment Error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Download Attachment Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading attachment',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/tasks/:id/attachments/:attachmentId
+ * @desc    Delete an attachment and its file
+ * @access  Private
+ */
+router.delete('/:attachmentId', async (req, res) => {
+  try {
+    const attachment = await findOwnAttachment(req);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    await Attachment.removeMany({ _id: attachment._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Attachment deleted',
+      data: { attachment }
+    });
+  } catch (error) {
+    console.error('Delete Attachment Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting attachment',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,171 @@
 // backend/routes/authRoutes.js
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { protect, generateToken } = require('../middleware/authMiddleware');
+const Task = require('../models/Task');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+const Notification = require('../models/Notification');
+const Comment = require('../models/Comment');
+const Attachment = require('../models/Attachment');
+const TaskHistory = require('../models/TaskHistory');
+const SavedView = require('../models/SavedView');
+const {
+  protect,
+  generateAuthTokens,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  startSession
+} = require('../middleware/authMiddleware');
+const { createRateLimiter, passwordConfirmLimiter } = require('../middleware/rateLimiter');
+const { hasValidCsrfToken, sendCsrfError } = require('../middleware/csrf');
+const {
+  REFRESH_COOKIE,
+  issueCsrfToken,
+  clearAuthCookies,
+  deliverAuthTokens
+} = require('../utils/authCookies');
+const { hashToken } = require('../utils/crypto');
+const { getPasswordPolicy, checkPassword } = require('../utils/passwordPolicy');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../utils/emails');
+const { notifyFailedLogin } = require('../utils/notifications');
+
+/**
+ * Hours an email verification link stays valid
+ * @returns {number}
+ */
+const verificationExpiryHours = () => {
+  return parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS, 10) || 24;
+};
+
+/**
+ * Create a verification token for a user and email it
+ * Mail failures are logged, not thrown - the user can ask for a resend
+ * @param {Object} user - User document
+ */
+const sendEmailVerification = async (user) => {
+  const hours = verificationExpiryHours();
+  const token = user.createEmailVerificationToken(hours);
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendVerificationEmail(user, token, hours);
+  } catch (mailError) {
+    console.error('Verification Mail Error:', mailError);
+  }
+};
+
+/**
+ * Rate limiters for unauthenticated endpoints
+ */
+const loginIpLimiter = createRateLimiter({
+  name: 'login-ip',
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: 'Too many sign-in attempts from this network, please try again later'
+});
+
+const loginAccountLimiter = createRateLimiter({
+  name: 'login-account',
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  keyGenerator: (req) => (typeof req.body.email === 'string' ? req.body.email : null),
+  message: 'Too many sign-in attempts for this account, please try again later'
+});
+
+const signupIpLimiter = createRateLimiter({
+  name: 'signup-ip',
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: 'Too many accounts created from this network, please try again later'
+});
+
+const passwordResetIpLimiter = createRateLimiter({
+  name: 'password-reset-ip',
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: 'Too many password reset requests, please try again later'
+});
+
+/**
+ * Send the 423 response for a locked-out account
+ * @param {Object} res - Express response
+ * @param {Date} lockUntil - When the lock expires
+ */
+const sendLockedResponse = (res, lockUntil) => {
+  const retryAfter = Math.max(1, Math.ceil((lockUntil.getTime() - Date.now()) / 1000));
+
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    success: false,
+    code: 'ACCOUNT_LOCKED',
+    message: 'Account temporarily locked after too many failed sign-in attempts',
+    retryAfter,
+    lockUntil
+  });
+};
+
+/**
+ * Send the 403 response if an admin has blocked the account from signing in
+ * @param {Object} res - Express response
+ * @param {Object} user - User document
+ * @returns {Object|null} - The sent response, or null if sign-in may continue
+ */
+const sendSignInBlockedResponse = (res, user) => {
+  if (user.isDisabled()) {
+    return res.status(403).json({
+      success: false,
+      code: 'ACCOUNT_DISABLED',
+      message: 'This account has been disabled'
+    });
+  }
+
+  if (user.passwordResetRequired) {
+    return res.status(403).json({
+      success: false,
+      code: 'PASSWORD_RESET_REQUIRED',
+      message: 'You need to reset your password before signing in. Check your email for a reset link.'
+    });
+  }
+
+  return null;
+};
+
+/**
+ * Send the 400 response for a password that fails the policy
+ * @param {Object} res - Express response
+ * @param {Array<string>} policyErrors - Messages from checkPassword
+ * @param {string} [field='password'] - Body field the password came from
+ */
+const sendPasswordPolicyError = (res, policyErrors, field = 'password') => {
+  return res.status(400).json({
+    success: false,
+    message: policyErrors[0],
+    errors: policyErrors.map((msg) => ({ type: 'field', path: field, location: 'body', msg }))
+  });
+};
+
+/**
+ * Fall back to the refresh cookie when the body has no refresh token
+ * (cookie auth mode). The cookie is sent automatically by the browser,
+ * so it's only honoured together with a valid CSRF token.
+ */
+const refreshTokenFromCookie = (req, res, next) => {
+  if (!req.body.refreshToken && req.cookies?.[REFRESH_COOKIE]) {
+    if (!hasValidCsrfToken(req)) {
+      return sendCsrfError(res);
+    }
+
+    req.body.refreshToken = req.cookies[REFRESH_COOKIE];
+    req.usingAuthCookies = true;
+  }
+
+  next();
+};
 
 const router = express.Router();
 
@@ -13,6 +176,7 @@ const router = express.Router();
  */
 router.post(
   '/signup',
+  signupIpLimiter,
   [
     body('name')
       .trim()
@@ -23,8 +187,9 @@ router.post(
       .normalizeEmail()
       .withMessage('Please provide a valid email'),
     body('password')
-      .isLength({ min: 6 })
-      .withMessage('Password must be at least 6 characters')
+      .isString()
+      .notEmpty()
+      .withMessage('Password is required')
   ],
   async (req, res) => {
     try {
@@ -40,6 +205,11 @@ router.post(
 
       const { name, email, password } = req.body;
 
+      const policyErrors = await checkPassword(password, { name, email });
+      if (policyErrors.length > 0) {
+        return sendPasswordPolicyError(res, policyErrors);
+      }
+
       // Check if user already exists
       const existingUser = await User.findOne({ email });
       if (existingUser) {
@@ -56,20 +226,18 @@ router.post(
         password
       });
 
-      // Generate token
-      const token = generateToken(user._id);
+      // Email a link to confirm the address belongs to them
+      await sendEmailVerification(user);
+
+      // Start a session and issue its tokens
+      const tokens = await startSession(user._id, req);
 
       res.status(201).json({
         success: true,
         message: 'User registered successfully',
         data: {
-          user: {
-            _id: user._id,
-            name: user.name,
-            email: user.email,
-            createdAt: user.createdAt
-          },
-          token
+          user: user.getPublicProfile(),
+          ...deliverAuthTokens(req, res, tokens)
         }
       });
     } catch (error) {
@@ -90,6 +258,7 @@ router.post(
  */
 router.post(
   '/login',
+  loginIpLimiter,
   [
     body('email')
       .isEmail()
@@ -99,6 +268,7 @@ router.post(
       .notEmpty()
       .withMessage('Password is required')
   ],
+  loginAccountLimiter,
   async (req, res) => {
     try {
       // Validate request
@@ -123,30 +293,57 @@ router.post(
         });
       }
 
+      // Refuse locked accounts before checking the password
+      if (user.isLocked()) {
+        return sendLockedResponse(res, user.lockUntil);
+      }
+
       // Check if password matches
       const isPasswordMatch = await user.comparePassword(password);
       
       if (!isPasswordMatch) {
+        const lockUntil = await user.registerFailedLogin();
+        await notifyFailedLogin(user, req, lockUntil);
+
+        if (lockUntil) {
+          return sendLockedResponse(res, lockUntil);
+        }
+
         return res.status(401).json({
           success: false,
           message: 'Invalid email or password'
         });
       }
 
-      // Generate token
-      const token = generateToken(user._id);
+      // Only reveal an admin block to someone who knows the password
+      if (sendSignInBlockedResponse(res, user)) {
+        return;
+      }
+
+      // Password is right, but a second factor is still needed
+      if (user.twoFactorEnabled) {
+        return res.status(200).json({
+          success: true,
+          message: 'Two-factor authentication required',
+          data: {
+            twoFactorRequired: true,
+            challengeToken: generateTwoFactorChallenge(user._id)
+          }
+        });
+      }
+
+      await user.resetLoginAttempts();
+      await loginAccountLimiter.reset(req);
+
+      // Start a session and issue its tokens
+      const tokens = await startSession(user._id, req);
 
       res.status(200).json({
         success: true,
         message: 'Login successful',
         data: {
-          user: {
-            _id: user._id,
-            name: user.name,
-            email: user.email,
-            createdAt: user.createdAt
-          },
-          token
+          user: user.getPublicProfile(),
+          ...deliverAuthTokens(req, res, tokens)
         }
       });
     } catch (error) {
@@ -161,40 +358,894 @@ router.post(
 );
 
 /**
- * @route   GET /api/auth/profile
- * @desc    Get current user profile
- * @access  Private
+ * @route   POST /api/auth/login/2fa
+ * @desc    Complete a two-factor login with a TOTP or recovery code
+ * @access  Public
  */
-router.get('/profile', protect, async (req, res) => {
+router.post(
+  '/login/2fa',
+  loginIpLimiter,
+  [
+    body('challengeToken')
+      .isString()
+      .notEmpty()
+      .withMessage('Challenge token is required'),
+    body('code')
+      .if(body('recoveryCode').not().exists())
+      .isString()
+      .notEmpty()
+      .withMessage('Authentication code is required'),
+    body('recoveryCode')
+      .optional()
+      .isString()
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { challengeToken, code, recoveryCode } = req.body;
+
+      const userId = verifyTwoFactorChallenge(challengeToken);
+
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          code: 'CHALLENGE_EXPIRED',
+          message: 'Login challenge expired, please sign in again'
+        });
+      }
+
+      const user = await User.findById(userId)
+        .select('+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes');
+
+      if (!user || !user.twoFactorEnabled) {
+        return res.status(401).json({
+          success: false,
+          code: 'CHALLENGE_EXPIRED',
+          message: 'Login challenge expired, please sign in again'
+        });
+      }
+
+      if (user.isLocked()) {
+        return sendLockedResponse(res, user.lockUntil);
+      }
+
+      if (sendSignInBlockedResponse(res, user)) {
+        return;
+      }
+
+      const isValid = recoveryCode
+        ? await user.useRecoveryCode(recoveryCode)
+        : await user.verifyTwoFactorCode(code);
+
+      if (!isValid) {
+        // Wrong codes count towards the lockout just like wrong passwords
+        const lockUntil = await user.registerFailedLogin();
+        await notifyFailedLogin(user, req, lockUntil);
+
+        if (lockUntil) {
+          return sendLockedResponse(res, lockUntil);
+        }
+
+        return res.status(401).json({
+          success: false,
+          message: recoveryCode ? 'Invalid recovery code' : 'Invalid authentication code'
+        });
+      }
+
+      // The TOTP step or recovery code was used up (and saved) as it was checked
+      await user.resetLoginAttempts();
+      await loginAccountLimiter.reset(req, user.email);
+
+      // Start a session and issue its tokens
+      const tokens = await startSession(user._id, req);
+
+      res.status(200).json({
+        success: true,
+        message: 'Login successful',
+        data: {
+          user: user.getPublicProfile(),
+          ...deliverAuthTokens(req, res, tokens),
+          ...(recoveryCode && { recoveryCodesRemaining: user.twoFactorRecoveryCodes.length })
+        }
+      });
+    } catch (error) {
+      console.error('Two-Factor Login Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error during login',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/auth/password-policy
+ * @desc    Get the password rules (for client-side strength meters)
+ * @access  Public
+ */
+router.get('/password-policy', (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: { policy: getPasswordPolicy() }
+  });
+});
+
+/**
+ * @route   GET /api/auth/csrf
+ * @desc    Get (or start) the CSRF token for cookie auth mode
+ * @access  Public
+ */
+router.get('/csrf', (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: { csrfToken: issueCsrfToken(req, res) }
+  });
+});
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @access  Public
+ */
+router.post(
+  '/refresh',
+  refreshTokenFromCookie,
+  [
+    body('refreshToken')
+      .isString()
+      .notEmpty()
+      .withMessage('Refresh token is required')
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const tokenHash = RefreshToken.hashToken(req.body.refreshToken);
+
+      // Atomically claim the token so concurrent refreshes can't both rotate it
+      const stored = await RefreshToken.findOneAndUpdate(
+        { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+        { revokedAt: new Date() }
+      );
+
+      if (!stored) {
+        const existing = await RefreshToken.findOne({ tokenHash });
+
+        // A rotated token being presented again means it was stolen - kill the session
+        if (existing && existing.revokedAt) {
+          await Session.revokeById(existing.family);
+          console.warn(`Refresh token reuse detected for user ${existing.user}`);
+        }
+
+        if (req.usingAuthCookies) {
+          clearAuthCookies(res);
+        }
+
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired refresh token'
+        });
+      }
+
+      const user = await User.findById(stored.user);
+      const session = await Session.findOne({ _id: stored.family, revokedAt: null });
+
+      if (!user || user.isDisabled() || !session) {
+        await Session.revokeById(stored.family);
+
+        if (req.usingAuthCookies) {
+          clearAuthCookies(res);
+        }
+
+        return res.status(401).json({
+          success: false,
+          message: 'Session is no longer valid'
+        });
+      }
+
+      // Rotate: issue the next token in the same session
+      const tokens = await generateAuthTokens(user._id, session._id);
+
+      stored.replacedBy = RefreshToken.hashToken(tokens.refreshToken);
+      await stored.save();
+
+      // Keep the session alive as long as its newest refresh token
+      await session.extend(req);
+
+      res.status(200).json({
+        success: true,
+        message: 'Token refreshed',
+        data: deliverAuthTokens(req, res, tokens, !!req.usingAuthCookies)
+      });
+    } catch (error) {
+      console.error('Refresh Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error refreshing token',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    End the session the refresh token belongs to
+ * @access  Public
+ */
+router.post(
+  '/logout',
+  refreshTokenFromCookie,
+  [
+    body('refreshToken')
+      .isString()
+      .notEmpty()
+      .withMessage('Refresh token is required')
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const stored = await RefreshToken.findOne({
+        tokenHash: RefreshToken.hashToken(req.body.refreshToken)
+      });
+
+      if (stored) {
+        await Session.revokeById(stored.family);
+      }
+
+      clearAuthCookies(res);
+
+      // Respond the same either way so logout is idempotent
+      res.status(200).json({
+        success: true,
+        message: 'Logged out successfully'
+      });
+    } catch (error) {
+      console.error('Logout Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error during logout',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/auth/verify-email/:token
+ * @desc    Confirm an email address using the emailed token
+ * @access  Public
+ */
+router.get('/verify-email/:token', async (req, res) => {
   try {
-    const user = await User.findById(req.user._id);
-    
-    if (!user) {
-      return res.status(404).json({
+    // Claim the token atomically so it can only be used once
+    const claimed = await User.findOneAndUpdate(
+      {
+        emailVerificationToken: hashToken(req.params.token),
+        emailVerificationExpires: { $gt: new Date() }
+      },
+      { $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 } }
+    );
+
+    if (!claimed) {
+      return res.status(400).json({
         success: false,
-        message: 'User not found'
+        message: 'Verification link is invalid or has expired'
       });
     }
 
+    const update = { emailVerified: true };
+
+    // Confirming a changed address swaps it in
+    if (claimed.pendingEmail) {
+      const taken = await User.exists({ email: claimed.pendingEmail, _id: { $ne: claimed._id } });
+
+      if (taken) {
+        await User.updateOne({ _id: claimed._id }, { $unset: { pendingEmail: 1 } });
+        return res.status(400).json({
+          success: false,
+          message: 'That email address is already in use'
+        });
+      }
+
+      update.email = claimed.pendingEmail;
+      update.$unset = { pendingEmail: 1 };
+    }
+
+    const user = await User.findByIdAndUpdate(claimed._id, update, { new: true });
+
     res.status(200).json({
       success: true,
-      data: {
-        user: {
-          _id: user._id,
-          name: user.name,
-          email: user.email,
-          createdAt: user.createdAt
-        }
-      }
+      message: 'Email verified successfully',
+      data: { user: user.getPublicProfile() }
     });
   } catch (error) {
-    console.error('Profile Error:', error);
+    console.error('Verify Email Error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error fetching profile',
+      message: 'Server error verifying email',
       error: error.message
     });
   }
 });
 
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a fresh verification email (throttled)
+ * @access  Private
+ */
+router.post('/resend-verification', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+emailVerificationSentAt');
+
+    if (user.emailVerified && !user.pendingEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    // Throttle so the endpoint can't be used to spam an inbox
+    const throttleSeconds = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS, 10) || 60;
+    const sentAt = user.emailVerificationSentAt ? user.emailVerificationSentAt.getTime() : 0;
+    const waitSeconds = Math.ceil((sentAt + throttleSeconds * 1000 - Date.now()) / 1000);
+
+    if (waitSeconds > 0) {
+      res.set('Retry-After', String(waitSeconds));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${waitSeconds} seconds before requesting another email`,
+        retryAfter: waitSeconds
+      });
+    }
+
+    await sendEmailVerification(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend Verification Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending verification email',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public
+ */
+router.post(
+  '/forgot-password',
+  passwordResetIpLimiter,
+  [
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email')
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findOne({ email: req.body.email });
+
+      if (user) {
+        const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES, 10) || 60;
+        const token = user.createPasswordResetToken(minutes);
+        await user.save({ validateBeforeSave: false });
+
+        try {
+          await sendPasswordResetEmail(user, token, minutes);
+        } catch (mailError) {
+          // Don't reveal whether the account exists - just log it
+          console.error('Password Reset Mail Error:', mailError);
+        }
+      }
+
+      // Same response whether or not the email is registered
+      res.status(200).json({
+        success: true,
+        message: 'If an account exists for that email, a reset link has been sent'
+      });
+    } catch (error) {
+      console.error('Forgot Password Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error requesting password reset',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password using a reset token
+ * @access  Public
+ */
+router.post(
+  '/reset-password',
+  [
+    body('token')
+      .isString()
+      .notEmpty()
+      .withMessage('Reset token is required'),
+    body('password')
+      .isString()
+      .notEmpty()
+      .withMessage('Password is required')
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const tokenQuery = {
+        passwordResetToken: hashToken(req.body.token),
+        passwordResetExpires: { $gt: new Date() }
+      };
+
+      const user = await User.findOne(tokenQuery).select('+password +passwordHistory');
+
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: 'Reset link is invalid or has expired'
+        });
+      }
+
+      // Check the policy before using up the token, so the user can try again
+      const policyErrors = await checkPassword(req.body.password, user, user);
+      if (policyErrors.length > 0) {
+        return sendPasswordPolicyError(res, policyErrors);
+      }
+
+      // Clear the token atomically so it can only be used once
+      const claimed = await User.findOneAndUpdate(tokenQuery, {
+        $unset: { passwordResetToken: 1, passwordResetExpires: 1 }
+      });
+
+      if (!claimed) {
+        return res.status(400).json({
+          success: false,
+          message: 'Reset link is invalid or has expired'
+        });
+      }
+
+      user.password = req.body.password;
+      user.passwordResetRequired = false;
+      await user.save();
+
+      // Sign out every device that might be using the old password
+      await Session.revokeAllForUser(user._id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Password reset successfully. Please sign in with your new password.'
+      });
+    } catch (error) {
+      console.error('Reset Password Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error resetting password',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions (devices) for current user
+ * @access  Private
+ */
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.getActiveByUser(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: {
+        sessions: sessions.map((session) => ({
+          _id: session._id,
+          userAgent: session.userAgent,
+          ip: session.ip,
+          createdAt: session.createdAt,
+          lastSeenAt: session.lastSeenAt,
+          current: session._id.equals(req.authSession._id)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get Sessions Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Sign out everywhere else (revoke all sessions except the current one)
+ * @access  Private
+ */
+router.delete('/sessions', protect, async (req, res) => {
+  try {
+    const count = await Session.revokeAllForUser(req.user._id, req.authSession._id);
+
+    res.status(200).json({
+      success: true,
+      message: `Signed out of ${count} other session${count === 1 ? '' : 's'}`,
+      data: { count }
+    });
+  } catch (error) {
+    console.error('Revoke Sessions Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking sessions',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke a single session
+ * @access  Private
+ */
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await Session.revokeById(session._id);
+
+    const current = session._id.equals(req.authSession._id);
+    if (current) {
+      clearAuthCookies(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully',
+      data: { current }
+    });
+  } catch (error) {
+    console.error('Revoke Session Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking session',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/profile
+ * @desc    Get current user profile
+ * @access  Private
+ */
+router.get('/profile', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: user.getPublicProfile()
+      }
+    });
+  } catch (error) {
+    console.error('Profile Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching profile',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/auth/profile
+ * @desc    Update name and/or email (email changes must be re-verified)
+ * @access  Private
+ */
+router.patch(
+  '/profile',
+  protect,
+  passwordConfirmLimiter,
+  [
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('Name must be between 2 and 50 characters'),
+    body('email')
+      .optional()
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email'),
+    body('currentPassword')
+      .if(body('email').exists())
+      .isString()
+      .notEmpty()
+      .withMessage('Current password is required to change your email')
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { name, email, currentPassword } = req.body;
+      const user = await User.findById(req.user._id).select('+password');
+      let message = 'Profile updated successfully';
+      let emailChangeRequested = false;
+
+      if (name) user.name = name;
+
+      if (email && email !== user.email) {
+        if (!(await user.comparePassword(currentPassword))) {
+          return res.status(400).json({
+            success: false,
+            message: 'Incorrect password'
+          });
+        }
+
+        const existingUser = await User.findOne({ email });
+        if (existingUser) {
+          return res.status(400).json({
+            success: false,
+            message: 'That email address is already in use'
+          });
+        }
+
+        // Keep the current address until the new one is confirmed
+        user.pendingEmail = email;
+        emailChangeRequested = true;
+        message = `Profile updated. Check ${email} for a link to confirm your new address.`;
+      } else if (email === user.email && user.pendingEmail) {
+        // Changing back to the current address cancels the pending change
+        user.pendingEmail = undefined;
+      }
+
+      await user.save();
+
+      if (emailChangeRequested) {
+        await sendEmailVerification(user);
+      }
+
+      res.status(200).json({
+        success: true,
+        message,
+        data: { user: user.getPublicProfile() }
+      });
+    } catch (error) {
+      console.error('Update Profile Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error updating profile',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/auth/change-password
+ * @desc    Change password and sign out every other session
+ * @access  Private
+ */
+router.post(
+  '/change-password',
+  protect,
+  passwordConfirmLimiter,
+  [
+    body('currentPassword')
+      .isString()
+      .notEmpty()
+      .withMessage('Current password is required'),
+    body('newPassword')
+      .isString()
+      .notEmpty()
+      .withMessage('New password is required')
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { currentPassword, newPassword } = req.body;
+      const user = await User.findById(req.user._id).select('+password +passwordHistory');
+
+      if (!(await user.comparePassword(currentPassword))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Incorrect password'
+        });
+      }
+
+      const policyErrors = await checkPassword(newPassword, user, user);
+      if (policyErrors.length > 0) {
+        return sendPasswordPolicyError(res, policyErrors, 'newPassword');
+      }
+
+      user.password = newPassword;
+      user.passwordResetRequired = false;
+      await user.save();
+
+      // Anyone else holding a session may know the old password
+      const revoked = await Session.revokeAllForUser(user._id, req.authSession._id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Password changed successfully',
+        data: { sessionsRevoked: revoked }
+      });
+    } catch (error) {
+      console.error('Change Password Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error changing password',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/auth/account
+ * @desc    Permanently delete the account and all of its data
+ * @access  Private
+ */
+router.delete(
+  '/account',
+  protect,
+  passwordConfirmLimiter,
+  [
+    body('password')
+      .isString()
+      .notEmpty()
+      .withMessage('Password is required')
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findById(req.user._id).select('+password');
+
+      if (!(await user.comparePassword(req.body.password))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Incorrect password'
+        });
+      }
+
+      // Remove everything the user owns, then the user
+      const { deletedCount } = await Task.deleteMany({ user: user._id });
+      await Session.deleteMany({ user: user._id });
+      await RefreshToken.deleteMany({ user: user._id });
+      await ApiToken.deleteMany({ user: user._id });
+      await Tag.deleteMany({ user: user._id });
+      await Project.deleteMany({ user: user._id });
+      await Notification.deleteMany({ user: user._id });
+      await Comment.deleteMany({ user: user._id });
+      await Attachment.removeMany({ user: user._id });
+      await TaskHistory.deleteMany({ user: user._id });
+      await SavedView.deleteMany({ user: user._id });
+      await User.deleteOne({ _id: user._id });
+      clearAuthCookies(res);
+
+      res.status(200).json({
+        success: true,
+        message: 'Account deleted successfully',
+        data: { tasksDeleted: deletedCount }
+      });
+    } catch (error) {
+      console.error('Delete Account Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error deleting account',
+        error: error.message
+      });
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
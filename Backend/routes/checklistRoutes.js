@@ -0,0 +1,270 @@
+// backend/routes/checklistRoutes.js
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Task = require('../models/Task');
+const { MAX_CHECKLIST_ITEMS } = require('../models/Task');
+const TaskHistory = require('../models/TaskHistory');
+
+// Mounted under /api/tasks/:id/checklist (auth is applied by taskRoutes)
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Find the current user's task named in the URL
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} - Task document
+ */
+const findOwnTask = (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return Promise.resolve(null);
+  }
+  return Task.findOne({ _id: req.params.id, user: req.user._id });
+};
+
+/**
+ * Send a task (with progress) after a checklist change
+ * @param {Object} res - Express response
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Response message
+ * @param {Object} task - Saved task document
+ */
+const sendTask = async (res, statusCode, message, task) => {
+  const [taskWithProgress] = await Task.withProgress([task]);
+
+  res.status(statusCode).json({
+    success: true,
+    message,
+    data: { task: taskWithProgress }
+  });
+};
+
+/**
+ * @route   POST /api/tasks/:id/checklist
+ * @desc    Add a checklist item (at the end, or at `position`)
+ * @access  Private
+ */
+router.post(
+  '/',
+  [
+    body('text')
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Checklist item must be between 1 and 200 characters'),
+    body('position')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Position must be a non-negative number')
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const task = await findOwnTask(req);
+
+      if (!task) {
+        return res.status(404).json({
+          success: false,
+          message: 'Task not found'
+        });
+      }
+
+      if (task.checklist.length >= MAX_CHECKLIST_ITEMS) {
+        return res.status(400).json({
+          success: false,
+          message: `A task can have at most ${MAX_CHECKLIST_ITEMS} checklist items`
+        });
+      }
+
+      const position = req.body.position !== undefined
+        ? Math.min(parseInt(req.body.position, 10), task.checklist.length)
+        : task.checklist.length;
+
+      const before = task.auditSnapshot();
+      task.checklist.splice(position, 0, { text: req.body.text });
+      await task.save();
+      await TaskHistory.record(req, task, 'updated', before, task.auditSnapshot());
+
+      await sendTask(res, 201, 'Checklist item added', task);
+    } catch (error) {
+      console.error('Add Checklist Item Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error adding checklist item',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/tasks/:id/checklist/order
+ * @desc    Reorder checklist items
+ * @access  Private
+ */
+router.put(
+  '/order',
+  [
+    body('itemIds')
+      .isArray()
+      .withMessage('itemIds must be a list of checklist item IDs')
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const task = await findOwnTask(req);
+
+      if (!task) {
+        return res.status(404).json({
+          success: false,
+          message: 'Task not found'
+        });
+      }
+
+      // Must list every item exactly once
+      const itemIds = req.body.itemIds.map(String);
+      const reordered = itemIds.map((id) => task.checklist.id(id));
+
+      if (
+        itemIds.length !== task.checklist.length ||
+        new Set(itemIds).size !== itemIds.length ||
+        reordered.some((item) => !item)
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: 'itemIds must contain every checklist item exactly once'
+        });
+      }
+
+      const before = task.auditSnapshot();
+      task.checklist = reordered.map((item) => item.toObject());
+      await task.save();
+      await TaskHistory.record(req, task, 'updated', before, task.auditSnapshot());
+
+      await sendTask(res, 200, 'Checklist reordered', task);
+    } catch (error) {
+      console.error('Reorder Checklist Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error reordering checklist',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   PATCH /api/tasks/:id/checklist/:itemId
+ * @desc    Edit or toggle a checklist item
+ * @access  Private
+ */
+router.patch(
+  '/:itemId',
+  [
+    body('text')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Checklist item must be between 1 and 200 characters'),
+    body('done')
+      .optional()
+      .isBoolean()
+      .withMessage('done must be true or false')
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const task = await findOwnTask(req);
+      const item = task && mongoose.isValidObjectId(req.params.itemId)
+        ? task.checklist.id(req.params.itemId)
+        : null;
+
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: task ? 'Checklist item not found' : 'Task not found'
+        });
+      }
+
+      const { text, done } = req.body;
+      const before = task.auditSnapshot();
+
+      if (text !== undefined) item.text = text;
+      if (done !== undefined) item.setDone(done === true || done === 'true');
+
+      await task.save();
+      await TaskHistory.record(req, task, 'updated', before, task.auditSnapshot());
+
+      await sendTask(res, 200, 'Checklist item updated', task);
+    } catch (error) {
+      console.error('Update Checklist Item Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating checklist item',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/tasks/:id/checklist/:itemId
+ * @desc    Remove a checklist item
+ * @access  Private
+ */
+router.delete('/:itemId', async (req, res) => {
+  try {
+    const task = await findOwnTask(req);
+    const item = task && mongoose.isValidObjectId(req.params.itemId)
+      ? task.checklist.id(req.params.itemId)
+      : null;
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: task ? 'Checklist item not found' : 'Task not found'
+      });
+    }
+
+    const before = task.auditSnapshot();
+    item.deleteOne();
+    await task.save();
+    await TaskHistory.record(req, task, 'updated', before, task.auditSnapshot());
+
+    await sendTask(res, 200, 'Checklist item removed', task);
+  } catch (error) {
+    console.error('Remove Checklist Item Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing checklist item',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,258 @@
+// backend/routes/commentRoutes.js
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const Task = require('../models/Task');
+const Comment = require('../models/Comment');
+
+// Mounted under /api/tasks/:id/comments (auth is applied by taskRoutes)
+const router = express.Router({ mergeParams: true });
+
+// Author details included with each comment
+const AUTHOR_FIELDS = 'name';
+
+const textRule = () => body('text')
+  .trim()
+  .isLength({ min: 1, max: 5000 })
+  .withMessage('Comment must be between 1 and 5000 characters');
+
+/**
+ * Find the current user's task named in the URL
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} - Task document
+ */
+const findOwnTask = (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return Promise.resolve(null);
+  }
+  return Task.findOne({ _id: req.params.id, user: req.user._id }).select('_id');
+};
+
+/**
+ * Find a comment on the task, and check the current user wrote it
+ * Sends the 404/403 response itself when the comment can't be changed.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} - Comment document, or null if a response was sent
+ */
+const findOwnComment = async (req, res) => {
+  const task = await findOwnTask(req);
+  const comment = task && mongoose.isValidObjectId(req.params.commentId)
+    ? await Comment.findOne({ _id: req.params.commentId, task: task._id })
+    : null;
+
+  if (!comment) {
+    res.status(404).json({
+      success: false,
+      message: 'Comment not found'
+    });
+    return null;
+  }
+
+  if (!comment.user.equals(req.user._id)) {
+    res.status(403).json({
+      success: false,
+      message: 'You can only change your own comments'
+    });
+    return null;
+  }
+
+  return comment;
+};
+
+/**
+ * @route   GET /api/tasks/:id/comments
+ * @desc    List a task's comments, newest first. Pass the last comment's
+ *          ID as `before` for the next (older) page.
+ * @access  Private
+ */
+router.get(
+  '/',
+  [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('limit must be between 1 and 100'),
+    query('before')
+      .optional()
+      .isMongoId()
+      .withMessage('before must be a comment ID')
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const task = await findOwnTask(req);
+
+      if (!task) {
+        return res.status(404).json({
+          success: false,
+          message: 'Task not found'
+        });
+      }
+
+      const limit = parseInt(req.query.limit, 10) || 20;
+      const filter = { task: task._id };
+
+      if (req.query.before) {
+        filter._id = { $lt: req.query.before };
+      }
+
+      // Fetch one extra to know whether there's another page
+      const comments = await Comment.find(filter)
+        .sort({ _id: -1 })
+        .limit(limit + 1)
+        .populate('user', AUTHOR_FIELDS);
+
+      res.status(200).json({
+        success: true,
+        count: Math.min(comments.length, limit),
+        data: {
+          comments: comments.slice(0, limit),
+          total: await Comment.countDocuments({ task: task._id }),
+          hasMore: comments.length > limit
+        }
+      });
+    } catch (error) {
+      console.error('Get Comments Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching comments',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/tasks/:id/comments
+ * @desc    Comment on a task
+ * @access  Private
+ */
+router.post('/', [textRule()], async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const task = await findOwnTask(req);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const comment = await Comment.create({
+      task: task._id,
+      user: req.user._id,
+      text: req.body.text
+    });
+    await comment.populate('user', AUTHOR_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added',
+      data: { comment }
+    });
+  } catch (error) {
+    console.error('Create Comment Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding comment',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/tasks/:id/comments/:commentId
+ * @desc    Edit your own comment
+ * @access  Private
+ */
+router.patch('/:commentId', [textRule()], async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const comment = await findOwnComment(req, res);
+
+    if (!comment) {
+      return;
+    }
+
+    if (comment.text !== req.body.text) {
+      comment.text = req.body.text;
+      comment.editedAt = new Date();
+      await comment.save();
+    }
+    await comment.populate('user', AUTHOR_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment updated',
+      data: { comment }
+    });
+  } catch (error) {
+    console.error('Update Comment Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating comment',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/tasks/:id/comments/:commentId
+ * @desc    Delete your own comment
+ * @access  Private
+ */
+router.delete('/:commentId', async (req, res) => {
+  try {
+    const comment = await findOwnComment(req, res);
+
+    if (!comment) {
+      return;
+    }
+
+    await comment.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment deleted',
+      data: { comment }
+    });
+  } catch (error) {
+    console.error('Delete Comment Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting comment',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
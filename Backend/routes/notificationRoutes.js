@@ -0,0 +1,221 @@
+// backend/routes/notificationRoutes.js
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const { protect } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All routes are protected (session sign-in only - security notices aren't task data)
+router.use(protect);
+
+/**
+ * Count the current user's unread notifications
+ * @param {string} userId - Owner
+ * @returns {Promise<number>}
+ */
+const countUnread = (userId) => Notification.countDocuments({ user: userId, readAt: null });
+
+/**
+ * Find the current user's notification named in the URL
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} - Notification document
+ */
+const findOwnNotification = (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return Promise.resolve(null);
+  }
+  return Notification.findOne({ _id: req.params.id, user: req.user._id });
+};
+
+/**
+ * @route   GET /api/notifications
+ * @desc    List notifications, newest first, with the unread count.
+ *          Pass the last notification's ID as `before` for the next page.
+ * @access  Private
+ */
+router.get(
+  '/',
+  [
+    query('unread')
+      .optional()
+      .isBoolean()
+      .withMessage('unread must be true or false'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('limit must be between 1 and 50'),
+    query('before')
+      .optional()
+      .isMongoId()
+      .withMessage('before must be a notification ID')
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const limit = parseInt(req.query.limit, 10) || 20;
+      const filter = { user: req.user._id };
+
+      if (req.query.unread === 'true') {
+        filter.readAt = null;
+      }
+
+      if (req.query.before) {
+        filter._id = { $lt: req.query.before };
+      }
+
+      // Fetch one extra to know whether there's another page
+      const notifications = await Notification.find(filter).sort({ _id: -1 }).limit(limit + 1);
+      const hasMore = notifications.length > limit;
+
+      res.status(200).json({
+        success: true,
+        count: Math.min(notifications.length, limit),
+        data: {
+          notifications: notifications.slice(0, limit),
+          unreadCount: await countUnread(req.user._id),
+          hasMore
+        }
+      });
+    } catch (error) {
+      console.error('Get Notifications Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching notifications',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/notifications/read-all
+ * @desc    Mark every notification read
+ * @access  Private
+ */
+router.post('/read-all', async (req, res) => {
+  try {
+    const { modifiedCount } = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: { marked: modifiedCount, unreadCount: 0 }
+    });
+  } catch (error) {
+    console.error('Read All Notifications Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating notifications',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/notifications/:id
+ * @desc    Mark a notification read (or unread with { read: false })
+ * @access  Private
+ */
+router.patch(
+  '/:id',
+  [
+    body('read')
+      .optional()
+      .isBoolean()
+      .withMessage('read must be true or false')
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const notification = await findOwnNotification(req);
+
+      if (!notification) {
+        return res.status(404).json({
+          success: false,
+          message: 'Notification not found'
+        });
+      }
+
+      const read = req.body.read === undefined || req.body.read === true || req.body.read === 'true';
+      notification.readAt = read ? notification.readAt || new Date() : null;
+      await notification.save();
+
+      res.status(200).json({
+        success: true,
+        message: read ? 'Notification marked as read' : 'Notification marked as unread',
+        data: {
+          notification,
+          unreadCount: await countUnread(req.user._id)
+        }
+      });
+    } catch (error) {
+      console.error('Update Notification Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating notification',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/notifications/:id
+ * @desc    Delete a notification
+ * @access  Private
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const notification = await findOwnNotification(req);
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    await notification.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification deleted',
+      data: {
+        notification,
+        unreadCount: await countUnread(req.user._id)
+      }
+    });
+  } catch (error) {
+    console.error('Delete Notification Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting notification',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
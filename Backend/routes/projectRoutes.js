@@ -0,0 +1,437 @@
+// backend/routes/projectRoutes.js
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const SavedView = require('../models/SavedView');
+const { protect, allowApiTokens, requireVerifiedEmail } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All routes are protected; projects are task data, so task-scoped API tokens work here
+router.use(allowApiTokens('tasks'), protect, requireVerifiedEmail);
+
+const MAX_PROJECTS_PER_USER = 50;
+
+// Stands in for a project ID when moving tasks out of every project
+const INBOX = 'inbox';
+
+/**
+ * Validation rules shared by create and update
+ */
+const nameRule = () => body('name')
+  .trim()
+  .isLength({ min: 1, max: 50 })
+  .withMessage('Project name must be between 1 and 50 characters');
+
+const colorRule = () => body('color')
+  .optional()
+  .matches(/^#[0-9a-f]{6}$/i)
+  .withMessage('Color must be a hex value like #6366f1');
+
+/**
+ * Count a user's tasks per project and status
+ * @param {string} userId - Owner
+ * @returns {Promise<Map>} - projectId string (or 'inbox') -> { total, pending, in-progress, completed }
+ */
+const getTaskCounts = async (userId) => {
+  const rows = await Task.aggregate([
+    { $match: { user: userId } },
+    { $group: { _id: { project: '$project', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+
+  const counts = new Map();
+  for (const row of rows) {
+    const key = row._id.project ? row._id.project.toString() : INBOX;
+    if (!counts.has(key)) {
+      counts.set(key, { total: 0, pending: 0, 'in-progress': 0, completed: 0 });
+    }
+    const entry = counts.get(key);
+    entry[row._id.status] = row.count;
+    entry.total += row.count;
+  }
+
+  return counts;
+};
+
+/**
+ * Add task counts to projects
+ * @param {Array<Object>} projects - Project documents
+ * @param {string} userId - Owner
+ * @returns {Promise<Object>} - { projects (with taskCounts), inbox (counts) }
+ */
+const withTaskCounts = async (projects, userId) => {
+  const counts = await getTaskCounts(userId);
+  const empty = { total: 0, pending: 0, 'in-progress': 0, completed: 0 };
+
+  return {
+    projects: projects.map((project) => ({
+      ...project.toJSON(),
+      taskCounts: counts.get(project._id.toString()) || empty
+    })),
+    inbox: counts.get(INBOX) || empty
+  };
+};
+
+/**
+ * Find the current user's project named in the URL
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} - Project document
+ */
+const findOwnProject = (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return Promise.resolve(null);
+  }
+  return Project.findOne({ _id: req.params.id, user: req.user._id });
+};
+
+/**
+ * @route   GET /api/projects
+ * @desc    List the current user's projects with task counts per status
+ * @access  Private
+ */
+router.get(
+  '/',
+  [
+    query('archived')
+      .optional()
+      .isBoolean()
+      .withMessage('archived must be true or false')
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const filter = { user: req.user._id };
+
+      if (req.query.archived !== undefined) {
+        filter.archived = req.query.archived === 'true';
+      }
+
+      const projects = await Project.find(filter).sort({ sortOrder: 1, createdAt: 1 });
+
+      res.status(200).json({
+        success: true,
+        count: projects.length,
+        data: await withTaskCounts(projects, req.user._id)
+      });
+    } catch (error) {
+      console.error('Get Projects Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching projects',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/projects
+ * @desc    Create a project (added at the end of the list)
+ * @access  Private
+ */
+router.post('/', [nameRule(), colorRule()], async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const count = await Project.countDocuments({ user: req.user._id });
+    if (count >= MAX_PROJECTS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_PROJECTS_PER_USER} projects`
+      });
+    }
+
+    const { name, color } = req.body;
+
+    const project = await Project.create({
+      user: req.user._id,
+      name,
+      color,
+      sortOrder: await Project.nextSortOrder(req.user._id)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Project created',
+      data: {
+        project: {
+          ...project.toJSON(),
+          taskCounts: { total: 0, pending: 0, 'in-progress': 0, completed: 0 }
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Create Project Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating project',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/projects/order
+ * @desc    Reorder projects
+ * @access  Private
+ */
+router.put(
+  '/order',
+  [
+    body('projectIds')
+      .isArray()
+      .withMessage('projectIds must be a list of project IDs')
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const projects = await Project.find({ user: req.user._id });
+      const byId = new Map(projects.map((project) => [project._id.toString(), project]));
+
+      // Must list every project (archived ones included) exactly once
+      const projectIds = req.body.projectIds.map(String);
+
+      if (
+        projectIds.length !== projects.length ||
+        new Set(projectIds).size !== projectIds.length ||
+        projectIds.some((id) => !byId.has(id))
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: 'projectIds must contain every project exactly once'
+        });
+      }
+
+      await Project.bulkWrite(
+        projectIds.map((id, index) => ({
+          updateOne: { filter: { _id: id, user: req.user._id }, update: { sortOrder: index } }
+        }))
+      );
+
+      const ordered = await Project.find({ user: req.user._id }).sort({ sortOrder: 1 });
+
+      res.status(200).json({
+        success: true,
+        message: 'Projects reordered',
+        data: await withTaskCounts(ordered, req.user._id)
+      });
+    } catch (error) {
+      console.error('Reorder Projects Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error reordering projects',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   PATCH /api/projects/:id
+ * @desc    Rename, recolor, archive or unarchive a project
+ * @access  Private
+ */
+router.patch(
+  '/:id',
+  [
+    nameRule().optional(),
+    colorRule(),
+    body('archived')
+      .optional()
+      .isBoolean()
+      .withMessage('archived must be true or false')
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const project = await findOwnProject(req);
+
+      if (!project) {
+        return res.status(404).json({
+          success: false,
+          message: 'Project not found'
+        });
+      }
+
+      const { name, color, archived } = req.body;
+
+      if (name !== undefined) project.name = name;
+      if (color !== undefined) project.color = color;
+      if (archived !== undefined) project.archived = archived === true || archived === 'true';
+
+      await project.save();
+
+      const { projects: [projectWithCounts] } = await withTaskCounts([project], req.user._id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Project updated',
+        data: { project: projectWithCounts }
+      });
+    } catch (error) {
+      console.error('Update Project Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating project',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/projects/:id/tasks
+ * @desc    Move tasks (and their subtasks) into a project; use "inbox" as
+ *          the ID to take them out of every project
+ * @access  Private
+ */
+router.post(
+  '/:id/tasks',
+  [
+    body('taskIds')
+      .isArray({ min: 1, max: 500 })
+      .withMessage('taskIds must be a list of 1 to 500 task IDs'),
+    body('taskIds.*')
+      .isMongoId()
+      .withMessage('Invalid task ID')
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      let project = null;
+
+      if (req.params.id !== INBOX) {
+        project = await findOwnProject(req);
+
+        if (!project) {
+          return res.status(404).json({
+            success: false,
+            message: 'Project not found'
+          });
+        }
+
+        if (project.archived) {
+          return res.status(400).json({
+            success: false,
+            message: 'Unarchive the project before moving tasks into it'
+          });
+        }
+      }
+
+      // A subtask lives in its parent's project, so it only moves along with it
+      const subtask = await Task.exists({ _id: { $in: req.body.taskIds }, user: req.user._id, parent: { $ne: null } });
+
+      if (subtask) {
+        return res.status(400).json({
+          success: false,
+          message: 'Subtasks move with their parent task; move the parent instead'
+        });
+      }
+
+      const moved = await Task.moveToProject(req, req.body.taskIds, project ? project._id : null);
+
+      res.status(200).json({
+        success: true,
+        message: `Moved ${moved} task(s) to ${project ? project.name : 'Inbox'}`,
+        data: { project: project ? project._id : null, moved }
+      });
+    } catch (error) {
+      console.error('Move Tasks Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error moving tasks',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/projects/:id
+ * @desc    Delete a project; its tasks move to the Inbox
+ * @access  Private
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const project = await findOwnProject(req);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const { modifiedCount } = await Task.updateMany(
+      { user: req.user._id, project: project._id },
+      { project: null }
+    );
+    // Saved views of the project fall back to every project
+    await SavedView.updateMany(
+      { user: req.user._id, 'filters.project': project._id.toString() },
+      { 'filters.project': '' }
+    );
+    await project.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Project deleted',
+      data: { project, tasksMoved: modifiedCount }
+    });
+  } catch (error) {
+    console.error('Delete Project Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting project',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,347 @@
+// backend/routes/tagRoutes.js
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Tag = require('../models/Tag');
+const { NAME_COLLATION } = require('../models/Tag');
+const Task = require('../models/Task');
+const SavedView = require('../models/SavedView');
+const { protect, allowApiTokens, requireVerifiedEmail } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All routes are protected; tags are task data, so task-scoped API tokens work here
+router.use(allowApiTokens('tasks'), protect, requireVerifiedEmail);
+
+const MAX_TAGS_PER_USER = 100;
+
+/**
+ * Validation rules shared by create and update
+ */
+const nameRule = () => body('name')
+  .trim()
+  .isLength({ min: 1, max: 30 })
+  .withMessage('Tag name must be between 1 and 30 characters');
+
+const colorRule = () => body('color')
+  .optional()
+  .matches(/^#[0-9a-f]{6}$/i)
+  .withMessage('Color must be a hex value like #6366f1');
+
+/**
+ * Count tasks per tag
+ * @param {Array<ObjectId>} tagIds - Tags to count for
+ * @returns {Promise<Map>} - tagId string -> task count
+ */
+const getTaskCounts = async (tagIds) => {
+  const rows = await Task.aggregate([
+    { $match: { tags: { $in: tagIds } } },
+    { $unwind: '$tags' },
+    { $match: { tags: { $in: tagIds } } },
+    { $group: { _id: '$tags', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(rows.map((row) => [row._id.toString(), row.count]));
+};
+
+/**
+ * Add task counts to tags
+ * @param {Array<Object>} tags - Tag documents
+ * @returns {Promise<Array<Object>>} - Plain tag objects with taskCount
+ */
+const withTaskCounts = async (tags) => {
+  const counts = await getTaskCounts(tags.map((tag) => tag._id));
+
+  return tags.map((tag) => ({
+    ...tag.toJSON(),
+    taskCount: counts.get(tag._id.toString()) || 0
+  }));
+};
+
+/**
+ * Find the current user's tag named in the URL
+ * @param {Object} req - Express request
+ * @param {string} [id] - Tag ID (defaults to req.params.id)
+ * @returns {Promise<Object|null>} - Tag document
+ */
+const findOwnTag = (req, id = req.params.id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return Promise.resolve(null);
+  }
+  return Tag.findOne({ _id: id, user: req.user._id });
+};
+
+/**
+ * Send the 409 for a name another of the user's tags already has
+ * @param {Object} res - Express response
+ * @param {Object} existing - Tag with that name
+ */
+const sendNameTaken = (res, existing) => {
+  res.status(409).json({
+    success: false,
+    code: 'TAG_EXISTS',
+    message: `You already have a tag named "${existing.name}". Merge the tags instead.`,
+    data: { tag: existing }
+  });
+};
+
+/**
+ * @route   GET /api/tags
+ * @desc    List the current user's tags with task counts
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const tags = await Tag.find({ user: req.user._id })
+      .collation(NAME_COLLATION)
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: tags.length,
+      data: { tags: await withTaskCounts(tags) }
+    });
+  } catch (error) {
+    console.error('Get Tags Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching tags',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/tags
+ * @desc    Create a tag
+ * @access  Private
+ */
+router.post('/', [nameRule(), colorRule()], async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, color } = req.body;
+
+    const existing = await Tag.findByName(req.user._id, name);
+    if (existing) {
+      return sendNameTaken(res, existing);
+    }
+
+    const count = await Tag.countDocuments({ user: req.user._id });
+    if (count >= MAX_TAGS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_TAGS_PER_USER} tags`
+      });
+    }
+
+    const tag = await Tag.create({ user: req.user._id, name, color });
+
+    res.status(201).json({
+      success: true,
+      message: 'Tag created',
+      data: { tag: { ...tag.toJSON(), taskCount: 0 } }
+    });
+  } catch (error) {
+    console.error('Create Tag Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating tag',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/tags/:id
+ * @desc    Rename or recolor a tag (tasks reference tags by ID, so every
+ *          tagged task shows the new name)
+ * @access  Private
+ */
+router.patch('/:id', [nameRule().optional(), colorRule()], async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tag = await findOwnTag(req);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    const { name, color } = req.body;
+
+    if (name !== undefined) {
+      const existing = await Tag.findByName(req.user._id, name);
+      if (existing && !existing._id.equals(tag._id)) {
+        return sendNameTaken(res, existing);
+      }
+      tag.name = name;
+    }
+
+    if (color !== undefined) tag.color = color;
+
+    await tag.save();
+
+    const [tagWithCount] = await withTaskCounts([tag]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Tag updated',
+      data: { tag: tagWithCount }
+    });
+  } catch (error) {
+    console.error('Update Tag Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating tag',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/tags/:id/merge
+ * @desc    Merge a tag into another: its tasks get the target tag and it is deleted
+ * @access  Private
+ */
+router.post(
+  '/:id/merge',
+  [
+    body('into')
+      .isMongoId()
+      .withMessage('Choose a tag to merge into')
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const [source, target] = await Promise.all([
+        findOwnTag(req),
+        findOwnTag(req, req.body.into)
+      ]);
+
+      if (!source || !target) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tag not found'
+        });
+      }
+
+      if (source._id.equals(target._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A tag cannot be merged into itself'
+        });
+      }
+
+      // $addToSet first so tasks that already had both end up with one copy
+      await Task.updateMany(
+        { user: req.user._id, tags: source._id },
+        { $addToSet: { tags: target._id } }
+      );
+      const { modifiedCount: tasksUpdated } = await Task.updateMany(
+        { user: req.user._id, tags: source._id },
+        { $pull: { tags: source._id } }
+      );
+      // Saved views filtering on the tag follow it too
+      await SavedView.updateMany(
+        { user: req.user._id, 'filters.tags': source._id },
+        { $addToSet: { 'filters.tags': target._id } }
+      );
+      await SavedView.updateMany(
+        { user: req.user._id, 'filters.tags': source._id },
+        { $pull: { 'filters.tags': source._id } }
+      );
+      await source.deleteOne();
+
+      const [tagWithCount] = await withTaskCounts([target]);
+
+      res.status(200).json({
+        success: true,
+        message: `Merged "${source.name}" into "${target.name}"`,
+        data: {
+          tag: tagWithCount,
+          mergedTagId: source._id,
+          tasksUpdated
+        }
+      });
+    } catch (error) {
+      console.error('Merge Tags Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error merging tags',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/tags/:id
+ * @desc    Delete a tag and remove it from every task
+ * @access  Private
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const tag = await findOwnTag(req);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    const { modifiedCount } = await Task.updateMany(
+      { user: req.user._id, tags: tag._id },
+      { $pull: { tags: tag._id } }
+    );
+    await SavedView.updateMany(
+      { user: req.user._id, 'filters.tags': tag._id },
+      { $pull: { 'filters.tags': tag._id } }
+    );
+    await tag.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Tag deleted',
+      data: { tag, tasksUpdated: modifiedCount }
+    });
+  } catch (error) {
+    console.error('Delete Tag Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting tag',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,50 +1,346 @@
 // backend/routes/taskRoutes.js
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
 const Task = require('../models/Task');
-const { protect } = require('../middleware/authMiddleware');
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+const {
+  MAX_CHECKLIST_ITEMS,
+  MAX_TASK_TAGS,
+  MAX_REMINDERS,
+  MAX_REMINDER_OFFSET,
+  SERIES_FIELDS
+} = require('../models/Task');
+const { FREQUENCIES, startOfDay } = require('../utils/recurrence');
+const { TASK_SORTS, filterRules, buildTaskQuery, findTaskPage, countByStatus } = require('../utils/taskQuery');
+const { protect, allowApiTokens, requireVerifiedEmail } = require('../middleware/authMiddleware');
+const TaskHistory = require('../models/TaskHistory');
+const checklistRoutes = require('./checklistRoutes');
+const commentRoutes = require('./commentRoutes');
+const attachmentRoutes = require('./attachmentRoutes');
 
 const router = express.Router();
 
-// All routes are protected
-router.use(protect);
+// All routes are protected (unverified accounts are limited by policy).
+// Personal API tokens work here with the tasks:read / tasks:write scopes.
+router.use(allowApiTokens('tasks'), protect, requireVerifiedEmail);
+
+// Checklist items: /api/tasks/:id/checklist
+router.use('/:id/checklist', checklistRoutes);
+router.use('/:id/comments', commentRoutes);
+router.use('/:id/attachments', attachmentRoutes);
 
 /**
- * @route   GET /api/tasks
- * @desc    Get all tasks for logged-in user
- * @access  Private
+ * Validation rules for the optional checklist, parent, project, tags and
+ * recurrence fields
+ */
+const taskDetailRules = [
+  body('checklist')
+    .optional()
+    .isArray({ max: MAX_CHECKLIST_ITEMS })
+    .withMessage(`Checklist must be a list of at most ${MAX_CHECKLIST_ITEMS} items`),
+  body('checklist.*.text')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Checklist items must be between 1 and 200 characters'),
+  body('checklist.*.done')
+    .optional()
+    .isBoolean()
+    .withMessage('Checklist done must be true or false'),
+  body('parent')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid parent task'),
+  body('project')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid project'),
+  body('tags')
+    .optional()
+    .isArray({ max: MAX_TASK_TAGS })
+    .withMessage(`Tags must be a list of at most ${MAX_TASK_TAGS} tag IDs`),
+  body('tags.*')
+    .isMongoId()
+    .withMessage('Invalid tag'),
+  body('reminders')
+    .optional()
+    .isArray({ max: MAX_REMINDERS })
+    .withMessage(`Reminders must be a list of at most ${MAX_REMINDERS} offsets`),
+  body('reminders.*')
+    .isInt({ min: 0, max: MAX_REMINDER_OFFSET })
+    .withMessage(`Reminder offsets must be between 0 and ${MAX_REMINDER_OFFSET} minutes before the due date`),
+  body('recurrence')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Recurrence must be an object or null'),
+  body('recurrence.frequency')
+    .if(body('recurrence').isObject())
+    .isIn(FREQUENCIES)
+    .withMessage(`Frequency must be one of: ${FREQUENCIES.join(', ')}`),
+  body('recurrence.interval')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Interval must be between 1 and 365'),
+  body('recurrence.weekdays')
+    .optional()
+    .isArray({ max: 7 })
+    .withMessage('Weekdays must be a list of days (0 = Sunday)'),
+  body('recurrence.weekdays.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Weekdays must be between 0 (Sunday) and 6 (Saturday)'),
+  body('recurrence.monthDay')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 31 })
+    .withMessage('Day of month must be between 1 and 31'),
+  body('recurrence.endDate')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('End date must be a date'),
+  body('recurrence.count')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Occurrence count must be between 1 and 1000')
+];
+
+/**
+ * Build a recurrence rule from a request
+ * @param {Object|null} input - recurrence from the request body
+ * @returns {Object|null} - Rule for Task#setRecurrence
+ */
+const buildRecurrence = (input) => {
+  if (!input) {
+    return null;
+  }
+
+  return {
+    frequency: input.frequency,
+    interval: parseInt(input.interval, 10) || 1,
+    weekdays: [...new Set((input.weekdays || []).map(Number))].sort((a, b) => a - b),
+    monthDay: input.monthDay ? parseInt(input.monthDay, 10) : null,
+    endDate: input.endDate || null,
+    count: input.count ? parseInt(input.count, 10) : null
+  };
+};
+
+/**
+ * Build checklist items from a request, keeping completion times of
+ * items that were already done
+ * @param {Array<Object>} items - [{ _id?, text, done? }] from the request body
+ * @param {Array<Object>} [existing] - Current checklist
+ * @returns {Array<Object>} - Checklist items to save
+ */
+const buildChecklist = (items, existing = []) => {
+  return items.map((item) => {
+    const previous = item._id && existing.find((current) => current._id.equals(item._id));
+    const done = item.done === true || item.done === 'true';
+
+    return {
+      ...(previous && { _id: previous._id }),
+      text: item.text,
+      done,
+      doneAt: done ? previous?.doneAt || new Date() : null
+    };
+  });
+};
+
+// Fields a history entry can be reverted to (the rest are edited as a whole
+// in the task form, where a single-field revert would be confusing)
+const REVERTABLE_FIELDS = ['title', 'description', 'status', 'priority', 'dueDate', 'project', 'tags'];
+
+// Changes POST /api/tasks/bulk can apply, and how many tasks at once
+const BULK_ACTIONS = ['status', 'priority', 'shiftDueDate', 'delete'];
+const MAX_BULK_TASKS = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check that a task may be made a subtask of another
+ * Only one level of nesting is allowed.
+ * @param {string|null} parentId - Requested parent ID
+ * @param {string} userId - Owner
+ * @param {Object} [task] - Task being updated (omit when creating)
+ * @returns {Promise<string|null>} - Error message, or null if allowed
+ */
+const checkParent = async (parentId, userId, task) => {
+  if (!parentId) {
+    return null;
+  }
+
+  if (task && task._id.equals(parentId)) {
+    return 'A task cannot be its own parent';
+  }
+
+  const parent = await Task.findOne({ _id: parentId, user: userId });
+
+  if (!parent) {
+    return 'Parent task not found';
+  }
+
+  if (parent.parent) {
+    return 'Subtasks cannot have their own subtasks';
+  }
+
+  if (task && (await Task.exists({ parent: task._id }))) {
+    return 'A task with subtasks cannot become a subtask';
+  }
+
+  return null;
+};
+
+/**
+ * Check that every tag ID belongs to the user
+ * @param {Array<string>} tagIds - Requested tag IDs
+ * @param {string} userId - Owner
+ * @returns {Promise<Array<string>|null>} - De-duplicated IDs, or null if any are unknown
+ */
+const checkTags = async (tagIds, userId) => {
+  const ids = [...new Set(tagIds.map(String))];
+  const found = await Tag.countDocuments({ _id: { $in: ids }, user: userId });
+
+  return found === ids.length ? ids : null;
+};
+
+/**
+ * Check that tasks may be put in a project
+ * @param {string|null} projectId - Requested project ID (null = Inbox)
+ * @param {string} userId - Owner
+ * @returns {Promise<string|null>} - Error message, or null if allowed
+ */
+const checkProject = async (projectId, userId) => {
+  if (!projectId) {
+    return null;
+  }
+
+  const project = await Project.findOne({ _id: projectId, user: userId });
+
+  if (!project) {
+    return 'Project not found';
+  }
+
+  if (project.archived) {
+    return 'Unarchive the project before adding tasks to it';
+  }
+
+  return null;
+};
+
+/**
+ * Move a task, with its subtasks, to the trash
+ * Subtasks share the parent's deletedAt so they are restored together.
+ * @param {Object} req - Express request (for the history actor)
+ * @param {Object} task - Task document
+ * @returns {Promise<Array<Object>>} - Subtasks trashed along with it
+ */
+const trashTask = async (req, task) => {
+  const subtasks = await Task.find({ parent: task._id, user: task.user });
+  const trashed = [task, ...subtasks];
+  const deletedAt = new Date();
+
+  await Task.updateMany({ _id: { $in: trashed.map((t) => t._id) } }, { deletedAt });
+  for (const trashedTask of trashed) {
+    await TaskHistory.record(req, trashedTask, 'deleted', trashedTask.auditSnapshot(), {});
+  }
+  task.deletedAt = deletedAt;
+
+  return subtasks;
+};
+
+/**
+ * Load parent tasks (with progress) whose progress a change affected
+ * @param {Array<string|null>} parentIds - Parent IDs (falsy values ignored)
+ * @returns {Promise<Array<Object>>} - Parents with progress
+ */
+const getParentsWithProgress = async (parentIds) => {
+  const ids = [...new Set(parentIds.filter(Boolean).map(String))];
+
+  if (ids.length === 0) {
+    return [];
+  }
+
+  return Task.withProgress(await Task.find({ _id: { $in: ids } }));
+};
+
+/**
+ * Validation rules for listing tasks
+ */
+const listRules = [
+  ...filterRules(query),
+  query('sort')
+    .optional()
+    .isIn(Object.keys(TASK_SORTS))
+    .withMessage(`Sort must be one of: ${Object.keys(TASK_SORTS).join(', ')}`),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('limit must be between 1 and 200')
+];
+
+/**
+ * Send a page of the logged-in user's tasks matching the query filters.
+ * A sort: term in the search text wins over the sort parameter.
  */
-router.get('/', async (req, res) => {
+const listTasks = async (req, res) => {
   try {
-    const { status, priority, sort } = req.query;
-    
-    // Build query
-    const query = { user: req.user._id };
-    
-    if (status) {
-      query.status = status;
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
     }
-    
-    if (priority) {
-      query.priority = priority;
+
+    const { query: taskQuery, sort, error, position } = await buildTaskQuery(req.user._id, req.query);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+        position
+      });
     }
 
-    // Determine sort order
-    let sortOption = { createdAt: -1 }; // Default: newest first
-    if (sort === 'oldest') {
-      sortOption = { createdAt: 1 };
-    } else if (sort === 'title') {
-      sortOption = { title: 1 };
-    } else if (sort === 'dueDate') {
-      sortOption = { dueDate: 1 };
+    if (!taskQuery) {
+      return res.status(200).json({
+        success: true,
+        count: 0,
+        data: {
+          tasks: [],
+          nextCursor: null,
+          hasMore: false,
+          total: 0,
+          totals: { all: 0, pending: 0, 'in-progress': 0, completed: 0 }
+        }
+      });
     }
 
-    const tasks = await Task.find(query).sort(sortOption);
+    const page = await findTaskPage(taskQuery, {
+      sort: sort || req.query.sort || 'newest',
+      cursor: req.query.cursor,
+      limit: parseInt(req.query.limit, 10) || 50
+    });
+
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    const totals = await countByStatus(taskQuery);
 
     res.status(200).json({
       success: true,
-      count: tasks.length,
-      data: { tasks }
+      count: page.tasks.length,
+      data: {
+        tasks: await Task.withProgress(page.tasks),
+        nextCursor: page.nextCursor,
+        hasMore: page.hasMore,
+        total: req.query.status ? totals[req.query.status] : totals.all,
+        totals
+      }
     });
   } catch (error) {
     console.error('Get Tasks Error:', error);
@@ -54,40 +350,186 @@ router.get('/', async (req, res) => {
       error: error.message
     });
   }
-});
+};
+
+/**
+ * @route   GET /api/tasks
+ * @desc    Get a page of the logged-in user's tasks. Pass the returned
+ *          nextCursor as `cursor` for the next page (with the same filters).
+ *          Also returns totals per status for the filters (ignoring `status`).
+ *          `q` takes the search syntax in utils/taskSearch.js.
+ * @access  Private
+ */
+router.get('/', listRules, listTasks);
 
 /**
  * @route   GET /api/tasks/search
- * @desc    Search tasks by title or description
+ * @desc    Search tasks with the search syntax (same response as GET /api/tasks)
+ * @access  Private
+ */
+router.get(
+  '/search',
+  [
+    query('q')
+      .trim()
+      .notEmpty()
+      .withMessage('Search query is required'),
+    ...listRules
+  ],
+  listTasks
+);
+
+/**
+ * @route   GET /api/tasks/trash
+ * @desc    Get trashed tasks, most recently deleted first
  * @access  Private
  */
-router.get('/search', async (req, res) => {
+router.get('/trash', async (req, res) => {
   try {
-    const { q } = req.query;
+    const tasks = await Task.find({ user: req.user._id, deletedAt: { $ne: null } }).sort({ deletedAt: -1 });
 
-    if (!q) {
-      return res.status(400).json({
+    res.status(200).json({
+      success: true,
+      count: tasks.length,
+      data: {
+        tasks,
+        retentionDays: Task.trashRetentionDays()
+      }
+    });
+  } catch (error) {
+    console.error('Get Trash Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trash',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/tasks/trash
+ * @desc    Empty the trash
+ * @access  Private
+ */
+router.delete('/trash', async (req, res) => {
+  try {
+    const deletedCount = await Task.purge({ user: req.user._id, deletedAt: { $ne: null } });
+
+    res.status(200).json({
+      success: true,
+      message: `${deletedCount} task${deletedCount === 1 ? '' : 's'} permanently deleted`,
+      data: { deletedCount }
+    });
+  } catch (error) {
+    console.error('Empty Trash Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error emptying trash',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/tasks/trash/:id
+ * @desc    Permanently delete a trashed task (and the subtasks trashed with it)
+ * @access  Private
+ */
+router.delete('/trash/:id', async (req, res) => {
+  try {
+    const task = mongoose.isValidObjectId(req.params.id)
+      ? await Task.findOne({ _id: req.params.id, user: req.user._id, deletedAt: { $ne: null } })
+      : null;
+
+    if (!task) {
+      return res.status(404).json({
         success: false,
-        message: 'Search query is required'
+        message: 'Task not found in trash'
       });
     }
 
-    // Text search using MongoDB text index
-    const tasks = await Task.find({
+    const deletedCount = await Task.purge({
       user: req.user._id,
-      $text: { $search: q }
-    }).sort({ score: { $meta: 'textScore' } });
+      deletedAt: task.deletedAt,
+      $or: [{ _id: task._id }, { parent: task._id }]
+    });
 
     res.status(200).json({
       success: true,
-      count: tasks.length,
-      data: { tasks }
+      message: 'Task permanently deleted',
+      data: { deletedCount }
+    });
+  } catch (error) {
+    console.error('Purge Task Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting task',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/tasks/:id/restore
+ * @desc    Restore a task from the trash, with the subtasks trashed with it.
+ *          A subtask whose parent is gone comes back as a top-level task.
+ * @access  Private
+ */
+router.post('/:id/restore', async (req, res) => {
+  try {
+    const task = mongoose.isValidObjectId(req.params.id)
+      ? await Task.findOne({ _id: req.params.id, user: req.user._id, deletedAt: { $ne: null } })
+      : null;
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found in trash'
+      });
+    }
+
+    const beforeSnapshot = task.auditSnapshot();
+    let subtasks = [];
+
+    if (task.parent) {
+      const parent = await Task.findOne({ _id: task.parent, user: req.user._id });
+      if (!parent || parent.parent) {
+        task.parent = null;
+      } else {
+        task.project = parent.project;
+      }
+    } else {
+      subtasks = await Task.find({ parent: task._id, user: req.user._id, deletedAt: task.deletedAt });
+    }
+
+    task.deletedAt = null;
+    await task.save();
+    await TaskHistory.record(req, task, 'restored', beforeSnapshot, task.auditSnapshot());
+
+    if (subtasks.length > 0) {
+      await Task.updateMany({ _id: { $in: subtasks.map((subtask) => subtask._id) } }, { deletedAt: null });
+      for (const subtask of subtasks) {
+        subtask.deletedAt = null;
+        await TaskHistory.record(req, subtask, 'restored', {}, {});
+      }
+    }
+
+    const [taskWithProgress, ...subtasksWithProgress] = await Task.withProgress([task, ...subtasks]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Task restored',
+      data: {
+        task: taskWithProgress,
+        subtasks: subtasksWithProgress,
+        parents: await getParentsWithProgress([task.parent])
+      }
     });
   } catch (error) {
-    console.error('Search Tasks Error:', error);
+    console.error('Restore Task Error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error searching tasks',
+      message: 'Error restoring task',
       error: error.message
     });
   }
@@ -112,9 +554,11 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    const [taskWithProgress] = await Task.withProgress([task]);
+
     res.status(200).json({
       success: true,
-      data: { task }
+      data: { task: taskWithProgress }
     });
   } catch (error) {
     console.error('Get Task Error:', error);
@@ -126,6 +570,239 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/tasks/:id/subtasks
+ * @desc    Get the subtasks of a task
+ * @access  Private
+ */
+router.get('/:id/subtasks', async (req, res) => {
+  try {
+    const task = mongoose.isValidObjectId(req.params.id)
+      ? await Task.findOne({ _id: req.params.id, user: req.user._id })
+      : null;
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const subtasks = await Task.find({ parent: task._id, user: req.user._id }).sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: subtasks.length,
+      data: { tasks: await Task.withProgress(subtasks) }
+    });
+  } catch (error) {
+    console.error('Get Subtasks Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching subtasks',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/tasks/:id/history?limit=&before=
+ * @desc    Get a task's change history, newest first. Pass the last entry's
+ *          _id as `before` to load older entries.
+ * @access  Private
+ */
+router.get(
+  '/:id/history',
+  [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('limit must be between 1 and 100'),
+    query('before')
+      .optional()
+      .isMongoId()
+      .withMessage('before must be a history entry ID')
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const task = mongoose.isValidObjectId(req.params.id)
+        ? await Task.findOne({ _id: req.params.id, user: req.user._id })
+        : null;
+
+      if (!task) {
+        return res.status(404).json({
+          success: false,
+          message: 'Task not found'
+        });
+      }
+
+      const limit = parseInt(req.query.limit, 10) || 20;
+      const filter = { task: task._id };
+
+      if (req.query.before) {
+        filter._id = { $lt: req.query.before };
+      }
+
+      // Fetch one extra to know whether there's another page
+      const entries = await TaskHistory.find(filter)
+        .sort({ _id: -1 })
+        .limit(limit + 1)
+        .populate('actor', 'name');
+
+      res.status(200).json({
+        success: true,
+        data: {
+          entries: entries.slice(0, limit),
+          hasMore: entries.length > limit
+        }
+      });
+    } catch (error) {
+      console.error('Get Task History Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching task history',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/tasks/:id/history/:entryId/revert
+ * @desc    Set one field back to the value it had before a history entry
+ * @access  Private
+ */
+router.post(
+  '/:id/history/:entryId/revert',
+  [
+    body('field')
+      .isIn(REVERTABLE_FIELDS)
+      .withMessage(`Field must be one of: ${REVERTABLE_FIELDS.join(', ')}`)
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const task = mongoose.isValidObjectId(req.params.id)
+        ? await Task.findOne({ _id: req.params.id, user: req.user._id })
+        : null;
+      const entry = task && mongoose.isValidObjectId(req.params.entryId)
+        ? await TaskHistory.findOne({ _id: req.params.entryId, task: task._id })
+        : null;
+
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: task ? 'History entry not found' : 'Task not found'
+        });
+      }
+
+      const { field } = req.body;
+      const change = entry.changes.find((item) => item.field === field);
+
+      // Only updates have an earlier value to go back to
+      if (!change || !['updated', 'reverted'].includes(entry.action)) {
+        return res.status(400).json({
+          success: false,
+          message: `That entry did not change ${field}`
+        });
+      }
+
+      const value = change.from;
+      const previousProject = task.project;
+      const before = task.toObject();
+      const beforeSnapshot = task.auditSnapshot();
+
+      if (field === 'project') {
+        if (task.parent) {
+          return res.status(400).json({
+            success: false,
+            message: "Subtasks always live in their parent's project"
+          });
+        }
+
+        const projectError = await checkProject(value, req.user._id);
+        if (projectError) {
+          return res.status(400).json({
+            success: false,
+            message: projectError
+          });
+        }
+        task.project = value || null;
+      } else if (field === 'tags') {
+        const tags = await checkTags(value || [], req.user._id);
+        if (!tags) {
+          return res.status(400).json({
+            success: false,
+            message: 'Tag not found'
+          });
+        }
+        task.tags = tags;
+      } else if (field === 'dueDate') {
+        task.dueDate = value ? new Date(value) : null;
+      } else {
+        task[field] = value ?? '';
+      }
+
+      task.trackSeriesEdits(before, false);
+      await task.save();
+
+      // Same side effects as an ordinary update
+      const nextOccurrence = before.status !== 'completed' && task.status === 'completed'
+        ? await task.spawnNextOccurrence()
+        : null;
+
+      if (!task.parent && String(previousProject) !== String(task.project)) {
+        await Task.moveToProject(req, [task._id], task.project);
+      }
+
+      await TaskHistory.record(req, task, 'reverted', beforeSnapshot, task.auditSnapshot(), {
+        revertOf: entry._id
+      });
+      if (nextOccurrence) {
+        await TaskHistory.record(req, nextOccurrence, 'created', {}, nextOccurrence.auditSnapshot());
+      }
+
+      const [taskWithProgress] = await Task.withProgress([task]);
+
+      res.status(200).json({
+        success: true,
+        message: 'Change reverted',
+        data: {
+          task: taskWithProgress,
+          parents: await getParentsWithProgress([task.parent]),
+          nextOccurrence: nextOccurrence ? (await Task.withProgress([nextOccurrence]))[0] : null
+        }
+      });
+    } catch (error) {
+      console.error('Revert Task Change Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error reverting change',
+        error: error.message
+      });
+    }
+  }
+);
+
 /**
  * @route   POST /api/tasks
  * @desc    Create a new task
@@ -150,7 +827,8 @@ router.post(
     body('priority')
       .optional()
       .isIn(['low', 'medium', 'high'])
-      .withMessage('Invalid priority')
+      .withMessage('Invalid priority'),
+    ...taskDetailRules
   ],
   async (req, res) => {
     try {
@@ -164,22 +842,74 @@ router.post(
         });
       }
 
-      const { title, description, status, priority, dueDate } = req.body;
+      const { title, description, status, priority, dueDate, checklist, parent } = req.body;
+
+      const parentError = await checkParent(parent, req.user._id);
+      if (parentError) {
+        return res.status(400).json({
+          success: false,
+          message: parentError
+        });
+      }
+
+      // Subtasks always live in their parent's project
+      let project = req.body.project || null;
+
+      if (parent) {
+        // The parent may have been trashed since checkParent looked
+        const parentTask = await Task.findById(parent).select('project');
+        if (!parentTask) {
+          return res.status(400).json({
+            success: false,
+            message: 'Parent task not found'
+          });
+        }
+        project = parentTask.project;
+      } else {
+        const projectError = await checkProject(project, req.user._id);
+        if (projectError) {
+          return res.status(400).json({
+            success: false,
+            message: projectError
+          });
+        }
+      }
+
+      const tags = await checkTags(req.body.tags || [], req.user._id);
+      if (!tags) {
+        return res.status(400).json({
+          success: false,
+          message: 'Tag not found'
+        });
+      }
 
       // Create task
-      const task = await Task.create({
+      const task = new Task({
         title,
         description,
         status: status || 'pending',
         priority: priority || 'medium',
         dueDate,
+        checklist: buildChecklist(checklist || []),
+        parent: parent || null,
+        project,
+        tags,
         user: req.user._id
       });
+      task.setReminders(req.body.reminders || []);
+      task.setRecurrence(buildRecurrence(req.body.recurrence));
+      await task.save();
+      await TaskHistory.record(req, task, 'created', {}, task.auditSnapshot());
+
+      const [taskWithProgress] = await Task.withProgress([task]);
 
       res.status(201).json({
         success: true,
         message: 'Task created successfully',
-        data: { task }
+        data: {
+          task: taskWithProgress,
+          parents: await getParentsWithProgress([task.parent])
+        }
       });
     } catch (error) {
       console.error('Create Task Error:', error);
@@ -193,13 +923,193 @@ router.post(
 );
 
 /**
- * @route   PUT /api/tasks/:id
- * @desc    Update a task
+ * @route   POST /api/tasks/bulk
+ * @desc    Apply one change (status, priority, due date shift or delete) to
+ *          many tasks, picked by `ids` or by `filter`. Each task succeeds or
+ *          fails on its own.
+ * @access  Private
+ */
+router.post(
+  '/bulk',
+  [
+    body('action')
+      .isIn(BULK_ACTIONS)
+      .withMessage(`Action must be one of: ${BULK_ACTIONS.join(', ')}`),
+    body('value').custom((value, { req }) => {
+      const { action } = req.body;
+      if (action === 'status' && !['pending', 'in-progress', 'completed'].includes(value)) {
+        throw new Error('Invalid status');
+      }
+      if (action === 'priority' && !['low', 'medium', 'high'].includes(value)) {
+        throw new Error('Invalid priority');
+      }
+      if (action === 'shiftDueDate' && (!Number.isInteger(value) || value === 0 || Math.abs(value) > 3650)) {
+        throw new Error('Value must be a non-zero number of days (up to 3650) to move due dates by');
+      }
+      return true;
+    }),
+    body('ids')
+      .optional()
+      .isArray({ min: 1, max: MAX_BULK_TASKS })
+      .withMessage(`ids must list between 1 and ${MAX_BULK_TASKS} task IDs`),
+    body('ids.*')
+      .isMongoId()
+      .withMessage('Invalid task ID'),
+    body('filter')
+      .optional()
+      .isObject()
+      .withMessage('filter must be an object'),
+    ...filterRules(body, 'filter.'),
+    body().custom((value) => {
+      if (!value.ids === !value.filter) {
+        throw new Error('Send either ids or filter');
+      }
+      return true;
+    })
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { action, value } = req.body;
+      let ids;
+
+      if (req.body.ids) {
+        ids = [...new Set(req.body.ids.map(String))];
+      } else {
+        const { query: filterQuery, error } = await buildTaskQuery(req.user._id, req.body.filter);
+        if (error) {
+          return res.status(400).json({
+            success: false,
+            message: error
+          });
+        }
+
+        const matched = filterQuery
+          ? await Task.find(filterQuery).sort({ createdAt: -1 }).limit(MAX_BULK_TASKS + 1).select('_id')
+          : [];
+        if (matched.length > MAX_BULK_TASKS) {
+          return res.status(400).json({
+            success: false,
+            message: `The filter matches more than ${MAX_BULK_TASKS} tasks; narrow it down`
+          });
+        }
+        ids = matched.map((task) => task._id.toString());
+      }
+
+      // Only the user's own tasks are touched; anything else is "not found"
+      const tasks = await Task.find({ _id: { $in: ids }, user: req.user._id });
+      const tasksById = new Map(tasks.map((task) => [task._id.toString(), task]));
+      const trashedWithParent = new Set();
+      const changedParents = [];
+      const nextOccurrences = [];
+      const results = [];
+
+      for (const id of ids) {
+        const task = tasksById.get(id);
+
+        if (!task) {
+          results.push({ id, success: false, message: 'Task not found' });
+          continue;
+        }
+
+        if (trashedWithParent.has(id)) {
+          results.push({ id, success: true, message: 'Moved to trash with its parent task' });
+          continue;
+        }
+
+        if (action === 'shiftDueDate' && !task.dueDate) {
+          results.push({ id, success: false, message: 'Task has no due date' });
+          continue;
+        }
+
+        try {
+          if (action === 'delete') {
+            const subtasks = await trashTask(req, task);
+            subtasks.forEach((subtask) => trashedWithParent.add(subtask._id.toString()));
+            changedParents.push(task.parent);
+            results.push({ id, success: true });
+            continue;
+          }
+
+          const before = task.toObject();
+          const beforeSnapshot = task.auditSnapshot();
+
+          if (action === 'status') task.status = value;
+          if (action === 'priority') task.priority = value;
+          if (action === 'shiftDueDate') task.dueDate = new Date(task.dueDate.getTime() + value * DAY_MS);
+
+          task.trackSeriesEdits(before, false);
+          await task.save();
+
+          // Completing an occurrence schedules the next one, as in PUT
+          const nextOccurrence = before.status !== 'completed' && task.status === 'completed'
+            ? await task.spawnNextOccurrence()
+            : null;
+
+          await TaskHistory.record(req, task, 'updated', beforeSnapshot, task.auditSnapshot());
+          if (nextOccurrence) {
+            await TaskHistory.record(req, nextOccurrence, 'created', {}, nextOccurrence.auditSnapshot());
+            nextOccurrences.push(nextOccurrence);
+          }
+
+          if (action === 'status') {
+            changedParents.push(task.parent);
+          }
+          results.push({ id, success: true });
+        } catch (error) {
+          console.error(`Bulk Task Error (${id}):`, error);
+          results.push({ id, success: false, message: error.message });
+        }
+      }
+
+      const succeeded = results.filter((result) => result.success).length;
+
+      res.status(200).json({
+        success: true,
+        message: action === 'delete'
+          ? `Moved ${succeeded} of ${results.length} tasks to the trash`
+          : `Updated ${succeeded} of ${results.length} tasks`,
+        data: {
+          results,
+          succeeded,
+          failed: results.length - succeeded,
+          nextOccurrences: await Task.withProgress(nextOccurrences),
+          parents: await getParentsWithProgress(changedParents)
+        }
+      });
+    } catch (error) {
+      console.error('Bulk Task Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating tasks',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/tasks/:id?scope=instance|series
+ * @desc    Update a task. Completing a recurring task creates its next
+ *          occurrence; scope=series also applies edits to the rest of the series.
  * @access  Private
  */
 router.put(
   '/:id',
   [
+    query('scope')
+      .optional()
+      .isIn(['instance', 'series'])
+      .withMessage('Scope must be instance or series'),
     body('title')
       .optional()
       .trim()
@@ -217,7 +1127,8 @@ router.put(
     body('priority')
       .optional()
       .isIn(['low', 'medium', 'high'])
-      .withMessage('Invalid priority')
+      .withMessage('Invalid priority'),
+    ...taskDetailRules
   ],
   async (req, res) => {
     try {
@@ -245,20 +1156,131 @@ router.put(
       }
 
       // Update task
-      const { title, description, status, priority, dueDate } = req.body;
+      const { title, description, status, priority, dueDate, checklist, parent, project } = req.body;
+      const previousParent = task.parent;
+      const previousProject = task.project;
+      const before = task.toObject();
+      const beforeSnapshot = task.auditSnapshot();
+      const seriesWide = req.query.scope === 'series';
+
+      if (parent !== undefined) {
+        const parentError = await checkParent(parent, req.user._id, task);
+        if (parentError) {
+          return res.status(400).json({
+            success: false,
+            message: parentError
+          });
+        }
+      }
+
+      if (project !== undefined) {
+        const projectError = await checkProject(project, req.user._id);
+        if (projectError) {
+          return res.status(400).json({
+            success: false,
+            message: projectError
+          });
+        }
+      }
+
+      let tags;
+      if (req.body.tags !== undefined) {
+        tags = await checkTags(req.body.tags, req.user._id);
+        if (!tags) {
+          return res.status(400).json({
+            success: false,
+            message: 'Tag not found'
+          });
+        }
+      }
       
       if (title) task.title = title;
       if (description !== undefined) task.description = description;
       if (status) task.status = status;
       if (priority) task.priority = priority;
       if (dueDate !== undefined) task.dueDate = dueDate;
+      if (checklist !== undefined) task.checklist = buildChecklist(checklist, task.checklist);
+      if (parent !== undefined) task.parent = parent || null;
+      if (tags) task.tags = tags;
+      if (req.body.reminders !== undefined) task.setReminders(req.body.reminders);
+
+      // Subtasks always live in their parent's project
+      if (task.parent && (parent !== undefined || project !== undefined)) {
+        // The parent may have been trashed since checkParent looked
+        const parentTask = await Task.findById(task.parent).select('project');
+        if (!parentTask) {
+          return res.status(400).json({
+            success: false,
+            message: 'Parent task not found'
+          });
+        }
+        task.project = parentTask.project;
+      } else if (!task.parent && project !== undefined) {
+        task.project = project || null;
+      }
+
+      // Rule changes always apply to the whole series
+      if (req.body.recurrence !== undefined) {
+        task.setRecurrence(buildRecurrence(req.body.recurrence));
+      }
+
+      // Moving a series' due date moves the schedule later occurrences follow
+      if (seriesWide && task.series && task.dueDate && dueDate !== undefined) {
+        task.series.scheduledFor = startOfDay(task.dueDate);
+        task.series.startedOn = task.series.scheduledFor;
+      }
+
+      const changedFields = task.trackSeriesEdits(before, seriesWide);
 
       await task.save();
 
+      // Other open occurrences (e.g. a reopened earlier one) follow series edits
+      const seriesId = task.series?.id || before.series?.id;
+      if (seriesId && (seriesWide || req.body.recurrence !== undefined)) {
+        const seriesUpdate = {};
+        if (seriesWide) {
+          for (const field of changedFields) {
+            seriesUpdate[field] = task.get(field);
+          }
+        }
+        if (req.body.recurrence !== undefined) {
+          seriesUpdate.recurrence = task.recurrence ? task.recurrence.toObject() : null;
+          if (!task.recurrence) seriesUpdate.series = null;
+        }
+
+        if (Object.keys(seriesUpdate).length > 0) {
+          await Task.updateMany(
+            { user: req.user._id, 'series.id': seriesId, _id: { $ne: task._id }, status: { $ne: 'completed' } },
+            seriesUpdate
+          );
+        }
+      }
+
+      // Completing an occurrence schedules the next one
+      const nextOccurrence = before.status !== 'completed' && task.status === 'completed'
+        ? await task.spawnNextOccurrence()
+        : null;
+
+      // Moving a parent task takes its subtasks along
+      if (!task.parent && String(previousProject) !== String(task.project)) {
+        await Task.moveToProject(req, [task._id], task.project);
+      }
+
+      await TaskHistory.record(req, task, 'updated', beforeSnapshot, task.auditSnapshot());
+      if (nextOccurrence) {
+        await TaskHistory.record(req, nextOccurrence, 'created', {}, nextOccurrence.auditSnapshot());
+      }
+
+      const [taskWithProgress] = await Task.withProgress([task]);
+
       res.status(200).json({
         success: true,
         message: 'Task updated successfully',
-        data: { task }
+        data: {
+          task: taskWithProgress,
+          parents: await getParentsWithProgress([previousParent, task.parent]),
+          nextOccurrence: nextOccurrence ? (await Task.withProgress([nextOccurrence]))[0] : null
+        }
       });
     } catch (error) {
       console.error('Update Task Error:', error);
@@ -271,17 +1293,77 @@ router.put(
   }
 );
 
+/**
+ * @route   POST /api/tasks/:id/skip
+ * @desc    Skip an occurrence of a recurring task: it is removed and the
+ *          next occurrence is created
+ * @access  Private
+ */
+router.post('/:id/skip', async (req, res) => {
+  try {
+    const task = mongoose.isValidObjectId(req.params.id)
+      ? await Task.findOne({ _id: req.params.id, user: req.user._id })
+      : null;
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!task.series) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only recurring tasks can be skipped'
+      });
+    }
+
+    if (task.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'This occurrence is already completed'
+      });
+    }
+
+    const nextOccurrence = await task.spawnNextOccurrence();
+    if (nextOccurrence) {
+      await TaskHistory.record(req, nextOccurrence, 'created', {}, nextOccurrence.auditSnapshot());
+    }
+
+    // The occurrence goes for good, with its comments, attachments and
+    // history; its subtasks outlive it as top-level tasks
+    await Task.purge({ _id: task._id });
+
+    res.status(200).json({
+      success: true,
+      message: nextOccurrence ? 'Occurrence skipped' : 'Occurrence skipped. The series has ended.',
+      data: {
+        task,
+        nextOccurrence: nextOccurrence ? (await Task.withProgress([nextOccurrence]))[0] : null,
+        parents: await getParentsWithProgress([task.parent])
+      }
+    });
+  } catch (error) {
+    console.error('Skip Occurrence Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error skipping occurrence',
+      error: error.message
+    });
+  }
+});
+
 /**
  * @route   DELETE /api/tasks/:id
- * @desc    Delete a task
+ * @desc    Move a task, with its subtasks, to the trash
  * @access  Private
  */
 router.delete('/:id', async (req, res) => {
   try {
-    const task = await Task.findOneAndDelete({
-      _id: req.params.id,
-      user: req.user._id
-    });
+    const task = mongoose.isValidObjectId(req.params.id)
+      ? await Task.findOne({ _id: req.params.id, user: req.user._id })
+      : null;
 
     if (!task) {
       return res.status(404).json({
@@ -290,10 +1372,16 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
+    const subtasks = await trashTask(req, task);
+
     res.status(200).json({
       success: true,
-      message: 'Task deleted successfully',
-      data: { task }
+      message: 'Task moved to trash',
+      data: {
+        task,
+        subtaskIds: subtasks.map((subtask) => subtask._id),
+        parents: await getParentsWithProgress([task.parent])
+      }
     });
   } catch (error) {
     console.error('Delete Task Error:', error);
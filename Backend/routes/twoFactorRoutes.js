@@ -0,0 +1,226 @@
+// backend/routes/twoFactorRoutes.js
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const { protect } = require('../middleware/authMiddleware');
+const { passwordConfirmLimiter } = require('../middleware/rateLimiter');
+const { generateSecret, buildOtpauthUri } = require('../utils/totp');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+/**
+ * Validation rule for endpoints guarded by password re-entry
+ */
+const passwordRequired = body('password')
+  .isString()
+  .notEmpty()
+  .withMessage('Password is required');
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start TOTP enrollment - returns a new secret and QR code
+ * @access  Private
+ */
+router.post('/setup', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    // Stays pending until the user proves their app produces valid codes
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    const otpauthUrl = buildOtpauthUri(secret, user.email);
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app',
+      data: { secret, otpauthUrl, qrCode }
+    });
+  } catch (error) {
+    console.error('Two-Factor Setup Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting two-factor setup',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrollment with a code and receive recovery codes
+ * @access  Private
+ */
+router.post(
+  '/enable',
+  [
+    body('code')
+      .isString()
+      .notEmpty()
+      .withMessage('Authentication code is required')
+  ],
+  async (req, res) => {
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const user = await User.findById(req.user._id)
+        .select('+twoFactorPendingSecret');
+
+      if (user.twoFactorEnabled || !user.twoFactorPendingSecret) {
+        return res.status(400).json({
+          success: false,
+          message: 'Start two-factor setup first'
+        });
+      }
+
+      // Check the code against the pending secret
+      user.twoFactorSecret = user.twoFactorPendingSecret;
+
+      if (!(await user.verifyTwoFactorCode(req.body.code))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid authentication code'
+        });
+      }
+
+      user.twoFactorEnabled = true;
+      user.twoFactorPendingSecret = undefined;
+      const recoveryCodes = user.generateRecoveryCodes();
+      await user.save({ validateBeforeSave: false });
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication enabled',
+        data: { recoveryCodes }
+      });
+    } catch (error) {
+      console.error('Two-Factor Enable Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error enabling two-factor authentication',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn off two-factor authentication (requires password)
+ * @access  Private
+ */
+router.post('/disable', passwordConfirmLimiter, [passwordRequired], async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Incorrect password'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastStep = undefined;
+    user.twoFactorRecoveryCodes = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Two-Factor Disable Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling two-factor authentication',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace recovery codes with a new set (requires password)
+ * @access  Private
+ */
+router.post('/recovery-codes', passwordConfirmLimiter, [passwordRequired], async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Incorrect password'
+      });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('Recovery Codes Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating recovery codes',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
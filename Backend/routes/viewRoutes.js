@@ -0,0 +1,330 @@
+// backend/routes/viewRoutes.js
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const SavedView = require('../models/SavedView');
+const Task = require('../models/Task');
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+const { TASK_SORTS, filterRules, buildTaskQuery } = require('../utils/taskQuery');
+const { protect, allowApiTokens, requireVerifiedEmail } = require('../middleware/authMiddleware');
+
+const { GROUP_BY } = SavedView;
+
+const router = express.Router();
+
+// All routes are protected; views are task data, so task-scoped API tokens work here
+router.use(allowApiTokens('tasks'), protect, requireVerifiedEmail);
+
+const MAX_VIEWS_PER_USER = 50;
+
+/**
+ * Validation rules shared by create and update
+ */
+const nameRule = () => body('name')
+  .trim()
+  .isLength({ min: 1, max: 50 })
+  .withMessage('View name must be between 1 and 50 characters');
+
+const viewRules = [
+  body('filters')
+    .optional()
+    .isObject()
+    .withMessage('filters must be an object'),
+  ...filterRules(body, 'filters.'),
+  body('sort')
+    .optional()
+    .isIn(Object.keys(TASK_SORTS))
+    .withMessage(`Sort must be one of: ${Object.keys(TASK_SORTS).join(', ')}`),
+  body('groupBy')
+    .optional()
+    .isIn(GROUP_BY)
+    .withMessage(`groupBy must be one of: ${GROUP_BY.join(', ')}`),
+  body('pinned')
+    .optional()
+    .isBoolean()
+    .withMessage('pinned must be true or false')
+];
+
+/**
+ * Find the current user's view named in the URL
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} - View document
+ */
+const findOwnView = (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return Promise.resolve(null);
+  }
+  return SavedView.findOne({ _id: req.params.id, user: req.user._id });
+};
+
+/**
+ * Turn request filters into stored filters. Tags (IDs or names) are saved
+ * as IDs so renames and merges carry over.
+ * @param {string} userId - Owner
+ * @param {Object} input - filters from the request
+ * @returns {Promise<Object>} - { filters } or { error }
+ */
+const buildFilters = async (userId, input = {}) => {
+  const { q, status, priority, project, tags, tagMode, dueAfter, dueBefore, overdue } = input;
+  const filters = {
+    q: q || '',
+    status: status || '',
+    priority: priority || '',
+    project: '',
+    tags: [],
+    tagMode: tagMode || 'any',
+    dueAfter: dueAfter || '',
+    dueBefore: dueBefore || '',
+    overdue: overdue === true || overdue === 'true'
+  };
+
+  if (project === 'inbox') {
+    filters.project = project;
+  } else if (project) {
+    const exists = mongoose.isValidObjectId(project) && (await Project.exists({ _id: project, user: userId }));
+    if (!exists) {
+      return { error: 'Project not found' };
+    }
+    filters.project = project;
+  }
+
+  if (tags) {
+    const values = [...new Set(String(tags).split(',').map((value) => value.trim()).filter(Boolean))];
+    const matched = await Tag.resolve(userId, values);
+    if (matched.length < values.length) {
+      return { error: 'Unknown tag in filters' };
+    }
+    filters.tags = matched.map((tag) => tag._id);
+  }
+
+  // Search text is checked now so mistakes show up when saving
+  if (filters.q) {
+    const { error } = await buildTaskQuery(userId, { q: filters.q });
+    if (error) {
+      return { error: `Search: ${error}` };
+    }
+  }
+
+  return { filters };
+};
+
+/**
+ * Add the number of matching tasks to views. Relative dates are worked out
+ * as of now, so counts follow the calendar.
+ * @param {Array<Object>} views - View documents
+ * @param {string} userId - Owner
+ * @returns {Promise<Array<Object>>} - Views with count (null and an error if
+ *   the view no longer works, e.g. a tag in its search was deleted)
+ */
+const withCounts = (views, userId) =>
+  Promise.all(
+    views.map(async (view) => {
+      const { query, error } = await buildTaskQuery(userId, view.taskFilters());
+      if (error) {
+        return { ...view.toJSON(), count: null, error };
+      }
+      return { ...view.toJSON(), count: query ? await Task.countDocuments(query) : 0 };
+    })
+  );
+
+/**
+ * Unpin the user's other views, so only one is the landing view
+ * @param {Object} view - View being pinned
+ * @returns {Promise}
+ */
+const unpinOthers = (view) =>
+  SavedView.updateMany({ user: view.user, _id: { $ne: view._id }, pinned: true }, { pinned: false });
+
+/**
+ * @route   GET /api/views
+ * @desc    List the current user's saved views with task counts
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const views = await SavedView.find({ user: req.user._id }).sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: views.length,
+      data: { views: await withCounts(views, req.user._id) }
+    });
+  } catch (error) {
+    console.error('Get Views Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching views',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/views
+ * @desc    Save a view
+ * @access  Private
+ */
+router.post('/', [nameRule(), ...viewRules], async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const count = await SavedView.countDocuments({ user: req.user._id });
+    if (count >= MAX_VIEWS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_VIEWS_PER_USER} views`
+      });
+    }
+
+    const { filters, error } = await buildFilters(req.user._id, req.body.filters);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { name, sort, groupBy, pinned } = req.body;
+
+    const view = await SavedView.create({
+      user: req.user._id,
+      name,
+      filters,
+      sort,
+      groupBy,
+      pinned: pinned === true || pinned === 'true'
+    });
+
+    if (view.pinned) {
+      await unpinOthers(view);
+    }
+
+    const [viewWithCount] = await withCounts([view], req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'View saved',
+      data: { view: viewWithCount }
+    });
+  } catch (error) {
+    console.error('Create View Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving view',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/views/:id
+ * @desc    Rename a view, replace its filters, sort or grouping, or pin/unpin it
+ * @access  Private
+ */
+router.patch('/:id', [nameRule().optional(), ...viewRules], async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const view = await findOwnView(req);
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'View not found'
+      });
+    }
+
+    const { name, sort, groupBy, pinned } = req.body;
+
+    if (req.body.filters !== undefined) {
+      const { filters, error } = await buildFilters(req.user._id, req.body.filters);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+      view.filters = filters;
+    }
+
+    if (name !== undefined) view.name = name;
+    if (sort !== undefined) view.sort = sort;
+    if (groupBy !== undefined) view.groupBy = groupBy;
+    if (pinned !== undefined) view.pinned = pinned === true || pinned === 'true';
+
+    await view.save();
+
+    if (view.pinned) {
+      await unpinOthers(view);
+    }
+
+    const [viewWithCount] = await withCounts([view], req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'View updated',
+      data: { view: viewWithCount }
+    });
+  } catch (error) {
+    console.error('Update View Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating view',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/views/:id
+ * @desc    Delete a view (its tasks are untouched)
+ * @access  Private
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const view = await findOwnView(req);
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'View not found'
+      });
+    }
+
+    await view.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'View deleted',
+      data: { view }
+    });
+  } catch (error) {
+    console.error('Delete View Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting view',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,40 @@
+// backend/scripts/setRole.js
+// Grant or remove a role from the command line - used to create the first admin.
+// Usage: npm run set-role -- <email> <user|admin>
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+
+dotenv.config();
+
+const run = async () => {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !['user', 'admin'].includes(role)) {
+    console.error('Usage: npm run set-role -- <email> <user|admin>');
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { role },
+    { new: true }
+  );
+
+  if (!user) {
+    console.error(`No user found with email ${email}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`✅ ${user.email} is now ${user.role}`);
+  }
+
+  await mongoose.connection.close();
+};
+
+run().catch((error) => {
+  console.error('Set Role Error:', error.message);
+  process.exit(1);
+});
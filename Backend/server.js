@@ -1,12 +1,21 @@
 // backend/server.js
 const express = require('express');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const dotenv = require('dotenv');
 const connectDB = require('./config/db');
+const { startReminderScheduler } = require('./utils/reminderScheduler');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
+const twoFactorRoutes = require('./routes/twoFactorRoutes');
+const apiTokenRoutes = require('./routes/apiTokenRoutes');
 const taskRoutes = require('./routes/taskRoutes');
+const tagRoutes = require('./routes/tagRoutes');
+const projectRoutes = require('./routes/projectRoutes');
+const viewRoutes = require('./routes/viewRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const adminRoutes = require('./routes/adminRoutes');
 
 // Load environment variables
 dotenv.config();
@@ -17,6 +26,12 @@ const app = express();
 // Connect to MongoDB
 connectDB();
 
+// Trust the reverse proxy (e.g. Render) so req.ip is the client address
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Middleware
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'https://taskmanager-webapp-1.onrender.com',
@@ -24,10 +39,18 @@ app.use(cors({
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
 
 // Routes
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/tokens', apiTokenRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/tasks', taskRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/views', viewRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -64,4 +87,7 @@ app.listen(PORT, () => {
   ;
 });
 
+// Send due-date reminders in the background
+startReminderScheduler();
+
 module.exports = app;
\ No newline at end of file
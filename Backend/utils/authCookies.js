@@ -0,0 +1,121 @@
+// backend/utils/authCookies.js
+const { randomToken } = require('./crypto');
+
+/**
+ * Cookie names used in cookie auth mode
+ */
+const ACCESS_COOKIE = 'tm_access';
+const REFRESH_COOKIE = 'tm_refresh';
+const CSRF_COOKIE = 'tm_csrf';
+
+/**
+ * Whether the server runs in cookie auth mode (AUTH_MODE=cookie)
+ * In the default token mode, tokens are returned in the response body.
+ * @returns {boolean}
+ */
+const isCookieMode = () => process.env.AUTH_MODE === 'cookie';
+
+/**
+ * Options shared by every auth cookie
+ * Cross-site deployments (frontend and API on different sites) need
+ * COOKIE_SAME_SITE=none, which browsers only accept on secure cookies.
+ * @returns {Object} - res.cookie options
+ */
+const baseCookieOptions = () => {
+  const sameSite = process.env.COOKIE_SAME_SITE || 'lax';
+  const secure = process.env.COOKIE_SECURE
+    ? process.env.COOKIE_SECURE === 'true'
+    : process.env.NODE_ENV === 'production' || sameSite === 'none';
+
+  return {
+    sameSite,
+    secure,
+    ...(process.env.COOKIE_DOMAIN && { domain: process.env.COOKIE_DOMAIN })
+  };
+};
+
+/**
+ * Cookie lifetime - matches the refresh token lifetime
+ * @returns {number} - Milliseconds
+ */
+const cookieMaxAge = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30;
+  return days * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * Set the CSRF cookie, reusing the request's token if it has one
+ * The value is readable by JS and must be echoed in X-CSRF-Token.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {string} - CSRF token
+ */
+const issueCsrfToken = (req, res) => {
+  const csrfToken = req.cookies?.[CSRF_COOKIE] || randomToken(24);
+
+  res.cookie(CSRF_COOKIE, csrfToken, {
+    ...baseCookieOptions(),
+    httpOnly: false,
+    path: '/',
+    maxAge: cookieMaxAge()
+  });
+
+  return csrfToken;
+};
+
+/**
+ * Store a session's tokens in HttpOnly cookies
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} tokens - { token, refreshToken }
+ * @returns {string} - CSRF token for the client to echo back
+ */
+const setAuthCookies = (req, res, { token, refreshToken }) => {
+  const options = { ...baseCookieOptions(), httpOnly: true, maxAge: cookieMaxAge() };
+
+  res.cookie(ACCESS_COOKIE, token, { ...options, path: '/' });
+  res.cookie(REFRESH_COOKIE, refreshToken, { ...options, path: '/api/auth' });
+
+  return issueCsrfToken(req, res);
+};
+
+/**
+ * Remove every auth cookie (logout, revoked session, deleted account)
+ * @param {Object} res - Express response
+ */
+const clearAuthCookies = (res) => {
+  const options = baseCookieOptions();
+
+  res.clearCookie(ACCESS_COOKIE, { ...options, path: '/' });
+  res.clearCookie(REFRESH_COOKIE, { ...options, path: '/api/auth' });
+  res.clearCookie(CSRF_COOKIE, { ...options, path: '/' });
+};
+
+/**
+ * Hand a session's tokens to the client the way the auth mode expects
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} tokens - { token, refreshToken }
+ * @param {boolean} [useCookies] - Override the mode (e.g. to answer a cookie refresh in kind)
+ * @returns {Object} - Fields to merge into the response's data
+ */
+const deliverAuthTokens = (req, res, tokens, useCookies = isCookieMode()) => {
+  if (!useCookies) {
+    return { token: tokens.token, refreshToken: tokens.refreshToken };
+  }
+
+  // Tokens never reach JavaScript in cookie mode
+  const csrfToken = setAuthCookies(req, res, tokens);
+  return { authMode: 'cookie', csrfToken };
+};
+
+module.exports = {
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  CSRF_COOKIE,
+  isCookieMode,
+  issueCsrfToken,
+  setAuthCookies,
+  clearAuthCookies,
+  deliverAuthTokens
+};
@@ -0,0 +1,23 @@
+// backend/utils/crypto.js
+const crypto = require('crypto');
+
+/**
+ * Generate a random URL-safe token
+ * @param {number} [bytes=32] - Bytes of entropy
+ * @returns {string} - Hex encoded token
+ */
+const randomToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * Hash a token for storage/lookup
+ * Tokens are high-entropy, so a fast hash is enough (unlike passwords)
+ * @param {string} token - Raw token
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+module.exports = { randomToken, hashToken };
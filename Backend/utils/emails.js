@@ -0,0 +1,97 @@
+// backend/utils/emails.js
+const { sendMail } = require('./mailer');
+
+/**
+ * Build an absolute link into the frontend app
+ * @param {string} pathname - Path starting with '/'
+ * @returns {string} - Absolute URL
+ */
+const frontendLink = (pathname) => {
+  const base = process.env.FRONTEND_URL || 'https://taskmanager-webapp-1.onrender.com';
+  return `${base.replace(/\/$/, '')}${pathname}`;
+};
+
+/**
+ * Send the password reset link
+ * @param {Object} user - User document
+ * @param {string} token - Raw reset token
+ * @param {number} minutes - Minutes until the link expires
+ * @returns {Promise<Object>} - Transport result
+ */
+const sendPasswordResetEmail = (user, token, minutes) => {
+  const url = frontendLink(`/reset-password/${token}`);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your TaskManager password',
+    text: `Hi ${user.name},\n\n` +
+      `Someone asked to reset the password for your account. Use the link below to choose a new one:\n\n${url}\n\n` +
+      `The link expires in ${minutes} minutes and can only be used once. If you didn't ask for this, you can ignore this email.`
+  });
+};
+
+/**
+ * Send the reset link after an administrator required a new password
+ * @param {Object} user - User document
+ * @param {string} token - Raw reset token
+ * @param {number} minutes - Minutes until the link expires
+ * @returns {Promise<Object>} - Transport result
+ */
+const sendForcedPasswordResetEmail = (user, token, minutes) => {
+  const url = frontendLink(`/reset-password/${token}`);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Your TaskManager password needs to be reset',
+    text: `Hi ${user.name},\n\n` +
+      `An administrator has required a password reset on your account, and you've been signed out everywhere. ` +
+      `Use the link below to choose a new password:\n\n${url}\n\n` +
+      `The link expires in ${minutes} minutes. If it runs out, use "Forgot password" on the sign-in page to get a new one.`
+  });
+};
+
+/**
+ * Send the email verification link
+ * Goes to the pending address when the user is changing their email
+ * @param {Object} user - User document
+ * @param {string} token - Raw verification token
+ * @param {number} hours - Hours until the link expires
+ * @returns {Promise<Object>} - Transport result
+ */
+const sendVerificationEmail = (user, token, hours) => {
+  const url = frontendLink(`/verify-email/${token}`);
+
+  return sendMail({
+    to: user.pendingEmail || user.email,
+    subject: 'Verify your TaskManager email address',
+    text: `Hi ${user.name},\n\n` +
+      `Please confirm this is your email address by opening the link below:\n\n${url}\n\n` +
+      `The link expires in ${hours} hours. If you didn't create an account, you can ignore this email.`
+  });
+};
+
+/**
+ * Send a due-date reminder for a task
+ * @param {Object} user - User document
+ * @param {Object} reminder - { title, message } from the reminder scheduler
+ * @returns {Promise<Object>} - Transport result
+ */
+const sendTaskReminderEmail = (user, reminder) => {
+  const url = frontendLink('/dashboard');
+
+  return sendMail({
+    to: user.email,
+    subject: reminder.title,
+    text: `Hi ${user.name},\n\n` +
+      `${reminder.message}\n\nOpen your tasks: ${url}\n\n` +
+      `You're getting this because the task has a reminder set. Edit the task to change or remove it.`
+  });
+};
+
+module.exports = {
+  frontendLink,
+  sendPasswordResetEmail,
+  sendForcedPasswordResetEmail,
+  sendVerificationEmail,
+  sendTaskReminderEmail
+};
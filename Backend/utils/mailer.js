@@ -0,0 +1,102 @@
+// backend/utils/mailer.js
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Mail transports
+ * A transport is any object with `send(message)` returning a Promise.
+ * Pick one with MAIL_TRANSPORT (smtp | file | console), or plug in your
+ * own with setTransport().
+ */
+const transports = {
+  /**
+   * Send through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE)
+   */
+  smtp: () => {
+    // Required lazily so the other transports work without nodemailer configured
+    const nodemailer = require('nodemailer');
+
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+
+    return {
+      send: (message) => transporter.sendMail(message)
+    };
+  },
+
+  /**
+   * Write each message as a JSON file (MAIL_FILE_DIR) - handy for local testing
+   */
+  file: () => {
+    const dir = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'taskmanager-mail');
+
+    return {
+      send: async (message) => {
+        await fs.mkdir(dir, { recursive: true });
+        const file = path.join(dir, `${Date.now()}-${message.to}.json`);
+        await fs.writeFile(file, JSON.stringify(message, null, 2));
+        return { file };
+      }
+    };
+  },
+
+  /**
+   * Print messages to the console (default)
+   */
+  console: () => ({
+    send: async (message) => {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+      return {};
+    }
+  })
+};
+
+let activeTransport = null;
+
+/**
+ * Create a transport by name
+ * @param {string} name - smtp | file | console
+ * @returns {Object} - Transport with send(message)
+ */
+const createTransport = (name) => {
+  const factory = transports[name];
+
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  return factory();
+};
+
+/**
+ * Replace the active transport (e.g. with a custom or test transport)
+ * @param {Object} transport - Object with send(message)
+ */
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * Send an email through the active transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} - Transport result
+ */
+const sendMail = (message) => {
+  if (!activeTransport) {
+    activeTransport = createTransport(process.env.MAIL_TRANSPORT || 'console');
+  }
+
+  return activeTransport.send({
+    from: process.env.MAIL_FROM || 'TaskManager <no-reply@taskmanager.local>',
+    ...message
+  });
+};
+
+module.exports = { sendMail, setTransport, createTransport };
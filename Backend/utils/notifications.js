@@ -0,0 +1,71 @@
+// backend/utils/notifications.js
+const Notification = require('../models/Notification');
+
+/**
+ * Store a notification
+ * Notifications are a side effect of something else (a sign-in, a
+ * scheduler run), so failures are logged rather than thrown.
+ * @param {Object} fields - Notification fields (with `key` to store it only once)
+ * @returns {Promise<Object|null>} - New notification, or null
+ */
+const notify = async (fields) => {
+  try {
+    return await Notification.createOnce(fields);
+  } catch (error) {
+    console.error('Notification Error:', error);
+    return null;
+  }
+};
+
+/**
+ * Tell a user about a failed sign-in to their account
+ * Only the first failure in a row and the lockout are reported, so a
+ * password-guessing run doesn't bury other notifications.
+ * @param {Object} user - User document (after registerFailedLogin)
+ * @param {Object} req - Express request (for the client address)
+ * @param {Date|null} lockUntil - Set when this attempt locked the account
+ * @returns {Promise<Object|null>} - New notification, or null
+ */
+const notifyFailedLogin = (user, req, lockUntil) => {
+  if (lockUntil) {
+    return notify({
+      user: user._id,
+      type: 'security',
+      title: 'Account temporarily locked',
+      message: `Too many failed sign-in attempts (last from ${req.ip}). ` +
+        `Sign-in is blocked until ${lockUntil.toISOString()}. If this wasn't you, change your password.`
+    });
+  }
+
+  if (user.failedLoginAttempts !== 1) {
+    return Promise.resolve(null);
+  }
+
+  return notify({
+    user: user._id,
+    type: 'security',
+    title: 'Failed sign-in attempt',
+    message: `Someone entered a wrong password or code for your account from ${req.ip}. ` +
+      'If this wasn\'t you, consider changing your password.'
+  });
+};
+
+/**
+ * Tell a task's owner that it is overdue (once per due date)
+ * @param {Object} task - Task document
+ * @returns {Promise<Object|null>} - New notification, or null
+ */
+const notifyOverdue = (task) => {
+  const day = task.dueDate.toISOString().split('T')[0];
+
+  return notify({
+    user: task.user._id || task.user,
+    type: 'overdue',
+    title: `Overdue: ${task.title}`,
+    message: `"${task.title}" was due on ${day} and isn't completed yet.`,
+    task: task._id,
+    key: `overdue:${task._id}:${day}`
+  });
+};
+
+module.exports = { notify, notifyFailedLogin, notifyOverdue };
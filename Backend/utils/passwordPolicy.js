@@ -0,0 +1,142 @@
+// backend/utils/passwordPolicy.js
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+
+/**
+ * Password policy shared by signup, reset and change-password.
+ * The same config is served to the frontend (GET /api/auth/password-policy)
+ * so its strength meter applies identical rules.
+ */
+
+/**
+ * Read a boolean env flag
+ * @param {string} name - Variable name
+ * @param {boolean} fallback - Value when unset
+ * @returns {boolean}
+ */
+const flag = (name, fallback) => {
+  const value = process.env[name];
+  return value === undefined ? fallback : value === 'true';
+};
+
+/**
+ * Current policy (read at call time so .env is loaded)
+ * @returns {Object} - Policy config
+ */
+const getPasswordPolicy = () => ({
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+  requireLowercase: flag('PASSWORD_REQUIRE_LOWERCASE', true),
+  requireUppercase: flag('PASSWORD_REQUIRE_UPPERCASE', true),
+  requireNumber: flag('PASSWORD_REQUIRE_NUMBER', true),
+  requireSymbol: flag('PASSWORD_REQUIRE_SYMBOL', false),
+  disallowPersonalInfo: flag('PASSWORD_DISALLOW_PERSONAL_INFO', true),
+  historyCount: parseInt(process.env.PASSWORD_HISTORY_COUNT, 10) || 5
+});
+
+let commonPasswords = null;
+
+/**
+ * Lazily load the bundled common/breached password list
+ * @returns {Set<string>} - Lowercase passwords
+ */
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    const file = path.join(__dirname, '..', 'data', 'common-passwords.txt');
+    commonPasswords = new Set(
+      fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith('#'))
+    );
+  }
+
+  return commonPasswords;
+};
+
+/**
+ * Check a password against the policy rules that don't need the database
+ * @param {string} password - Candidate password
+ * @param {Object} [person] - { name, email } of the account owner
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+const validatePassword = (password, person = {}) => {
+  const policy = getPasswordPolicy();
+  const errors = [];
+  const value = String(password || '');
+  const lower = value.toLowerCase();
+
+  if (value.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters`);
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(value)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+  if (policy.requireNumber && !/\d/.test(value)) {
+    errors.push('Password must contain a number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    errors.push('Password must contain a symbol');
+  }
+
+  if (policy.disallowPersonalInfo) {
+    const emailName = (person.email || '').split('@')[0].toLowerCase();
+    const nameParts = (person.name || '').toLowerCase().split(/\s+/);
+
+    // Ignore very short fragments - "Al" shouldn't ban every password with "al"
+    const personal = [emailName, ...nameParts].filter((part) => part.length >= 3);
+
+    if (personal.some((part) => lower.includes(part))) {
+      errors.push('Password must not contain your name or email');
+    }
+  }
+
+  if (getCommonPasswords().has(lower)) {
+    errors.push('This password is too common or has appeared in a data breach');
+  }
+
+  return errors;
+};
+
+/**
+ * Check whether a password matches the current or a recent password
+ * @param {string} password - Candidate password
+ * @param {Object} user - User document with password and passwordHistory selected
+ * @returns {Promise<boolean>} - True if the password was used recently
+ */
+const isRecentlyUsed = async (password, user) => {
+  const { historyCount } = getPasswordPolicy();
+  const hashes = [user.password, ...(user.passwordHistory || []).slice(-historyCount)]
+    .filter(Boolean);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Run every policy check, including reuse when a user is given
+ * @param {string} password - Candidate password
+ * @param {Object} person - { name, email } or a User document
+ * @param {Object} [user] - User document (with password/passwordHistory) to check reuse against
+ * @returns {Promise<Array<string>>} - Error messages (empty if valid)
+ */
+const checkPassword = async (password, person, user) => {
+  const errors = validatePassword(password, person);
+  const { historyCount } = getPasswordPolicy();
+
+  if (user && (await isRecentlyUsed(password, user))) {
+    errors.push(`Password must not match any of your last ${historyCount} passwords`);
+  }
+
+  return errors;
+};
+
+module.exports = { getPasswordPolicy, validatePassword, checkPassword };
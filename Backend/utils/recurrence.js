@@ -0,0 +1,102 @@
+// backend/utils/recurrence.js
+// Date math for recurring tasks. All dates are whole UTC days, matching how
+// due dates from <input type="date"> are stored.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+/**
+ * Truncate a date to midnight UTC
+ * @param {Date|string|number} value - Any date
+ * @returns {Date}
+ */
+const startOfDay = (value) => {
+  const date = new Date(value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * Add whole days to a date
+ * @param {Date} date - Start date
+ * @param {number} days - Days to add
+ * @returns {Date}
+ */
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+/**
+ * Number of days in a month
+ * @param {number} year - Full year
+ * @param {number} month - 0-based month (may overflow; Date.UTC normalizes it)
+ * @returns {number}
+ */
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Sunday that starts the week containing a date
+ * @param {Date} date - Any UTC day
+ * @returns {Date}
+ */
+const startOfWeek = (date) => addDays(date, -date.getUTCDay());
+
+/**
+ * Work out the date after `from` that a rule falls on
+ * @param {Object} rule - { frequency, interval, weekdays, monthDay }
+ * @param {Date} from - Date of the current occurrence
+ * @param {Date} seriesStart - Date of the first occurrence (anchors "every N weeks")
+ * @returns {Date|null} - null only for a weekly rule with no valid weekdays
+ */
+const nextDate = (rule, from, seriesStart = from) => {
+  const current = startOfDay(from);
+  const interval = rule.interval || 1;
+
+  if (rule.frequency === 'daily') {
+    return addDays(current, interval);
+  }
+
+  if (rule.frequency === 'weekly') {
+    const weekdays = rule.weekdays && rule.weekdays.length > 0 ? rule.weekdays : [current.getUTCDay()];
+    const anchor = startOfWeek(startOfDay(seriesStart));
+
+    // Every matching day is found within interval + 1 weeks
+    for (let offset = 1; offset <= 7 * (interval + 1); offset += 1) {
+      const candidate = addDays(current, offset);
+      const weeksSinceStart = Math.round((startOfWeek(candidate) - anchor) / (7 * DAY_MS));
+
+      if (weeksSinceStart % interval === 0 && weekdays.includes(candidate.getUTCDay())) {
+        return candidate;
+      }
+    }
+
+    return null;
+  }
+
+  // Monthly: same day of the month, clamped to short months (31st -> 30th/28th)
+  const monthDay = rule.monthDay || current.getUTCDate();
+  const year = current.getUTCFullYear();
+  const month = current.getUTCMonth() + interval;
+
+  return new Date(Date.UTC(year, month, Math.min(monthDay, daysInMonth(year, month))));
+};
+
+/**
+ * Work out the next occurrence of a series, respecting its end
+ * @param {Object} rule - Recurrence rule ({ ..., endDate, count })
+ * @param {Object} series - { occurrence, scheduledFor, startedOn }
+ * @returns {Date|null} - Next date, or null once the series has ended
+ */
+const nextOccurrence = (rule, series) => {
+  if (rule.count && series.occurrence >= rule.count) {
+    return null;
+  }
+
+  const date = nextDate(rule, series.scheduledFor, series.startedOn);
+
+  if (!date || (rule.endDate && date > startOfDay(rule.endDate))) {
+    return null;
+  }
+
+  return date;
+};
+
+module.exports = { FREQUENCIES, startOfDay, addDays, nextDate, nextOccurrence };
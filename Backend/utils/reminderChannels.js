@@ -0,0 +1,168 @@
+// backend/utils/reminderChannels.js
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const Notification = require('../models/Notification');
+const { sendTaskReminderEmail } = require('./emails');
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+/**
+ * POST a body to a URL (http or https), giving up after WEBHOOK_TIMEOUT_MS
+ * @param {string} url - Target URL
+ * @param {Object} headers - Request headers
+ * @param {string} body - Request body
+ * @returns {Promise<number>} - Response status code
+ */
+const postWebhook = (url, headers, body) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    const req = client.request(
+      target,
+      { method: 'POST', headers: { ...headers, 'Content-Length': Buffer.byteLength(body) } },
+      (res) => {
+        res.resume(); // The body isn't needed
+        res.on('end', () => resolve(res.statusCode));
+        res.on('error', reject);
+      }
+    );
+
+    req.setTimeout(WEBHOOK_TIMEOUT_MS, () => {
+      req.destroy(new Error(`Webhook timed out after ${WEBHOOK_TIMEOUT_MS / 1000} seconds`));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+
+/**
+ * Reminder channels
+ * A channel is any object with `send(reminder)` returning a Promise, where
+ * reminder is { key, user, task, offset, title, message }. `key` is the same
+ * every time a given reminder is delivered, so receivers can drop repeats.
+ * Pick channels with REMINDER_CHANNELS (comma-separated, default
+ * "inapp,email"), or plug in your own with registerChannel().
+ */
+const channels = {
+  /**
+   * Store an in-app notification
+   */
+  inapp: () => ({
+    send: (reminder) => Notification.createOnce({
+      user: reminder.user._id,
+      type: 'reminder',
+      title: reminder.title,
+      message: reminder.message,
+      task: reminder.task._id,
+      key: reminder.key
+    })
+  }),
+
+  /**
+   * Email the task owner through the mail transport (verified addresses only)
+   */
+  email: () => ({
+    send: async (reminder) => {
+      if (!reminder.user.emailVerified) {
+        return { skipped: 'unverified email' };
+      }
+      return sendTaskReminderEmail(reminder.user, reminder);
+    }
+  }),
+
+  /**
+   * POST the reminder as JSON to REMINDER_WEBHOOK_URL
+   * With REMINDER_WEBHOOK_SECRET set, the body is signed with HMAC-SHA256
+   * in the X-TaskManager-Signature header ("sha256=<hex>").
+   */
+  webhook: () => {
+    const url = process.env.REMINDER_WEBHOOK_URL;
+    const secret = process.env.REMINDER_WEBHOOK_SECRET;
+
+    if (!url) {
+      throw new Error('REMINDER_WEBHOOK_URL is required for the webhook reminder channel');
+    }
+
+    return {
+      send: async (reminder) => {
+        const body = JSON.stringify({
+          event: 'task.reminder',
+          key: reminder.key,
+          user: { id: reminder.user._id, email: reminder.user.email },
+          task: { id: reminder.task._id, title: reminder.task.title, dueDate: reminder.task.dueDate },
+          offset: reminder.offset,
+          title: reminder.title,
+          message: reminder.message
+        });
+
+        const headers = { 'Content-Type': 'application/json', 'Idempotency-Key': reminder.key };
+        if (secret) {
+          headers['X-TaskManager-Signature'] =
+            `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+        }
+
+        const status = await postWebhook(url, headers, body);
+
+        if (status < 200 || status >= 300) {
+          throw new Error(`Webhook responded with ${status}`);
+        }
+        return { status };
+      }
+    };
+  }
+};
+
+let activeChannels = null;
+
+/**
+ * Create a channel by name
+ * @param {string} name - inapp | email | webhook (or a registered name)
+ * @returns {Object} - Channel with send(reminder)
+ */
+const createChannel = (name) => {
+  const factory = channels[name];
+
+  if (!factory) {
+    throw new Error(`Unknown reminder channel: ${name}`);
+  }
+
+  return factory();
+};
+
+/**
+ * Add a channel factory that REMINDER_CHANNELS can name
+ * @param {string} name - Channel name
+ * @param {Function} factory - Returns an object with send(reminder)
+ */
+const registerChannel = (name, factory) => {
+  channels[name] = factory;
+  activeChannels = null;
+};
+
+/**
+ * Replace the active channels (e.g. with test channels)
+ * @param {Object} named - name -> channel with send(reminder)
+ */
+const setChannels = (named) => {
+  activeChannels = new Map(Object.entries(named));
+};
+
+/**
+ * Channels reminders are delivered through
+ * @returns {Map<string, Object>} - name -> channel
+ */
+const getChannels = () => {
+  if (!activeChannels) {
+    const names = (process.env.REMINDER_CHANNELS || 'inapp,email')
+      .split(',')
+      .map((name) => name.trim())
+      .filter(Boolean);
+
+    activeChannels = new Map(names.map((name) => [name, createChannel(name)]));
+  }
+
+  return activeChannels;
+};
+
+module.exports = { createChannel, registerChannel, setChannels, getChannels };
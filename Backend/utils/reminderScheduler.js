@@ -0,0 +1,257 @@
+// backend/utils/reminderScheduler.js
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const { startOfDay } = require('./recurrence');
+const { getChannels } = require('./reminderChannels');
+const { notifyOverdue } = require('./notifications');
+
+const BATCH_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tasks overdue for longer than this when the check first sees them are left alone
+const OVERDUE_LOOKBACK_DAYS = 7;
+
+/**
+ * Describe when a task is due, e.g. "is due tomorrow"
+ * Due dates are whole days, so this counts days rather than hours.
+ * @param {Date} dueDate - Due date
+ * @param {Date} now - Current time
+ * @returns {string}
+ */
+const describeDueDay = (dueDate, now) => {
+  const days = Math.round((startOfDay(dueDate) - startOfDay(now)) / DAY_MS);
+
+  if (days < 0) {
+    return 'is now overdue';
+  }
+  if (days === 0) {
+    return 'is due today';
+  }
+  if (days === 1) {
+    return 'is due tomorrow';
+  }
+  return `is due in ${days} days`;
+};
+
+/**
+ * Mark a reminder sent, unless someone else already has
+ * Claiming before delivering means a restart or a second server never
+ * sends the same reminder twice.
+ * @param {Object} task - Task document
+ * @param {Object} reminder - Reminder subdocument
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>} - Whether this call claimed it
+ */
+const claimReminder = async (task, reminder, now) => {
+  const { modifiedCount } = await Task.updateOne(
+    {
+      _id: task._id,
+      reminders: { $elemMatch: { _id: reminder._id, sentAt: null, remindAt: reminder.remindAt } }
+    },
+    { $set: { 'reminders.$.sentAt': now } },
+    { timestamps: false }
+  );
+
+  return modifiedCount === 1;
+};
+
+/**
+ * Send a reminder through every channel
+ * @param {Object} task - Task document with `user` populated
+ * @param {Object} reminder - Reminder subdocument
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>} - Whether every channel succeeded
+ */
+const deliverReminder = async (task, reminder, now) => {
+  const payload = {
+    key: `reminder:${task._id}:${reminder._id}:${reminder.remindAt.toISOString()}`,
+    user: task.user,
+    task,
+    offset: reminder.offset,
+    title: `Reminder: ${task.title}`,
+    message: `"${task.title}" ${describeDueDay(task.dueDate, now)}.`
+  };
+
+  const channels = [...getChannels()];
+  const results = await Promise.allSettled(channels.map(([, channel]) => channel.send(payload)));
+
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      console.error(`Reminder Delivery Error (${channels[index][0]}):`, result.reason);
+    }
+  });
+
+  return results.every((result) => result.status === 'fulfilled');
+};
+
+/**
+ * Send every reminder that has come due
+ * Reminders more than REMINDER_GRACE_MINUTES (default 60) late - e.g. the
+ * server was down, or the reminder was added after its time - are dropped.
+ * When several of a task's reminders are due at once, only the closest to
+ * the due date is sent.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} - { sent, failed }
+ */
+const runReminders = async (now = new Date()) => {
+  const graceMs = (parseInt(process.env.REMINDER_GRACE_MINUTES, 10) || 60) * 60 * 1000;
+  const window = { $gt: new Date(now.getTime() - graceMs), $lte: now };
+  const summary = { sent: 0, failed: 0 };
+  let lastId = null;
+
+  for (;;) {
+    const tasks = await Task.find({
+      status: { $ne: 'completed' },
+      reminders: { $elemMatch: { sentAt: null, remindAt: window } },
+      ...(lastId && { _id: { $gt: lastId } })
+    })
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE)
+      .populate('user', 'name email emailVerified disabledAt');
+
+    for (const task of tasks) {
+      const due = task.reminders.filter(
+        (reminder) => !reminder.sentAt && reminder.remindAt > window.$gt && reminder.remindAt <= now
+      );
+
+      const claimed = [];
+      for (const reminder of due) {
+        if (await claimReminder(task, reminder, now)) {
+          claimed.push(reminder);
+        }
+      }
+
+      // Owner deleted or disabled: the reminders are used up without sending
+      if (claimed.length === 0 || !task.user || task.user.disabledAt) {
+        continue;
+      }
+
+      const closest = claimed.reduce((a, b) => (b.offset < a.offset ? b : a));
+      if (await deliverReminder(task, closest, now)) {
+        summary.sent += 1;
+      } else {
+        summary.failed += 1;
+      }
+    }
+
+    if (tasks.length < BATCH_SIZE) {
+      return summary;
+    }
+    lastId = tasks[tasks.length - 1]._id;
+  }
+};
+
+/**
+ * Notify owners of tasks that have become overdue
+ * Due dates are whole days, so a task is overdue once its due day has ended.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} - Notifications sent
+ */
+const runOverdueChecks = async (now = new Date()) => {
+  const endedBefore = new Date(now.getTime() - DAY_MS);
+  const since = new Date(endedBefore.getTime() - OVERDUE_LOOKBACK_DAYS * DAY_MS);
+  let notified = 0;
+  let lastId = null;
+
+  for (;;) {
+    const tasks = await Task.find({
+      status: { $ne: 'completed' },
+      dueDate: { $gt: since, $lte: endedBefore },
+      overdueNotifiedAt: null,
+      ...(lastId && { _id: { $gt: lastId } })
+    })
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE)
+      .populate('user', 'disabledAt');
+
+    for (const task of tasks) {
+      const { modifiedCount } = await Task.updateOne(
+        { _id: task._id, dueDate: task.dueDate, overdueNotifiedAt: null },
+        { overdueNotifiedAt: now },
+        { timestamps: false }
+      );
+
+      if (modifiedCount === 1 && task.user && !task.user.disabledAt && await notifyOverdue(task)) {
+        notified += 1;
+      }
+    }
+
+    if (tasks.length < BATCH_SIZE) {
+      return notified;
+    }
+    lastId = tasks[tasks.length - 1]._id;
+  }
+};
+
+/**
+ * Delete tasks that have been in the trash for longer than TRASH_RETENTION_DAYS
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} - Tasks deleted
+ */
+const runTrashPurge = (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - Task.trashRetentionDays() * DAY_MS);
+  return Task.purge({ deletedAt: { $lte: cutoff } });
+};
+
+let timer = null;
+let running = false;
+
+/**
+ * Check for due reminders and overdue tasks, and empty old trash, every
+ * REMINDER_INTERVAL_SECONDS (default 60)
+ * Set REMINDERS_ENABLED=false to turn the scheduler off (e.g. on all but
+ * one server, although claiming makes several schedulers safe).
+ * @returns {Object|null} - Interval handle, or null if not started
+ */
+const startReminderScheduler = () => {
+  if (timer || process.env.REMINDERS_ENABLED === 'false') {
+    return null;
+  }
+
+  try {
+    getChannels(); // Report channel misconfiguration at startup
+  } catch (error) {
+    console.error('Reminder Scheduler Error:', error.message);
+    return null;
+  }
+
+  const seconds = parseInt(process.env.REMINDER_INTERVAL_SECONDS, 10) || 60;
+
+  timer = setInterval(async () => {
+    // Skip while disconnected, and never overlap a slow run
+    if (running || mongoose.connection.readyState !== 1) {
+      return;
+    }
+
+    running = true;
+    try {
+      await runReminders();
+      await runOverdueChecks();
+      await runTrashPurge();
+    } catch (error) {
+      console.error('Reminder Scheduler Error:', error);
+    } finally {
+      running = false;
+    }
+  }, seconds * 1000);
+  timer.unref();
+
+  return timer;
+};
+
+/**
+ * Stop the scheduler
+ */
+const stopReminderScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  runReminders,
+  runOverdueChecks,
+  runTrashPurge,
+  startReminderScheduler,
+  stopReminderScheduler,
+  describeDueDay
+};
@@ -0,0 +1,119 @@
+// backend/utils/storage.js
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+
+/**
+ * File storage drivers
+ * A driver is any object with:
+ *   put(key, buffer, { contentType }) -> Promise
+ *   get(key) -> Promise<Readable>
+ *   remove(key) -> Promise (resolves even if the file is already gone)
+ * Keys are generated by the app (never user file names). Pick one with
+ * STORAGE_DRIVER (local | s3), or plug in your own with setDriver().
+ */
+const drivers = {
+  /**
+   * Keep files on the server's disk under STORAGE_DIR (default backend/uploads)
+   */
+  local: () => {
+    const root = path.resolve(process.env.STORAGE_DIR || path.join(__dirname, '..', 'uploads'));
+
+    // Keys must stay inside the storage directory
+    const resolve = (key) => {
+      const file = path.resolve(root, key);
+      if (!file.startsWith(root + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+      }
+      return file;
+    };
+
+    return {
+      put: async (key, buffer) => {
+        const file = resolve(key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, buffer);
+      },
+      get: async (key) => {
+        const file = resolve(key);
+        await fs.promises.access(file);
+        return fs.createReadStream(file);
+      },
+      remove: (key) => fs.promises.rm(resolve(key), { force: true })
+    };
+  },
+
+  /**
+   * Store files in an S3-compatible bucket (AWS, MinIO, R2...)
+   * Needs `npm install @aws-sdk/client-s3` and S3_BUCKET, plus S3_REGION,
+   * S3_ENDPOINT (for non-AWS stores) and S3_ACCESS_KEY_ID/S3_SECRET_ACCESS_KEY
+   * unless the SDK finds credentials itself.
+   */
+  s3: () => {
+    // Required lazily so the local driver works without the AWS SDK installed
+    const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) {
+      throw new Error('S3_BUCKET is required for the s3 storage driver');
+    }
+
+    const client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: !!process.env.S3_ENDPOINT,
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+        : undefined
+    });
+
+    return {
+      put: (key, buffer, { contentType } = {}) =>
+        client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType })),
+      get: async (key) => {
+        const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return Body instanceof Readable ? Body : Readable.fromWeb(Body);
+      },
+      remove: (key) => client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }))
+    };
+  }
+};
+
+let activeDriver = null;
+
+/**
+ * Create a driver by name
+ * @param {string} name - local | s3
+ * @returns {Object} - Driver with put/get/remove
+ */
+const createDriver = (name) => {
+  const factory = drivers[name];
+
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  return factory();
+};
+
+/**
+ * Replace the active driver (e.g. with a custom or test driver)
+ * @param {Object} driver - Object with put/get/remove
+ */
+const setDriver = (driver) => {
+  activeDriver = driver;
+};
+
+/**
+ * The driver files are stored with
+ * @returns {Object} - Driver with put/get/remove
+ */
+const getStorage = () => {
+  if (!activeDriver) {
+    activeDriver = createDriver(process.env.STORAGE_DRIVER || 'local');
+  }
+
+  return activeDriver;
+};
+
+module.exports = { getStorage, setDriver, createDriver };
@@ -0,0 +1,278 @@
+// backend/utils/taskQuery.js
+// Filtering, sorting and cursor pagination for task lists.
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Tag = require('../models/Tag');
+const { startOfDay } = require('./recurrence');
+const { parseDay, compileSearch } = require('./taskSearch');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+const PRIORITY_RANK = { low: 1, medium: 2, high: 3 };
+
+/**
+ * Sort orders as [field, direction] pairs. Each ends in _id so the order is
+ * total and a cursor always points at one spot. priorityRank and dueMissing
+ * are computed (see COMPUTED_FIELDS).
+ */
+const TASK_SORTS = {
+  newest: [['createdAt', -1], ['_id', -1]],
+  oldest: [['createdAt', 1], ['_id', 1]],
+  title: [['title', 1], ['_id', 1]],
+  dueDate: [['dueMissing', 1], ['dueDate', 1], ['_id', 1]], // Tasks without a due date last
+  priority: [['priorityRank', -1], ['createdAt', -1], ['_id', -1]] // High > medium > low, then newest
+};
+
+const COMPUTED_FIELDS = {
+  priorityRank: {
+    $switch: {
+      branches: Object.entries(PRIORITY_RANK).map(([priority, rank]) => ({
+        case: { $eq: ['$priority', priority] },
+        then: rank
+      })),
+      default: 0
+    }
+  },
+  dueMissing: { $cond: [{ $ifNull: ['$dueDate', false] }, 0, 1] }
+};
+
+/**
+ * Validation rules for the task list filters
+ * @param {Function} location - Makes a chain for field names (query or body)
+ * @param {string} prefix - Put before each name, e.g. "filter." for a nested object
+ * @returns {Array} - Validation chains
+ */
+const filterRules = (location, prefix = '') => {
+  const field = (names) => location([].concat(names).map((name) => `${prefix}${name}`));
+
+  return [
+    field('status')
+      .optional()
+      .isIn(['pending', 'in-progress', 'completed'])
+      .withMessage('Invalid status'),
+    field('priority')
+      .optional()
+      .isIn(['low', 'medium', 'high'])
+      .withMessage('Invalid priority'),
+    field(['project', 'tags'])
+      .optional()
+      .isString()
+      .withMessage('project and tags must be text'),
+    field('tagMode')
+      .optional()
+      .isIn(['any', 'all'])
+      .withMessage('tagMode must be any or all'),
+    field('q')
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('Search must be text of at most 500 characters'),
+    field(['dueAfter', 'dueBefore'])
+      .optional()
+      .custom((value) => parseDay(String(value)) !== null || !Number.isNaN(Date.parse(value)))
+      .withMessage('Due date filters must be dates or relative days (today, +7d)'),
+    field('overdue')
+      .optional()
+      .isBoolean()
+      .withMessage('overdue must be true or false')
+  ];
+};
+
+/**
+ * A due date filter as a UTC day
+ * @param {string} value - A date, or a relative day like today or +7d
+ * @returns {Date}
+ */
+const filterDay = (value) => parseDay(String(value)) || startOfDay(value);
+
+/**
+ * Build the Mongo query for the task list filters
+ * @param {string} userId - Owner
+ * @param {Object} filters - { status, priority, project, tags, tagMode, q,
+ *   dueAfter, dueBefore, overdue } (project: a project ID or "inbox"; tags:
+ *   comma-separated IDs or names; q: search text, see utils/taskSearch.js;
+ *   due dates are inclusive days and may be relative, like today or +7d)
+ * @returns {Promise<Object>} - { query, sort } where query is null when
+ *   nothing can match (e.g. an unknown tag with tagMode=all) and sort is set
+ *   by a sort: term in q; or { query: null, error, position? } (position: where
+ *   in q a search error is)
+ */
+const buildTaskQuery = async (userId, filters) => {
+  const { status, priority, project, tags, tagMode, q, dueAfter, dueBefore, overdue } = filters;
+  const query = { user: userId };
+  const and = []; // Conditions that may repeat a field
+
+  if (status) {
+    query.status = status;
+  }
+
+  if (priority) {
+    query.priority = priority;
+  }
+
+  // Project filter: a project ID, or "inbox" for tasks in no project
+  if (project === 'inbox') {
+    query.project = null;
+  } else if (project) {
+    if (!mongoose.isValidObjectId(project)) {
+      return { query: null, error: 'Invalid project' };
+    }
+    query.project = new mongoose.Types.ObjectId(project); // Aggregations don't cast
+  }
+
+  // Tags filter: tagMode=all needs every tag
+  if (tags) {
+    const values = [...new Set(String(tags).split(',').map((value) => value.trim()).filter(Boolean))];
+    const matched = await Tag.resolve(userId, values);
+    const matchAll = tagMode === 'all';
+
+    // An unknown tag can never match in "all" mode
+    if (matched.length === 0 || (matchAll && matched.length < values.length)) {
+      return { query: null };
+    }
+
+    const tagIds = matched.map((tag) => tag._id);
+    query.tags = matchAll ? { $all: tagIds } : { $in: tagIds };
+  }
+
+  let sort = null;
+  if (q) {
+    const search = await compileSearch(userId, q);
+    if (search.error) {
+      return { query: null, error: search.error.message, position: search.error.position };
+    }
+    and.push(...search.conditions);
+    sort = search.sort;
+  }
+
+  // Due dates are whole days, so a task is overdue once its due day has ended
+  const dueDate = {};
+  if (dueAfter) dueDate.$gte = filterDay(dueAfter);
+  if (dueBefore) dueDate.$lte = filterDay(dueBefore);
+  if (overdue === true || overdue === 'true') {
+    dueDate.$lt = startOfDay(new Date());
+    and.push({ status: { $ne: 'completed' } });
+  }
+  if (Object.keys(dueDate).length > 0) {
+    query.dueDate = dueDate;
+  }
+  if (and.length > 0) {
+    query.$and = and;
+  }
+
+  return { query, sort };
+};
+
+/**
+ * Encode the position after a task in a sort order
+ * @param {string} sort - Sort name
+ * @param {Object} row - Last task on the page (with computed fields)
+ * @returns {string} - Opaque cursor
+ */
+const encodeCursor = (sort, row) => {
+  const values = TASK_SORTS[sort].map(([field]) => row[field] ?? null);
+  return Buffer.from(EJSON.stringify({ sort, values })).toString('base64url');
+};
+
+/**
+ * Decode a cursor made by encodeCursor
+ * Only plain values are accepted, so a cursor can't smuggle in query operators.
+ * @param {string} sort - Sort the cursor must belong to
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Array|null} - Sort values, or null if the cursor is invalid
+ */
+const decodeCursor = (sort, cursor) => {
+  try {
+    const decoded = EJSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    const isPlain = (value) =>
+      value === null ||
+      ['string', 'number', 'boolean'].includes(typeof value) ||
+      value instanceof Date ||
+      value instanceof mongoose.mongo.ObjectId;
+
+    if (
+      decoded.sort !== sort ||
+      !Array.isArray(decoded.values) ||
+      decoded.values.length !== TASK_SORTS[sort].length ||
+      !decoded.values.every(isPlain)
+    ) {
+      return null;
+    }
+    return decoded.values;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Load one page of tasks
+ * @param {Object} query - Query from buildTaskQuery
+ * @param {Object} options - { sort (a TASK_SORTS key), cursor?, limit }
+ * @returns {Promise<Object|null>} - { tasks (documents), nextCursor, hasMore },
+ *   or null if the cursor is invalid
+ */
+const findTaskPage = async (query, { sort = 'newest', cursor, limit }) => {
+  const keys = TASK_SORTS[sort];
+  const computed = keys.filter(([field]) => COMPUTED_FIELDS[field]);
+  // deletedAt is spelled out so the soft-delete middleware doesn't add a stage
+  const pipeline = [{ $match: { ...query, deletedAt: null } }];
+
+  if (computed.length > 0) {
+    pipeline.push({ $addFields: Object.fromEntries(computed.map(([field]) => [field, COMPUTED_FIELDS[field]])) });
+  }
+
+  // Everything after the cursor: ties on earlier keys, then past it on the next
+  if (cursor) {
+    const values = decodeCursor(sort, cursor);
+    if (!values) {
+      return null;
+    }
+
+    pipeline.push({
+      $match: {
+        $or: keys.map(([field, direction], index) => ({
+          ...Object.fromEntries(keys.slice(0, index).map(([earlier], j) => [earlier, { $eq: values[j] }])),
+          [field]: { [direction === 1 ? '$gt' : '$lt']: values[index] }
+        }))
+      }
+    });
+  }
+
+  // Fetch one extra to know whether there's another page
+  pipeline.push({ $sort: Object.fromEntries(keys) }, { $limit: limit + 1 });
+
+  const rows = await Task.aggregate(pipeline);
+  const hasMore = rows.length > limit;
+  const nextCursor = hasMore ? encodeCursor(sort, rows[limit - 1]) : null;
+
+  return {
+    tasks: rows.slice(0, limit).map((row) => {
+      computed.forEach(([field]) => delete row[field]);
+      return Task.hydrate(row);
+    }),
+    nextCursor,
+    hasMore
+  };
+};
+
+/**
+ * Count the tasks a query matches per status, ignoring its status filter
+ * @param {Object} query - Query from buildTaskQuery
+ * @returns {Promise<Object>} - { all, pending, in-progress, completed }
+ */
+const countByStatus = async (query) => {
+  const { status, ...rest } = query;
+  const rows = await Task.aggregate([
+    { $match: { ...rest, deletedAt: null } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const totals = { all: 0, pending: 0, 'in-progress': 0, completed: 0 };
+  for (const row of rows) {
+    totals[row._id] = row.count;
+    totals.all += row.count;
+  }
+  return totals;
+};
+
+module.exports = { TASK_SORTS, filterRules, buildTaskQuery, findTaskPage, countByStatus };
@@ -0,0 +1,408 @@
+// backend/utils/taskSearch.js
+// Search syntax for task lists, e.g.
+//   status:pending priority:high due:<2026-11-01 sort:due "exact phrase" -completed
+// Parsing turns the text into terms; compiling turns terms into Mongo
+// conditions. User input only ever becomes escaped regexes or values picked
+// from fixed lists, never operators.
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+const { startOfDay, addDays } = require('./recurrence');
+
+const MAX_TERMS = 30;
+
+const STATUSES = ['pending', 'in-progress', 'completed'];
+const PRIORITIES = ['low', 'medium', 'high'];
+const IS_VALUES = ['overdue', 'open', 'recurring', 'subtask'];
+
+// sort: values and the TASK_SORTS order each selects
+const SORT_VALUES = {
+  newest: 'newest',
+  oldest: 'oldest',
+  title: 'title',
+  due: 'dueDate',
+  priority: 'priority'
+};
+
+// Keys whose values can be compared with <, <=, >, >=
+const COMPARABLE_KEYS = ['due', 'created', 'updated', 'priority'];
+const LIST_KEYS = ['status', 'priority', 'tag', 'project'];
+const KEYS = ['status', 'priority', 'due', 'created', 'updated', 'tag', 'project', 'is', 'sort'];
+
+// Date keys and the task field each compares
+const DATE_FIELDS = { due: 'dueDate', created: 'createdAt', updated: 'updatedAt' };
+
+const COLLATION = { locale: 'en', strength: 2 }; // Case-insensitive names
+
+/**
+ * Parse error at a character offset in the search text
+ * @param {string} message - What went wrong
+ * @param {number} position - 0-based offset
+ * @returns {Object} - { error: { message, position } }
+ */
+const fail = (message, position) => ({ error: { message, position } });
+
+/**
+ * Split search text into tokens. Quotes group words into a phrase (or a
+ * value with spaces, as in tag:"needs review"); a leading - negates.
+ * @param {string} input - Search text
+ * @returns {Object} - { tokens: [{ key, value, negate, quoted, position }] } or { error }
+ */
+const tokenize = (input) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    if (/\s/.test(input[i])) {
+      i += 1;
+      continue;
+    }
+
+    const position = i;
+    const negate = input[i] === '-' && i + 1 < input.length && !/\s/.test(input[i + 1]);
+    if (negate) {
+      i += 1;
+    }
+
+    const keyMatch = /^([a-z]+):/i.exec(input.slice(i));
+    const key = keyMatch ? keyMatch[1].toLowerCase() : null;
+    if (keyMatch) {
+      i += keyMatch[0].length;
+    }
+
+    // A quote may follow an operator, as in due:>"2026-01-01"
+    const operator = key ? /^(<=|>=|<|>|=)?/.exec(input.slice(i))[0] : '';
+    i += operator.length;
+
+    let value;
+    const quoted = input[i] === '"';
+    if (quoted) {
+      const end = input.indexOf('"', i + 1);
+      if (end === -1) {
+        return fail('Missing closing quote', i);
+      }
+      value = input.slice(i + 1, end);
+      i = end + 1;
+    } else {
+      value = /^\S*/.exec(input.slice(i))[0];
+      i += value.length;
+    }
+
+    tokens.push({ key, operator, value, negate, quoted, position });
+  }
+
+  return { tokens };
+};
+
+/**
+ * Turn a date word into a UTC day
+ * @param {string} value - YYYY-MM-DD, today, tomorrow, yesterday, or an
+ *   offset from today like +3d, -1w
+ * @returns {Date|null} - null if the value isn't a date
+ */
+const parseDay = (value) => {
+  const today = startOfDay(new Date());
+  const words = { today: 0, tomorrow: 1, yesterday: -1 };
+  const lower = value.toLowerCase();
+
+  if (lower in words) {
+    return addDays(today, words[lower]);
+  }
+
+  const offset = /^([+-]\d{1,4})([dw])$/.exec(lower);
+  if (offset) {
+    return addDays(today, parseInt(offset[1], 10) * (offset[2] === 'w' ? 7 : 1));
+  }
+
+  // Reject dates like 2026-02-30 that Date would roll over
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const date = new Date(`${value}T00:00:00Z`);
+    if (!Number.isNaN(date.getTime()) && date.toISOString().startsWith(value)) {
+      return date;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Parse search text
+ * @param {string} input - Search text
+ * @returns {Object} - { terms, sort } where each term is { type, ..., negate,
+ *   position } and sort is a TASK_SORTS key or null; or { error: { message, position } }
+ */
+const parseSearch = (input) => {
+  const tokenized = tokenize(String(input));
+  if (tokenized.error) {
+    return tokenized;
+  }
+
+  if (tokenized.tokens.length > MAX_TERMS) {
+    return fail(`Searches can have at most ${MAX_TERMS} terms`, 0);
+  }
+
+  const terms = [];
+  let sort = null;
+
+  for (const token of tokenized.tokens) {
+    const { key, operator, value, negate, quoted, position } = token;
+
+    // Plain words and phrases match the title or description, except that
+    // -pending, -completed etc. hide tasks with that status (quote the word,
+    // as in -"completed", to exclude it from the text instead)
+    if (!key) {
+      if (negate && !quoted && STATUSES.includes(value.toLowerCase())) {
+        terms.push({ type: 'status', values: [value.toLowerCase()], negate, position });
+      } else if (value) {
+        terms.push({ type: 'text', value, negate, position });
+      }
+      continue;
+    }
+
+    if (!KEYS.includes(key)) {
+      return fail(`Unknown key "${key}" (use one of: ${KEYS.join(', ')}; quote text that contains a colon)`, position);
+    }
+    if (!value) {
+      return fail(`${key}: needs a value`, position);
+    }
+    if (operator && operator !== '=' && !COMPARABLE_KEYS.includes(key)) {
+      return fail(`${key}: can't be compared with ${operator}`, position);
+    }
+
+    const values = LIST_KEYS.includes(key) && !quoted ? value.split(',') : [value];
+    if (values.some((item) => !item)) {
+      return fail(`${key}: has an empty value in its list`, position);
+    }
+    if (operator && values.length > 1) {
+      return fail(`${key}: can't compare a list of values`, position);
+    }
+
+    switch (key) {
+      case 'status': {
+        const invalid = values.find((item) => !STATUSES.includes(item.toLowerCase()));
+        if (invalid) {
+          return fail(`Unknown status "${invalid}" (use ${STATUSES.join(', ')})`, position);
+        }
+        terms.push({ type: 'status', values: values.map((item) => item.toLowerCase()), negate, position });
+        break;
+      }
+
+      case 'priority': {
+        const invalid = values.find((item) => !PRIORITIES.includes(item.toLowerCase()));
+        if (invalid) {
+          return fail(`Unknown priority "${invalid}" (use ${PRIORITIES.join(', ')})`, position);
+        }
+        terms.push({
+          type: 'priority',
+          operator: operator || '=',
+          values: values.map((item) => item.toLowerCase()),
+          negate,
+          position
+        });
+        break;
+      }
+
+      case 'due':
+      case 'created':
+      case 'updated': {
+        if (value.toLowerCase() === 'none') {
+          if (key !== 'due') {
+            return fail(`Every task has a ${key} date, so ${key}:none never matches`, position);
+          }
+          if (operator && operator !== '=') {
+            return fail("due:none can't be compared", position);
+          }
+          terms.push({ type: 'date', field: 'dueDate', operator: '=', day: null, negate, position });
+          break;
+        }
+
+        const day = parseDay(value);
+        if (!day) {
+          return fail(`Invalid date "${value}" (use YYYY-MM-DD, today, tomorrow, yesterday or an offset like +3d)`, position);
+        }
+        terms.push({
+          type: 'date',
+          field: DATE_FIELDS[key],
+          operator: operator || '=',
+          day,
+          negate,
+          position
+        });
+        break;
+      }
+
+      case 'tag':
+      case 'project':
+        terms.push({ type: key, values, negate, position });
+        break;
+
+      case 'is': {
+        const flag = value.toLowerCase();
+        if (!IS_VALUES.includes(flag)) {
+          return fail(`Unknown is: value "${value}" (use ${IS_VALUES.join(', ')})`, position);
+        }
+        terms.push({ type: 'is', value: flag, negate, position });
+        break;
+      }
+
+      case 'sort': {
+        const order = SORT_VALUES[value.toLowerCase()];
+        if (!order) {
+          return fail(`Unknown sort "${value}" (use ${Object.keys(SORT_VALUES).join(', ')})`, position);
+        }
+        if (negate) {
+          return fail("sort: can't be negated", position);
+        }
+        if (sort) {
+          return fail('Only one sort: is allowed', position);
+        }
+        sort = order;
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  return { terms, sort };
+};
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Any text
+ * @returns {string}
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Mongo condition for a day comparison. Days run from 00:00 to 00:00 UTC,
+ * so "=" is a range and "<=" means "before the next day".
+ * @param {string} field - dueDate, createdAt or updatedAt
+ * @param {string} operator - =, <, <=, > or >=
+ * @param {Date} day - Start of the day
+ * @returns {Object}
+ */
+const dayCondition = (field, operator, day) => {
+  const next = addDays(day, 1);
+  const ranges = {
+    '=': { $gte: day, $lt: next },
+    '<': { $lt: day },
+    '<=': { $lt: next },
+    '>': { $gte: next },
+    '>=': { $gte: day }
+  };
+  return { [field]: ranges[operator] };
+};
+
+/**
+ * Priorities that satisfy a comparison, e.g. >=medium -> medium, high
+ * @param {string} operator - =, <, <=, > or >=
+ * @param {string} priority - low, medium or high
+ * @returns {Array<string>}
+ */
+const comparePriorities = (operator, priority) => {
+  const rank = PRIORITIES.indexOf(priority);
+  const tests = {
+    '=': (i) => i === rank,
+    '<': (i) => i < rank,
+    '<=': (i) => i <= rank,
+    '>': (i) => i > rank,
+    '>=': (i) => i >= rank
+  };
+  return PRIORITIES.filter((item, i) => tests[operator](i));
+};
+
+/**
+ * Parse search text and build Mongo conditions for it
+ * Tag and project names are looked up (ignoring case); unknown ones are errors.
+ * @param {string} userId - Owner
+ * @param {string} input - Search text
+ * @returns {Promise<Object>} - { conditions (to AND together), sort } or
+ *   { error: { message, position } }
+ */
+const compileSearch = async (userId, input) => {
+  const parsed = parseSearch(input);
+  if (parsed.error) {
+    return parsed;
+  }
+
+  const conditions = [];
+
+  for (const term of parsed.terms) {
+    let condition;
+
+    switch (term.type) {
+      case 'text': {
+        const pattern = new RegExp(escapeRegex(term.value), 'i');
+        condition = { $or: [{ title: pattern }, { description: pattern }] };
+        break;
+      }
+
+      case 'status':
+        condition = { status: { $in: term.values } };
+        break;
+
+      case 'priority':
+        condition = {
+          priority: { $in: term.operator === '=' ? term.values : comparePriorities(term.operator, term.values[0]) }
+        };
+        break;
+
+      case 'date':
+        condition = term.day ? dayCondition(term.field, term.operator, term.day) : { [term.field]: null };
+        break;
+
+      case 'tag': {
+        const tags = await Tag.resolve(userId, term.values);
+        const missing = term.values.find(
+          (value) => !tags.some((tag) => tag._id.toString() === value || tag.name.toLowerCase() === value.toLowerCase())
+        );
+        if (missing) {
+          return fail(`No tag named "${missing}"`, term.position);
+        }
+        condition = { tags: { $in: tags.map((tag) => tag._id) } };
+        break;
+      }
+
+      case 'project': {
+        const names = term.values.filter((value) => value.toLowerCase() !== 'inbox');
+        const projects = names.length > 0
+          ? await Project.find({ user: userId, name: { $in: names } }).collation(COLLATION)
+          : [];
+        const missing = names.find(
+          (name) => !projects.some((project) => project.name.toLowerCase() === name.toLowerCase())
+        );
+        if (missing) {
+          return fail(`No project named "${missing}"`, term.position);
+        }
+
+        const ids = projects.map((project) => project._id);
+        if (names.length < term.values.length) {
+          ids.push(null); // inbox
+        }
+        condition = { project: { $in: ids } };
+        break;
+      }
+
+      case 'is': {
+        const today = startOfDay(new Date());
+        condition = {
+          overdue: { dueDate: { $lt: today }, status: { $ne: 'completed' } },
+          open: { status: { $ne: 'completed' } },
+          recurring: { recurrence: { $ne: null } },
+          subtask: { parent: { $ne: null } }
+        }[term.value];
+        break;
+      }
+
+      default:
+        break;
+    }
+
+    conditions.push(term.negate ? { $nor: [condition] } : condition);
+  }
+
+  return { conditions, sort: parsed.sort };
+};
+
+module.exports = { parseDay, parseSearch, compileSearch };
@@ -1,16 +1,68 @@
 // frontend/src/App.jsx
+import { useState, useEffect } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
-import { isAuthenticated } from './utils/api';
+import { isAuthenticated, isAdmin, verifySession } from './utils/api';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import Dashboard from './pages/Dashboard';
+import Trash from './pages/Trash';
+import Security from './pages/Security';
+import Settings from './pages/Settings';
+import Admin from './pages/Admin';
+
+/**
+ * Confirm the session with the server before trusting it
+ * @returns {boolean|null} Signed in or not, null while checking
+ */
+const useSession = () => {
+  const [authenticated, setAuthenticated] = useState(isAuthenticated() ? true : null);
+
+  useEffect(() => {
+    let active = true;
+    verifySession().then((result) => {
+      if (active) setAuthenticated(result);
+    });
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return authenticated;
+};
+
+/**
+ * Shown while the session is being checked
+ */
+const SessionLoading = () => (
+  <div className="min-h-screen flex items-center justify-center">
+    <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+  </div>
+);
 
 /**
  * Protected Route Component
  * Redirects to login if not authenticated
  */
 const ProtectedRoute = ({ children }) => {
-  return isAuthenticated() ? children : <Navigate to="/login" />;
+  const authenticated = useSession();
+
+  if (authenticated === null) return <SessionLoading />;
+  return authenticated ? children : <Navigate to="/login" />;
+};
+
+/**
+ * Admin Route Component
+ * Like ProtectedRoute, but also sends non-admins back to the dashboard
+ */
+const AdminRoute = ({ children }) => {
+  const authenticated = useSession();
+
+  if (authenticated === null) return <SessionLoading />;
+  if (!authenticated) return <Navigate to="/login" />;
+  return isAdmin() ? children : <Navigate to="/dashboard" />;
 };
 
 /**
@@ -18,7 +70,21 @@ const ProtectedRoute = ({ children }) => {
  * Redirects to dashboard if already authenticated
  */
 const PublicRoute = ({ children }) => {
-  return !isAuthenticated() ? children : <Navigate to="/dashboard" />;
+  const authenticated = useSession();
+
+  if (authenticated === null) return <SessionLoading />;
+  return !authenticated ? children : <Navigate to="/dashboard" />;
+};
+
+/**
+ * Root Route Component
+ * Redirects to dashboard or login
+ */
+const RootRedirect = () => {
+  const authenticated = useSession();
+
+  if (authenticated === null) return <SessionLoading />;
+  return <Navigate to={authenticated ? '/dashboard' : '/login'} />;
 };
 
 function App() {
@@ -27,14 +93,7 @@ function App() {
       <div className="min-h-screen bg-gray-50">
         <Routes>
           {/* Redirect root to dashboard or login */}
-          <Route 
-            path="/" 
-            element={
-              isAuthenticated() ? 
-              <Navigate to="/dashboard" /> : 
-              <Navigate to="/login" />
-            } 
-          />
+          <Route path="/" element={<RootRedirect />} />
 
           {/* Public Routes */}
           <Route
@@ -53,6 +112,25 @@ function App() {
               </PublicRoute>
             }
           />
+          <Route
+            path="/forgot-password"
+            element={
+              <PublicRoute>
+                <ForgotPassword />
+              </PublicRoute>
+            }
+          />
+          <Route
+            path="/reset-password/:token"
+            element={
+              <PublicRoute>
+                <ResetPassword />
+              </PublicRoute>
+            }
+          />
+
+          {/* Works signed in or out */}
+          <Route path="/verify-email/:token" element={<VerifyEmail />} />
 
           {/* Protected Routes */}
           <Route
@@ -63,6 +141,40 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/trash"
+            element={
+              <ProtectedRoute>
+                <Trash />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/security"
+            element={
+              <ProtectedRoute>
+                <Security />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/settings"
+            element={
+              <ProtectedRoute>
+                <Settings />
+              </ProtectedRoute>
+            }
+          />
+
+          {/* Admin Routes */}
+          <Route
+            path="/admin"
+            element={
+              <AdminRoute>
+                <Admin />
+              </AdminRoute>
+            }
+          />
 
           {/* 404 Route */}
           <Route path="*" element={<Navigate to="/" />} />
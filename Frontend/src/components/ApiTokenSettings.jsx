@@ -0,0 +1,232 @@
+// frontend/src/components/ApiTokenSettings.jsx
+import { useState, useEffect } from 'react';
+import { getApiTokens, createApiToken, revokeApiToken } from '../utils/api';
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500';
+
+const EXPIRY_OPTIONS = [
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: '', label: 'Never' }
+];
+
+const emptyForm = { name: '', scopes: ['tasks:read'], expiresInDays: '30' };
+
+function ApiTokenSettings({ onMessage }) {
+  const [tokens, setTokens] = useState([]);
+  const [scopes, setScopes] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [newToken, setNewToken] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  // Fetch tokens on component mount
+  useEffect(() => {
+    const fetchTokens = async () => {
+      try {
+        const response = await getApiTokens();
+        setTokens(response.data.tokens);
+        setScopes(response.data.scopes);
+      } catch (err) {
+        console.error('Error fetching API tokens:', err);
+      }
+    };
+    fetchTokens();
+  }, []);
+
+  const toggleScope = (scope) => {
+    const selected = form.scopes.includes(scope)
+      ? form.scopes.filter((s) => s !== scope)
+      : [...form.scopes, scope];
+    setForm({ ...form, scopes: selected });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    if (form.scopes.length === 0) {
+      onMessage('error', 'Choose at least one scope');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await createApiToken({
+        name: form.name,
+        scopes: form.scopes,
+        expiresInDays: form.expiresInDays ? Number(form.expiresInDays) : null
+      });
+      setTokens([response.data.apiToken, ...tokens]);
+      setNewToken(response.data.token);
+      setForm(emptyForm);
+      onMessage('success', response.message);
+    } catch (err) {
+      onMessage('error', err.response?.data?.message || 'Failed to create API token');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    if (!window.confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) {
+      return;
+    }
+
+    try {
+      const response = await revokeApiToken(token._id);
+      setTokens(tokens.filter((t) => t._id !== token._id));
+      onMessage('success', response.message);
+    } catch (err) {
+      onMessage('error', err.response?.data?.message || 'Failed to revoke API token');
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newToken);
+      onMessage('success', 'Token copied to clipboard');
+    } catch {
+      onMessage('error', 'Copy failed - select the token and copy it manually');
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md mb-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-2">API Tokens</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Personal tokens let scripts call the tasks API. Send one as{' '}
+        <code className="text-xs bg-gray-100 px-1 rounded">Authorization: Bearer &lt;token&gt;</code>.
+      </p>
+
+      {/* New tokens are only ever shown once */}
+      {newToken && (
+        <div className="mb-4 bg-yellow-50 border border-yellow-200 px-4 py-3 rounded">
+          <p className="text-sm text-yellow-800 mb-2">
+            Copy your new token now. It won't be shown again.
+          </p>
+          <div className="flex items-center space-x-2">
+            <code className="flex-1 font-mono text-sm text-gray-900 break-all">{newToken}</code>
+            <button
+              type="button"
+              onClick={handleCopy}
+              className="text-indigo-600 hover:text-indigo-800 text-sm font-medium"
+            >
+              Copy
+            </button>
+            <button
+              type="button"
+              onClick={() => setNewToken('')}
+              className="text-gray-600 hover:text-gray-800 text-sm font-medium"
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="space-y-4 mb-6">
+        <div>
+          <label htmlFor="tokenName" className="block text-sm font-medium text-gray-700 mb-1">
+            Token name
+          </label>
+          <input
+            id="tokenName"
+            type="text"
+            required
+            maxLength={50}
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            className={inputClass}
+            placeholder="e.g. Nightly backup script"
+          />
+        </div>
+
+        <div className="flex flex-wrap gap-6">
+          <fieldset>
+            <legend className="block text-sm font-medium text-gray-700 mb-1">Scopes</legend>
+            <div className="flex space-x-4">
+              {scopes.map((scope) => (
+                <label key={scope} className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={form.scopes.includes(scope)}
+                    onChange={() => toggleScope(scope)}
+                    className="h-4 w-4 text-indigo-600 border-gray-300 rounded"
+                  />
+                  <span className="font-mono">{scope}</span>
+                </label>
+              ))}
+            </div>
+          </fieldset>
+
+          <div>
+            <label htmlFor="tokenExpiry" className="block text-sm font-medium text-gray-700 mb-1">
+              Expires after
+            </label>
+            <select
+              id="tokenExpiry"
+              value={form.expiresInDays}
+              onChange={(e) => setForm({ ...form, expiresInDays: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+            >
+              {EXPIRY_OPTIONS.map((option) => (
+                <option key={option.label} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <button
+          type="submit"
+          disabled={loading}
+          className="bg-indigo-600 text-white py-2 px-4 rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+        >
+          Create token
+        </button>
+      </form>
+
+      {/* Token List */}
+      {tokens.length === 0 ? (
+        <p className="text-sm text-gray-500">You haven't created any API tokens.</p>
+      ) : (
+        <div className="space-y-3">
+          {tokens.map((token) => (
+            <div
+              key={token._id}
+              className="border border-gray-200 rounded-lg p-4 flex justify-between items-start"
+            >
+              <div>
+                <h4 className="font-semibold text-gray-900">
+                  {token.name}
+                  <span className="ml-2 font-mono text-xs text-gray-500">…{token.lastFour}</span>
+                  {token.expired && (
+                    <span className="ml-2 px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                      Expired
+                    </span>
+                  )}
+                </h4>
+                <p className="text-xs text-gray-500 mt-1 font-mono">{token.scopes.join(', ')}</p>
+                <p className="text-xs text-gray-500">
+                  Created: {new Date(token.createdAt).toLocaleDateString()} · Expires:{' '}
+                  {token.expiresAt ? new Date(token.expiresAt).toLocaleDateString() : 'never'} · Last used:{' '}
+                  {token.lastUsedAt ? new Date(token.lastUsedAt).toLocaleString() : 'never'}
+                </p>
+              </div>
+              <button
+                onClick={() => handleRevoke(token)}
+                className="text-red-600 hover:text-red-800 text-sm font-medium"
+              >
+                Revoke
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ApiTokenSettings;
@@ -0,0 +1,175 @@
+// frontend/src/components/AttachmentPanel.jsx
+import { useState, useEffect, useRef } from 'react';
+import { getAttachments, uploadAttachment, downloadAttachment, deleteAttachment } from '../utils/api';
+
+// Must match the backend's default ATTACHMENT_MIME_TYPES
+const ACCEPT = 'image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain';
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Image preview; downloads go through the API client so they carry auth
+ */
+function Thumbnail({ taskId, attachment }) {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+
+    downloadAttachment(taskId, attachment._id)
+      .then((blob) => {
+        if (!cancelled) {
+          objectUrl = URL.createObjectURL(blob);
+          setUrl(objectUrl);
+        }
+      })
+      .catch((err) => console.error('Error loading preview:', err));
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) {
+        URL.revokeObjectURL(objectUrl);
+      }
+    };
+  }, [taskId, attachment._id]);
+
+  return url ? (
+    <img src={url} alt={attachment.filename} className="h-16 w-16 object-cover rounded-md border border-gray-200" />
+  ) : (
+    <div className="h-16 w-16 rounded-md bg-gray-100 animate-pulse"></div>
+  );
+}
+
+/**
+ * Files attached to a task: upload, preview (images), download and delete
+ */
+function AttachmentPanel({ taskId }) {
+  const [attachments, setAttachments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [progress, setProgress] = useState(null); // Percent while uploading
+  const [error, setError] = useState('');
+  const fileInput = useRef(null);
+
+  useEffect(() => {
+    const fetchAttachments = async () => {
+      setLoading(true);
+      try {
+        const response = await getAttachments(taskId);
+        setAttachments(response.data.attachments);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load attachments');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchAttachments();
+  }, [taskId]);
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    setError('');
+    setProgress(0);
+    try {
+      const response = await uploadAttachment(taskId, file, setProgress);
+      setAttachments([...attachments, response.data.attachment]);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to upload file');
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      const blob = await downloadAttachment(taskId, attachment._id);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.response?.status === 404 ? 'That file is no longer available' : 'Failed to download file');
+    }
+  };
+
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(`Delete "${attachment.filename}"?`)) {
+      return;
+    }
+
+    setError('');
+    try {
+      await deleteAttachment(taskId, attachment._id);
+      setAttachments(attachments.filter((a) => a._id !== attachment._id));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete file');
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-3">
+        <h4 className="text-sm font-semibold text-gray-900">Attachments ({attachments.length})</h4>
+        <button
+          onClick={() => fileInput.current.click()}
+          disabled={progress !== null}
+          className="text-sm text-indigo-600 hover:text-indigo-800 font-medium disabled:opacity-50"
+        >
+          {progress !== null ? `Uploading ${progress}%` : 'Attach file'}
+        </button>
+        <input ref={fileInput} type="file" accept={ACCEPT} onChange={handleUpload} className="hidden" />
+      </div>
+
+      {error && <p className="mb-3 text-sm text-red-600">{error}</p>}
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading attachments...</p>
+      ) : attachments.length === 0 ? (
+        <p className="text-sm text-gray-500">No files attached. Screenshots, PDFs and text files are supported.</p>
+      ) : (
+        <ul className="space-y-2">
+          {attachments.map((attachment) => (
+            <li key={attachment._id} className="flex items-center gap-3">
+              {attachment.mimeType.startsWith('image/') ? (
+                <Thumbnail taskId={taskId} attachment={attachment} />
+              ) : (
+                <div className="h-16 w-16 rounded-md bg-gray-100 flex items-center justify-center text-2xl">📄</div>
+              )}
+              <div className="min-w-0 flex-1">
+                <button
+                  onClick={() => handleDownload(attachment)}
+                  className="block max-w-full truncate text-sm text-indigo-600 hover:text-indigo-800 text-left"
+                >
+                  {attachment.filename}
+                </button>
+                <p className="text-xs text-gray-500">
+                  {formatSize(attachment.size)} · {new Date(attachment.createdAt).toLocaleDateString()}
+                </p>
+              </div>
+              <button
+                onClick={() => handleDelete(attachment)}
+                className="text-xs text-red-600 hover:text-red-800"
+                aria-label={`Delete ${attachment.filename}`}
+              >
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default AttachmentPanel;
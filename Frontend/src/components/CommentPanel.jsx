@@ -0,0 +1,192 @@
+// frontend/src/components/CommentPanel.jsx
+import { useState, useEffect } from 'react';
+import { getComments, addComment, updateComment, deleteComment, getStoredUser } from '../utils/api';
+
+const PAGE_SIZE = 20;
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500';
+
+/**
+ * Discussion thread for a task, oldest comment at the top.
+ * Reports the new comment total through onCountChange.
+ */
+function CommentPanel({ taskId, onCountChange }) {
+  const [comments, setComments] = useState([]); // Newest first, as the API pages them
+  const [total, setTotal] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [text, setText] = useState('');
+  const [editing, setEditing] = useState(null); // { _id, text }
+  const [error, setError] = useState('');
+  const currentUserId = getStoredUser()?._id;
+
+  useEffect(() => {
+    const fetchComments = async () => {
+      setLoading(true);
+      try {
+        const response = await getComments(taskId, { limit: PAGE_SIZE });
+        setComments(response.data.comments);
+        setTotal(response.data.total);
+        setHasMore(response.data.hasMore);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load comments');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchComments();
+  }, [taskId]);
+
+  const changeTotal = (next) => {
+    setTotal(next);
+    onCountChange?.(next);
+  };
+
+  const handleLoadOlder = async () => {
+    try {
+      const before = comments[comments.length - 1]._id;
+      const response = await getComments(taskId, { limit: PAGE_SIZE, before });
+      setComments([...comments, ...response.data.comments]);
+      setHasMore(response.data.hasMore);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load comments');
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      const response = await addComment(taskId, text);
+      setComments([response.data.comment, ...comments]);
+      changeTotal(total + 1);
+      setText('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to add comment');
+    }
+  };
+
+  const handleSave = async () => {
+    setError('');
+    try {
+      const response = await updateComment(taskId, editing._id, editing.text);
+      setComments(comments.map((c) => (c._id === editing._id ? response.data.comment : c)));
+      setEditing(null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update comment');
+    }
+  };
+
+  const handleDelete = async (comment) => {
+    if (!window.confirm('Delete this comment?')) {
+      return;
+    }
+
+    setError('');
+    try {
+      await deleteComment(taskId, comment._id);
+      setComments(comments.filter((c) => c._id !== comment._id));
+      changeTotal(total - 1);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete comment');
+    }
+  };
+
+  return (
+    <div>
+      <h4 className="text-sm font-semibold text-gray-900 mb-3">Comments ({total})</h4>
+
+      {error && <p className="mb-3 text-sm text-red-600">{error}</p>}
+
+      {hasMore && (
+        <button onClick={handleLoadOlder} className="mb-3 text-xs text-indigo-600 hover:text-indigo-800">
+          Load older comments
+        </button>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading comments...</p>
+      ) : comments.length === 0 ? (
+        <p className="text-sm text-gray-500">No comments yet.</p>
+      ) : (
+        <ul className="space-y-3">
+          {[...comments].reverse().map((comment) => (
+            <li key={comment._id} className="bg-gray-50 rounded-md p-3">
+              <div className="flex justify-between items-baseline gap-2 text-xs text-gray-500 mb-1">
+                <span>
+                  <span className="font-medium text-gray-800">{comment.user?.name || 'Deleted user'}</span>
+                  {' · '}
+                  {new Date(comment.createdAt).toLocaleString()}
+                  {comment.editedAt && (
+                    <span title={`Edited ${new Date(comment.editedAt).toLocaleString()}`}> (edited)</span>
+                  )}
+                </span>
+                {comment.user?._id === currentUserId && editing?._id !== comment._id && (
+                  <span className="flex gap-2">
+                    <button
+                      onClick={() => setEditing({ _id: comment._id, text: comment.text })}
+                      className="text-indigo-600 hover:text-indigo-800"
+                    >
+                      Edit
+                    </button>
+                    <button onClick={() => handleDelete(comment)} className="text-red-600 hover:text-red-800">
+                      Delete
+                    </button>
+                  </span>
+                )}
+              </div>
+
+              {editing?._id === comment._id ? (
+                <div className="space-y-2">
+                  <textarea
+                    value={editing.text}
+                    onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+                    rows={3}
+                    maxLength={5000}
+                    className={inputClass}
+                  />
+                  <div className="flex gap-3 text-sm">
+                    <button
+                      onClick={handleSave}
+                      disabled={!editing.text.trim()}
+                      className="text-indigo-600 hover:text-indigo-800 font-medium disabled:opacity-50"
+                    >
+                      Save
+                    </button>
+                    <button onClick={() => setEditing(null)} className="text-gray-600 hover:text-gray-800">
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <p className="text-sm text-gray-700 whitespace-pre-wrap break-words">{comment.text}</p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleSubmit} className="mt-4 space-y-2">
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          rows={3}
+          maxLength={5000}
+          placeholder="Write a comment..."
+          aria-label="New comment"
+          className={inputClass}
+        />
+        <button
+          type="submit"
+          disabled={!text.trim()}
+          className="bg-indigo-600 text-white px-4 py-2 rounded-md text-sm hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+        >
+          Comment
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default CommentPanel;
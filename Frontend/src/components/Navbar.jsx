@@ -1,13 +1,18 @@
 // frontend/src/components/Navbar.jsx
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, NavLink } from 'react-router-dom';
 import { logout, getStoredUser } from '../utils/api';
+import NotificationBell from './NotificationBell';
+
+// Highlight the link for the current page
+const navLinkClass = ({ isActive }) =>
+  `text-sm font-medium ${isActive ? 'text-indigo-600' : 'text-gray-600 hover:text-gray-900'}`;
 
 function Navbar() {
   const navigate = useNavigate();
   const user = getStoredUser();
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
     navigate('/login');
   };
 
@@ -15,13 +20,32 @@ function Navbar() {
     <nav className="bg-white shadow-sm">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
         <div className="flex justify-between items-center h-16">
-          {/* Logo/Brand */}
-          <div className="flex items-center">
+          {/* Logo/Brand and Links */}
+          <div className="flex items-center space-x-6">
             <h1 className="text-xl font-bold text-indigo-600">TaskManager</h1>
+            <NavLink to="/dashboard" className={navLinkClass}>
+              Dashboard
+            </NavLink>
+            <NavLink to="/trash" className={navLinkClass}>
+              Trash
+            </NavLink>
+            <NavLink to="/security" className={navLinkClass}>
+              Security
+            </NavLink>
+            <NavLink to="/settings" className={navLinkClass}>
+              Settings
+            </NavLink>
+            {user?.role === 'admin' && (
+              <NavLink to="/admin" className={navLinkClass}>
+                Admin
+              </NavLink>
+            )}
           </div>
 
           {/* User Info and Logout */}
           <div className="flex items-center space-x-4">
+            <NotificationBell />
+
             <div className="flex items-center space-x-2">
               <div className="h-8 w-8 rounded-full bg-indigo-100 flex items-center justify-center">
                 <span className="text-indigo-600 font-semibold text-sm">
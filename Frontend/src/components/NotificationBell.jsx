@@ -0,0 +1,185 @@
+// frontend/src/components/NotificationBell.jsx
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification
+} from '../utils/api';
+
+const PAGE_SIZE = 10;
+const POLL_SECONDS = 60;
+
+const TYPE_ICONS = { reminder: '🔔', overdue: '⏰', security: '🔒' };
+
+// "5m ago", "3h ago", then the date
+const timeAgo = (value) => {
+  const minutes = Math.floor((Date.now() - new Date(value)) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+  return new Date(value).toLocaleDateString();
+};
+
+/**
+ * Bell with an unread badge; opens a dropdown of recent notifications.
+ * Polls for new notifications while the dropdown is closed.
+ */
+function NotificationBell() {
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const containerRef = useRef(null);
+
+  const loadLatest = useCallback(async () => {
+    try {
+      const response = await getNotifications({ limit: PAGE_SIZE });
+      setNotifications(response.data.notifications);
+      setUnreadCount(response.data.unreadCount);
+      setHasMore(response.data.hasMore);
+    } catch (err) {
+      console.error('Error fetching notifications:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadLatest();
+    if (open) {
+      return undefined;
+    }
+
+    const interval = setInterval(loadLatest, POLL_SECONDS * 1000);
+    return () => clearInterval(interval);
+  }, [open, loadLatest]);
+
+  // Close when clicking outside the dropdown
+  useEffect(() => {
+    if (!open) {
+      return undefined;
+    }
+
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const handleLoadMore = async () => {
+    try {
+      const before = notifications[notifications.length - 1]._id;
+      const response = await getNotifications({ limit: PAGE_SIZE, before });
+      setNotifications([...notifications, ...response.data.notifications]);
+      setHasMore(response.data.hasMore);
+    } catch (err) {
+      console.error('Error fetching notifications:', err);
+    }
+  };
+
+  const handleToggleRead = async (notification) => {
+    try {
+      const response = await markNotificationRead(notification._id, !notification.readAt);
+      setNotifications(notifications.map((n) => (n._id === notification._id ? response.data.notification : n)));
+      setUnreadCount(response.data.unreadCount);
+    } catch (err) {
+      console.error('Error updating notification:', err);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await markAllNotificationsRead();
+      const now = new Date().toISOString();
+      setNotifications(notifications.map((n) => ({ ...n, readAt: n.readAt || now })));
+      setUnreadCount(0);
+    } catch (err) {
+      console.error('Error updating notifications:', err);
+    }
+  };
+
+  const handleDelete = async (notification) => {
+    try {
+      const response = await deleteNotification(notification._id);
+      setNotifications(notifications.filter((n) => n._id !== notification._id));
+      setUnreadCount(response.data.unreadCount);
+    } catch (err) {
+      console.error('Error deleting notification:', err);
+    }
+  };
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        onClick={() => setOpen(!open)}
+        className="relative p-2 rounded-full text-gray-600 hover:text-gray-900 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        aria-label={`Notifications${unreadCount ? ` (${unreadCount} unread)` : ''}`}
+        aria-expanded={open}
+      >
+        <span className="text-lg leading-none">🔔</span>
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-600 text-white text-xs font-semibold flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 max-h-96 overflow-y-auto bg-white rounded-lg shadow-lg border border-gray-200 z-20">
+          <div className="flex justify-between items-center px-4 py-3 border-b border-gray-100">
+            <h3 className="text-sm font-semibold text-gray-900">Notifications</h3>
+            {unreadCount > 0 && (
+              <button onClick={handleMarkAllRead} className="text-xs text-indigo-600 hover:text-indigo-800">
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {notifications.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-gray-500 text-center">You&apos;re all caught up.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {notifications.map((notification) => (
+                <li
+                  key={notification._id}
+                  className={`flex gap-3 px-4 py-3 ${notification.readAt ? '' : 'bg-indigo-50'}`}
+                >
+                  <span className="shrink-0">{TYPE_ICONS[notification.type] || '🔔'}</span>
+                  <div className="min-w-0 flex-1">
+                    <p className="text-sm font-medium text-gray-900">{notification.title}</p>
+                    {notification.message && <p className="text-xs text-gray-600 mt-0.5">{notification.message}</p>}
+                    <div className="flex gap-3 mt-1 text-xs">
+                      <span className="text-gray-400">{timeAgo(notification.createdAt)}</span>
+                      <button
+                        onClick={() => handleToggleRead(notification)}
+                        className="text-indigo-600 hover:text-indigo-800"
+                      >
+                        {notification.readAt ? 'Mark unread' : 'Mark read'}
+                      </button>
+                      <button onClick={() => handleDelete(notification)} className="text-red-600 hover:text-red-800">
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {hasMore && (
+            <button
+              onClick={handleLoadMore}
+              className="w-full px-4 py-2 text-xs text-indigo-600 hover:bg-gray-50 border-t border-gray-100"
+            >
+              Load more
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NotificationBell;
@@ -0,0 +1,43 @@
+// frontend/src/components/PasswordStrengthMeter.jsx
+import { evaluatePassword } from '../utils/passwordPolicy';
+
+const LEVELS = [
+  { label: 'Very weak', color: 'bg-red-500' },
+  { label: 'Weak', color: 'bg-orange-500' },
+  { label: 'Fair', color: 'bg-yellow-500' },
+  { label: 'Good', color: 'bg-green-500' },
+  { label: 'Strong', color: 'bg-green-600' }
+];
+
+function PasswordStrengthMeter({ password, policy, person }) {
+  if (!password) return null;
+
+  const { checks, score } = evaluatePassword(password, policy, person);
+  const level = LEVELS[score];
+
+  return (
+    <div className="mt-2">
+      <div className="flex space-x-1">
+        {[0, 1, 2, 3].map((index) => (
+          <div
+            key={index}
+            className={`h-1.5 flex-1 rounded ${index < score ? level.color : 'bg-gray-200'}`}
+          />
+        ))}
+      </div>
+      <p className="mt-1 text-xs text-gray-600">{level.label}</p>
+      <ul className="mt-1 space-y-0.5">
+        {checks.map((check) => (
+          <li
+            key={check.label}
+            className={`text-xs ${check.passed ? 'text-green-600' : 'text-gray-500'}`}
+          >
+            {check.passed ? '✓' : '○'} {check.label}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default PasswordStrengthMeter;
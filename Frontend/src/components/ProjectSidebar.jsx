@@ -0,0 +1,241 @@
+// frontend/src/components/ProjectSidebar.jsx
+import { useState } from 'react';
+import { createProject, updateProject, reorderProjects, deleteProject } from '../utils/api';
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500';
+
+const DEFAULT_COLOR = '#6366f1';
+
+/**
+ * Project list for the dashboard. `selected` is 'all', 'inbox' or a project ID.
+ * Counts are open (not completed) tasks, from the task counts the projects API
+ * returns; `inboxCounts` holds the counts for tasks in no project.
+ */
+function ProjectSidebar({ projects, inboxCounts, selected, onSelect, onProjectsChange, onProjectDeleted, onMessage }) {
+  const [newProject, setNewProject] = useState({ name: '', color: DEFAULT_COLOR });
+  const [editing, setEditing] = useState(null); // { _id, name, color }
+  const [showArchived, setShowArchived] = useState(false);
+
+  const activeProjects = projects.filter((project) => !project.archived);
+  const archivedProjects = projects.filter((project) => project.archived);
+
+  const countOpen = (counts) => (counts ? counts.total - counts.completed : 0);
+  const openTotal = projects.reduce((sum, project) => sum + countOpen(project.taskCounts), countOpen(inboxCounts));
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await createProject(newProject);
+      onProjectsChange([...projects, response.data.project]);
+      onSelect(response.data.project._id);
+      setNewProject({ name: '', color: newProject.color });
+    } catch (err) {
+      onMessage('error', err.response?.data?.message || 'Failed to create project');
+    }
+  };
+
+  const handleUpdate = async (project, changes) => {
+    try {
+      const response = await updateProject(project._id, changes);
+      onProjectsChange(projects.map((p) => (p._id === project._id ? response.data.project : p)));
+      return true;
+    } catch (err) {
+      onMessage('error', err.response?.data?.message || 'Failed to update project');
+      return false;
+    }
+  };
+
+  const handleSave = async () => {
+    const project = projects.find((p) => p._id === editing._id);
+    if (await handleUpdate(project, { name: editing.name, color: editing.color })) {
+      setEditing(null);
+    }
+  };
+
+  // Swap a project with its neighbour among the active projects
+  const handleMove = async (project, offset) => {
+    const index = activeProjects.indexOf(project);
+    const reordered = [...activeProjects];
+    reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, project);
+    const ordered = [...reordered, ...archivedProjects];
+
+    onProjectsChange(ordered);
+    try {
+      await reorderProjects(ordered.map((p) => p._id));
+    } catch (err) {
+      onProjectsChange(projects);
+      onMessage('error', err.response?.data?.message || 'Failed to reorder projects');
+    }
+  };
+
+  const handleDelete = async (project) => {
+    if (!window.confirm(`Delete "${project.name}"? Its tasks will move to the Inbox.`)) {
+      return;
+    }
+
+    try {
+      await deleteProject(project._id);
+      onProjectsChange(projects.filter((p) => p._id !== project._id));
+      onProjectDeleted(project._id);
+    } catch (err) {
+      onMessage('error', err.response?.data?.message || 'Failed to delete project');
+    }
+  };
+
+  const itemClass = (id) =>
+    `w-full flex justify-between items-center px-3 py-2 rounded-md text-sm text-left ${
+      selected === id ? 'bg-indigo-50 text-indigo-700 font-medium' : 'text-gray-700 hover:bg-gray-50'
+    }`;
+
+  const renderProject = (project, index) => {
+    if (editing?._id === project._id) {
+      return (
+        <li key={project._id} className="space-y-2 p-2 bg-gray-50 rounded-md">
+          <div className="flex gap-2">
+            <input
+              type="color"
+              value={editing.color}
+              onChange={(e) => setEditing({ ...editing, color: e.target.value })}
+              className="h-9 w-10 border border-gray-300 rounded-md"
+              aria-label="Project color"
+            />
+            <input
+              type="text"
+              value={editing.name}
+              onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+              maxLength={50}
+              className={inputClass}
+            />
+          </div>
+          <div className="flex gap-3 text-sm">
+            <button onClick={handleSave} className="text-indigo-600 hover:text-indigo-800 font-medium">
+              Save
+            </button>
+            <button onClick={() => setEditing(null)} className="text-gray-600 hover:text-gray-800">
+              Cancel
+            </button>
+          </div>
+        </li>
+      );
+    }
+
+    return (
+      <li key={project._id}>
+        <button onClick={() => onSelect(project._id)} className={itemClass(project._id)}>
+          <span className="flex items-center gap-2 min-w-0">
+            <span className="h-2.5 w-2.5 rounded-full shrink-0" style={{ backgroundColor: project.color }}></span>
+            <span className="truncate">{project.name}</span>
+          </span>
+          <span className="text-xs text-gray-500">{countOpen(project.taskCounts)}</span>
+        </button>
+
+        {/* Actions for the selected project */}
+        {selected === project._id && (
+          <div className="flex flex-wrap gap-x-3 gap-y-1 px-3 py-1 text-xs">
+            <button
+              onClick={() => setEditing({ _id: project._id, name: project.name, color: project.color })}
+              className="text-indigo-600 hover:text-indigo-800"
+            >
+              Edit
+            </button>
+            {!project.archived && (
+              <>
+                <button
+                  onClick={() => handleMove(project, -1)}
+                  disabled={index === 0}
+                  className="text-gray-600 hover:text-gray-800 disabled:opacity-30"
+                >
+                  Up
+                </button>
+                <button
+                  onClick={() => handleMove(project, 1)}
+                  disabled={index === activeProjects.length - 1}
+                  className="text-gray-600 hover:text-gray-800 disabled:opacity-30"
+                >
+                  Down
+                </button>
+              </>
+            )}
+            <button
+              onClick={() => handleUpdate(project, { archived: !project.archived })}
+              className="text-gray-600 hover:text-gray-800"
+            >
+              {project.archived ? 'Unarchive' : 'Archive'}
+            </button>
+            <button onClick={() => handleDelete(project)} className="text-red-600 hover:text-red-800">
+              Delete
+            </button>
+          </div>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow-md">
+      <h3 className="text-lg font-semibold text-gray-900 mb-3 px-3">Projects</h3>
+
+      <ul className="space-y-1">
+        <li>
+          <button onClick={() => onSelect('all')} className={itemClass('all')}>
+            <span>All Tasks</span>
+            <span className="text-xs text-gray-500">{openTotal}</span>
+          </button>
+        </li>
+        <li>
+          <button onClick={() => onSelect('inbox')} className={itemClass('inbox')}>
+            <span>Inbox</span>
+            <span className="text-xs text-gray-500">{countOpen(inboxCounts)}</span>
+          </button>
+        </li>
+      </ul>
+
+      {activeProjects.length > 0 && (
+        <ul className="space-y-1 mt-3 pt-3 border-t border-gray-100">
+          {activeProjects.map(renderProject)}
+        </ul>
+      )}
+
+      {archivedProjects.length > 0 && (
+        <div className="mt-3 pt-3 border-t border-gray-100">
+          <button
+            onClick={() => setShowArchived(!showArchived)}
+            className="px-3 text-xs text-gray-500 hover:text-gray-700"
+          >
+            {showArchived ? 'Hide' : 'Show'} archived ({archivedProjects.length})
+          </button>
+          {showArchived && <ul className="space-y-1 mt-2">{archivedProjects.map(renderProject)}</ul>}
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="mt-4 pt-3 border-t border-gray-100 flex gap-2">
+        <input
+          type="color"
+          value={newProject.color}
+          onChange={(e) => setNewProject({ ...newProject, color: e.target.value })}
+          className="h-9 w-10 border border-gray-300 rounded-md shrink-0"
+          aria-label="Project color"
+        />
+        <input
+          type="text"
+          value={newProject.name}
+          onChange={(e) => setNewProject({ ...newProject, name: e.target.value })}
+          maxLength={50}
+          required
+          placeholder="New project"
+          className={inputClass}
+        />
+        <button
+          type="submit"
+          className="bg-indigo-600 text-white px-3 rounded-md text-sm hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+        >
+          Add
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default ProjectSidebar;
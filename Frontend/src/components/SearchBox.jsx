@@ -0,0 +1,115 @@
+// frontend/src/components/SearchBox.jsx
+import { useState, useRef } from 'react';
+import { getSuggestions, applySuggestion } from '../utils/taskSearch';
+
+/**
+ * Task search input with autocomplete for the search syntax. `error` is a
+ * parse error from the API: { message, position }.
+ */
+function SearchBox({ value, onChange, error, tags = [], projects = [] }) {
+  const [caret, setCaret] = useState(0);
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(0);
+  const inputRef = useRef(null);
+
+  const suggestions = open ? getSuggestions(value, caret, { tags, projects }) : [];
+  const activeIndex = Math.min(active, suggestions.length - 1);
+
+  const handleChange = (e) => {
+    onChange(e.target.value);
+    setCaret(e.target.selectionStart);
+    setActive(0);
+    setOpen(true);
+  };
+
+  const accept = (suggestion) => {
+    const next = applySuggestion(value, suggestion);
+    onChange(next.text);
+    setCaret(next.caret);
+    setActive(0);
+
+    // Put the caret after the inserted text once React has re-rendered the input
+    requestAnimationFrame(() => {
+      inputRef.current?.focus();
+      inputRef.current?.setSelectionRange(next.caret, next.caret);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) {
+      return;
+    }
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActive((activeIndex + step + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      accept(suggestions[activeIndex]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <input
+        ref={inputRef}
+        type="search"
+        placeholder='Search tasks... e.g. status:pending due:<today tag:work "exact phrase" -completed'
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onSelect={(e) => setCaret(e.target.selectionStart)}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        role="combobox"
+        aria-expanded={suggestions.length > 0}
+        aria-autocomplete="list"
+        aria-invalid={Boolean(error)}
+        className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 ${
+          error ? 'border-red-400' : 'border-gray-300'
+        }`}
+      />
+
+      {suggestions.length > 0 && (
+        <ul
+          role="listbox"
+          className="absolute z-20 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg text-sm"
+        >
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={`${suggestion.hint}${suggestion.label}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              // mousedown, so the input doesn't blur (and close the list) first
+              onMouseDown={(e) => {
+                e.preventDefault();
+                accept(suggestion);
+              }}
+              onMouseEnter={() => setActive(index)}
+              className={`px-3 py-2 flex justify-between gap-4 cursor-pointer ${
+                index === activeIndex ? 'bg-indigo-50 text-indigo-900' : 'text-gray-800'
+              }`}
+            >
+              <span className="font-medium">{suggestion.label}</span>
+              <span className="text-xs text-gray-500 truncate">{suggestion.hint}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && (
+        <p className="mt-1 text-sm text-red-600">
+          {error.message}
+          {error.position !== undefined && value.slice(error.position).trim() && (
+            <span className="text-red-500"> (at “{value.slice(error.position).split(/\s/)[0]}”)</span>
+          )}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default SearchBox;
@@ -0,0 +1,35 @@
+// frontend/src/components/TagChip.jsx
+
+/**
+ * Colored tag label; renders as a toggle button when onClick is given
+ */
+function TagChip({ tag, selected, onClick }) {
+  const style = {
+    color: tag.color,
+    backgroundColor: `${tag.color}1a`, // ~10% opacity fill
+    borderColor: selected ? tag.color : 'transparent'
+  };
+  const className = 'inline-flex items-center px-2 py-1 rounded-full text-xs font-medium border';
+
+  if (!onClick) {
+    return (
+      <span className={className} style={style}>
+        {tag.name}
+      </span>
+    );
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      aria-pressed={!!selected}
+      className={`${className} ${selected ? '' : 'opacity-60 hover:opacity-100'}`}
+      style={style}
+    >
+      {tag.name}
+    </button>
+  );
+}
+
+export default TagChip;
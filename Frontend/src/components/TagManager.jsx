@@ -0,0 +1,192 @@
+// frontend/src/components/TagManager.jsx
+import { useState } from 'react';
+import TagChip from './TagChip';
+import { createTag, updateTag, mergeTag, deleteTag } from '../utils/api';
+
+const inputClass =
+  'px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500';
+
+const DEFAULT_COLOR = '#6366f1';
+
+/**
+ * Create, rename, recolor, merge and delete tags
+ * onTagsChange(tags) receives the new list; onTagRemoved(id, replacementId)
+ * lets the dashboard update its tasks after a merge or delete.
+ */
+function TagManager({ tags, onTagsChange, onTagRemoved, onMessage }) {
+  const [open, setOpen] = useState(false);
+  const [newTag, setNewTag] = useState({ name: '', color: DEFAULT_COLOR });
+  const [editing, setEditing] = useState(null); // { _id, name, color }
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await createTag(newTag);
+      onTagsChange([...tags, response.data.tag].sort((a, b) => a.name.localeCompare(b.name)));
+      setNewTag({ name: '', color: newTag.color });
+    } catch (err) {
+      onMessage('error', err.response?.data?.message || 'Failed to create tag');
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      const response = await updateTag(editing._id, { name: editing.name, color: editing.color });
+      onTagsChange(tags.map((tag) => (tag._id === editing._id ? response.data.tag : tag)));
+      setEditing(null);
+    } catch (err) {
+      onMessage('error', err.response?.data?.message || 'Failed to update tag');
+    }
+  };
+
+  const handleMerge = async (tag, intoId) => {
+    const into = tags.find((t) => t._id === intoId);
+    if (!into || !window.confirm(`Merge "${tag.name}" into "${into.name}"? "${tag.name}" will be deleted.`)) {
+      return;
+    }
+
+    try {
+      const response = await mergeTag(tag._id, into._id);
+      onTagsChange(
+        tags.filter((t) => t._id !== tag._id).map((t) => (t._id === into._id ? response.data.tag : t))
+      );
+      onTagRemoved(tag._id, into._id);
+      onMessage('success', response.message);
+    } catch (err) {
+      onMessage('error', err.response?.data?.message || 'Failed to merge tags');
+    }
+  };
+
+  const handleDelete = async (tag) => {
+    if (!window.confirm(`Delete "${tag.name}"? It will be removed from ${tag.taskCount} task(s).`)) {
+      return;
+    }
+
+    try {
+      await deleteTag(tag._id);
+      onTagsChange(tags.filter((t) => t._id !== tag._id));
+      onTagRemoved(tag._id, null);
+    } catch (err) {
+      onMessage('error', err.response?.data?.message || 'Failed to delete tag');
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md mb-6">
+      <div className="flex justify-between items-center">
+        <h3 className="text-lg font-semibold text-gray-900">Tags</h3>
+        <button
+          onClick={() => setOpen(!open)}
+          className="text-indigo-600 hover:text-indigo-800 text-sm font-medium"
+        >
+          {open ? 'Done' : 'Manage tags'}
+        </button>
+      </div>
+
+      {!open && (
+        <div className="flex flex-wrap gap-2 mt-3">
+          {tags.length === 0 && <p className="text-sm text-gray-500">No tags yet.</p>}
+          {tags.map((tag) => (
+            <TagChip key={tag._id} tag={tag} />
+          ))}
+        </div>
+      )}
+
+      {open && (
+        <div className="mt-4 space-y-4">
+          <form onSubmit={handleCreate} className="flex gap-2">
+            <input
+              type="color"
+              value={newTag.color}
+              onChange={(e) => setNewTag({ ...newTag, color: e.target.value })}
+              className="h-9 w-10 border border-gray-300 rounded-md"
+              aria-label="Tag color"
+            />
+            <input
+              type="text"
+              value={newTag.name}
+              onChange={(e) => setNewTag({ ...newTag, name: e.target.value })}
+              maxLength={30}
+              required
+              placeholder="New tag name"
+              className={`flex-1 ${inputClass}`}
+            />
+            <button
+              type="submit"
+              className="bg-indigo-600 text-white py-2 px-4 rounded-md text-sm hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+            >
+              Add Tag
+            </button>
+          </form>
+
+          <ul className="divide-y divide-gray-100">
+            {tags.map((tag) => (
+              <li key={tag._id} className="py-2 flex flex-wrap items-center gap-3">
+                {editing?._id === tag._id ? (
+                  <>
+                    <input
+                      type="color"
+                      value={editing.color}
+                      onChange={(e) => setEditing({ ...editing, color: e.target.value })}
+                      className="h-9 w-10 border border-gray-300 rounded-md"
+                      aria-label="Tag color"
+                    />
+                    <input
+                      type="text"
+                      value={editing.name}
+                      onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                      maxLength={30}
+                      className={`flex-1 ${inputClass}`}
+                    />
+                    <button onClick={handleSave} className="text-indigo-600 hover:text-indigo-800 text-sm font-medium">
+                      Save
+                    </button>
+                    <button onClick={() => setEditing(null)} className="text-gray-600 hover:text-gray-800 text-sm">
+                      Cancel
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    <TagChip tag={tag} />
+                    <span className="text-xs text-gray-500 flex-1">{tag.taskCount} task(s)</span>
+                    <button
+                      onClick={() => setEditing({ _id: tag._id, name: tag.name, color: tag.color })}
+                      className="text-indigo-600 hover:text-indigo-800 text-sm font-medium"
+                    >
+                      Edit
+                    </button>
+                    {tags.length > 1 && (
+                      <select
+                        value=""
+                        onChange={(e) => handleMerge(tag, e.target.value)}
+                        className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                        aria-label={`Merge ${tag.name} into`}
+                      >
+                        <option value="">Merge into…</option>
+                        {tags
+                          .filter((t) => t._id !== tag._id)
+                          .map((t) => (
+                            <option key={t._id} value={t._id}>
+                              {t.name}
+                            </option>
+                          ))}
+                      </select>
+                    )}
+                    <button
+                      onClick={() => handleDelete(tag)}
+                      className="text-red-600 hover:text-red-800 text-sm font-medium"
+                    >
+                      Delete
+                    </button>
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TagManager;
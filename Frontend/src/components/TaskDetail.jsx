@@ -0,0 +1,106 @@
+// frontend/src/components/TaskDetail.jsx
+import { useEffect } from 'react';
+import TagChip from './TagChip';
+import CommentPanel from './CommentPanel';
+import AttachmentPanel from './AttachmentPanel';
+import TaskHistory from './TaskHistory';
+import { describeRecurrence } from '../utils/recurrence';
+
+const STATUS_LABELS = { pending: 'Pending', 'in-progress': 'In Progress', completed: 'Completed' };
+
+/**
+ * Full view of one task with its comment thread and history, shown over the dashboard
+ */
+function TaskDetail({ task, tags = [], projects = [], onClose, onEdit, onCommentCountChange, onTaskUpdated }) {
+  // Close on Escape
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+    document.addEventListener('keydown', handleKey);
+    return () => document.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  const project = projects.find((p) => p._id === task.project);
+  const taskTags = tags.filter((tag) => (task.tags || []).includes(tag._id));
+
+  return (
+    <div
+      className="fixed inset-0 z-30 bg-black/40 flex items-start justify-center p-4 overflow-y-auto"
+      onMouseDown={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="task-detail-title"
+        className="bg-white rounded-lg shadow-xl w-full max-w-2xl my-8"
+      >
+        <div className="flex justify-between items-start gap-4 p-6 border-b border-gray-100">
+          <div>
+            <h3 id="task-detail-title" className="text-xl font-semibold text-gray-900">
+              {task.title}
+            </h3>
+            <p className="mt-1 text-sm text-gray-500">
+              {STATUS_LABELS[task.status]} · {task.priority.charAt(0).toUpperCase() + task.priority.slice(1)} priority
+              {task.dueDate && ` · Due ${new Date(task.dueDate).toLocaleDateString()}`}
+              {` · ${project ? project.name : 'Inbox'}`}
+            </p>
+          </div>
+          <div className="flex gap-3 shrink-0">
+            <button onClick={() => onEdit(task)} className="text-indigo-600 hover:text-indigo-800 text-sm font-medium">
+              Edit
+            </button>
+            <button onClick={onClose} className="text-gray-500 hover:text-gray-800 text-sm" aria-label="Close">
+              ✕
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {task.description && <p className="text-gray-700 whitespace-pre-wrap">{task.description}</p>}
+
+          {task.recurrence && (
+            <p className="text-sm text-indigo-600">↻ {describeRecurrence(task.recurrence)}</p>
+          )}
+
+          {taskTags.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {taskTags.map((tag) => (
+                <TagChip key={tag._id} tag={tag} />
+              ))}
+            </div>
+          )}
+
+          {task.checklist?.length > 0 && (
+            <ul className="space-y-1">
+              {task.checklist.map((item) => (
+                <li key={item._id} className={`text-sm ${item.done ? 'line-through text-gray-400' : 'text-gray-700'}`}>
+                  {item.done ? '☑' : '☐'} {item.text}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="pt-4 border-t border-gray-100">
+            <AttachmentPanel taskId={task._id} />
+          </div>
+
+          <div className="pt-4 border-t border-gray-100">
+            <CommentPanel
+              taskId={task._id}
+              onCountChange={(count) => onCommentCountChange(task._id, count)}
+            />
+          </div>
+
+          <div className="pt-4 border-t border-gray-100">
+            <TaskHistory task={task} tags={tags} projects={projects} onTaskUpdated={onTaskUpdated} />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TaskDetail;
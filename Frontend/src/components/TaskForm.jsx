@@ -1,14 +1,75 @@
 // frontend/src/components/TaskForm.jsx
 import { useState, useEffect } from 'react';
+import TagChip from './TagChip';
+import { WEEKDAYS, describeRecurrence } from '../utils/recurrence';
+import {
+  MAX_REMINDERS,
+  MAX_REMINDER_OFFSET,
+  REMINDER_PRESETS,
+  REMINDER_UNITS,
+  formatReminder
+} from '../utils/reminders';
 
-function TaskForm({ onSubmit, editTask, onCancel }) {
-  const [formData, setFormData] = useState({
-    title: '',
-    description: '',
-    status: 'pending',
-    priority: 'medium',
-    dueDate: ''
-  });
+const MAX_CHECKLIST_ITEMS = 100;
+
+const emptyForm = {
+  title: '',
+  description: '',
+  status: 'pending',
+  priority: 'medium',
+  dueDate: '',
+  parent: '',
+  project: '',
+  tags: [],
+  reminders: [],
+  checklist: [],
+  recurrence: null
+};
+
+const newRecurrence = (frequency) => ({
+  frequency,
+  interval: 1,
+  weekdays: [],
+  monthDay: '',
+  ends: 'never',
+  endDate: '',
+  count: ''
+});
+
+const INTERVAL_UNITS = { daily: 'day(s)', weekly: 'week(s)', monthly: 'month(s)' };
+
+// Turn a task's rule into editor state
+const recurrenceToForm = (rule) =>
+  rule && {
+    ...newRecurrence(rule.frequency),
+    interval: rule.interval || 1,
+    weekdays: rule.weekdays || [],
+    monthDay: rule.monthDay || '',
+    ends: rule.count ? 'count' : rule.endDate ? 'date' : 'never',
+    endDate: rule.endDate ? rule.endDate.split('T')[0] : '',
+    count: rule.count || ''
+  };
+
+// Turn editor state into the rule the API expects
+const formToRecurrence = (recurrence) =>
+  recurrence && {
+    frequency: recurrence.frequency,
+    interval: Number(recurrence.interval) || 1,
+    weekdays: recurrence.frequency === 'weekly' ? recurrence.weekdays : [],
+    monthDay: recurrence.frequency === 'monthly' && recurrence.monthDay ? Number(recurrence.monthDay) : null,
+    endDate: recurrence.ends === 'date' && recurrence.endDate ? recurrence.endDate : null,
+    count: recurrence.ends === 'count' && recurrence.count ? Number(recurrence.count) : null
+  };
+
+// Local key for checklist rows that haven't been saved yet
+let nextItemKey = 0;
+const newItemKey = () => `new-${nextItemKey++}`;
+
+function TaskForm({ onSubmit, editTask, onCancel, tasks = [], tags = [], projects = [], defaultProject = '' }) {
+  const [formData, setFormData] = useState({ ...emptyForm, project: defaultProject });
+  const [newItemText, setNewItemText] = useState('');
+  const [customReminder, setCustomReminder] = useState({ count: '', unit: 60 });
+  const [scope, setScope] = useState('instance'); // Recurring tasks: edit this occurrence or the series
 
   // Populate form when editing
   useEffect(() => {
@@ -18,11 +79,106 @@ function TaskForm({ onSubmit, editTask, onCancel }) {
         description: editTask.description || '',
         status: editTask.status,
         priority: editTask.priority,
-        dueDate: editTask.dueDate ? editTask.dueDate.split('T')[0] : ''
+        dueDate: editTask.dueDate ? editTask.dueDate.split('T')[0] : '',
+        parent: editTask.parent || '',
+        project: editTask.project || '',
+        tags: editTask.tags || [],
+        reminders: (editTask.reminders || []).map((reminder) => reminder.offset),
+        checklist: (editTask.checklist || []).map((item) => ({ ...item, key: item._id })),
+        recurrence: recurrenceToForm(editTask.recurrence)
       });
+      setScope('instance');
     }
   }, [editTask]);
 
+  // New tasks go in the project the dashboard is showing
+  useEffect(() => {
+    if (!editTask) {
+      setFormData((current) => ({ ...current, project: defaultProject }));
+    }
+  }, [defaultProject, editTask]);
+
+  // Tasks this one could be nested under (one level of nesting only)
+  const parentOptions = tasks.filter((task) => !task.parent && task._id !== editTask?._id);
+  const parentTask = tasks.find((task) => task._id === formData.parent);
+  // Archived projects can't take new tasks, but keep showing the current one
+  const projectOptions = projects.filter((project) => !project.archived || project._id === editTask?.project);
+  const hasSubtasks = editTask?.subtaskCount > 0;
+
+  const toggleTag = (tagId) => {
+    const selected = formData.tags.includes(tagId)
+      ? formData.tags.filter((id) => id !== tagId)
+      : [...formData.tags, tagId];
+    setFormData({ ...formData, tags: selected });
+  };
+
+  const addReminder = (offset) => {
+    if (formData.reminders.includes(offset) || formData.reminders.length >= MAX_REMINDERS) {
+      return;
+    }
+    setFormData({ ...formData, reminders: [...formData.reminders, offset].sort((a, b) => b - a) });
+  };
+
+  const removeReminder = (offset) => {
+    setFormData({ ...formData, reminders: formData.reminders.filter((o) => o !== offset) });
+  };
+
+  const handleAddCustomReminder = () => {
+    const offset = Number(customReminder.count) * customReminder.unit;
+    if (!Number.isInteger(offset) || offset < 0 || offset > MAX_REMINDER_OFFSET) {
+      return;
+    }
+    addReminder(offset);
+    setCustomReminder({ ...customReminder, count: '' });
+  };
+
+  const setRecurrence = (changes) => {
+    setFormData({ ...formData, recurrence: { ...formData.recurrence, ...changes } });
+  };
+
+  const handleFrequencyChange = (e) => {
+    const frequency = e.target.value;
+    setFormData({
+      ...formData,
+      recurrence: frequency ? { ...(formData.recurrence || newRecurrence(frequency)), frequency } : null
+    });
+  };
+
+  const toggleWeekday = (day) => {
+    const weekdays = formData.recurrence.weekdays.includes(day)
+      ? formData.recurrence.weekdays.filter((d) => d !== day)
+      : [...formData.recurrence.weekdays, day].sort((a, b) => a - b);
+    setRecurrence({ weekdays });
+  };
+
+  const setChecklist = (checklist) => {
+    setFormData({ ...formData, checklist });
+  };
+
+  const handleAddItem = () => {
+    const text = newItemText.trim();
+    if (!text || formData.checklist.length >= MAX_CHECKLIST_ITEMS) {
+      return;
+    }
+    setChecklist([...formData.checklist, { key: newItemKey(), text, done: false }]);
+    setNewItemText('');
+  };
+
+  const handleItemChange = (index, changes) => {
+    setChecklist(formData.checklist.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  };
+
+  const handleMoveItem = (index, offset) => {
+    const checklist = [...formData.checklist];
+    const [item] = checklist.splice(index, 1);
+    checklist.splice(index + offset, 0, item);
+    setChecklist(checklist);
+  };
+
+  const handleRemoveItem = (index) => {
+    setChecklist(formData.checklist.filter((_, i) => i !== index));
+  };
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -32,17 +188,23 @@ function TaskForm({ onSubmit, editTask, onCancel }) {
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    onSubmit(formData);
+    onSubmit({
+      ...formData,
+      parent: formData.parent || null,
+      project: formData.project || null,
+      // Drop tags deleted since the form was filled in
+      tags: formData.tags.filter((id) => tags.some((tag) => tag._id === id)),
+      reminders: formData.reminders,
+      checklist: formData.checklist
+        .filter((item) => item.text.trim())
+        .map(({ _id, text, done }) => ({ ...(_id && { _id }), text: text.trim(), done })),
+      recurrence: formToRecurrence(formData.recurrence)
+    }, editTask?.series ? scope : undefined);
     
     // Reset form if not editing
     if (!editTask) {
-      setFormData({
-        title: '',
-        description: '',
-        status: 'pending',
-        priority: 'medium',
-        dueDate: ''
-      });
+      setFormData({ ...emptyForm, project: defaultProject });
+      setNewItemText('');
     }
   };
 
@@ -137,6 +299,372 @@ function TaskForm({ onSubmit, editTask, onCancel }) {
           </div>
         </div>
 
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="project" className="block text-sm font-medium text-gray-700 mb-1">
+              Project
+            </label>
+            <select
+              id="project"
+              name="project"
+              value={parentTask ? parentTask.project || '' : formData.project}
+              onChange={handleChange}
+              disabled={!!parentTask}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 disabled:bg-gray-100"
+            >
+              <option value="">Inbox</option>
+              {projectOptions.map((project) => (
+                <option key={project._id} value={project._id}>
+                  {project.name}
+                </option>
+              ))}
+            </select>
+            {parentTask && (
+              <p className="mt-1 text-xs text-gray-500">Subtasks stay in their parent task&apos;s project.</p>
+            )}
+          </div>
+
+          <div>
+            <label htmlFor="parent" className="block text-sm font-medium text-gray-700 mb-1">
+              Parent Task
+            </label>
+            <select
+              id="parent"
+              name="parent"
+              value={formData.parent}
+              onChange={handleChange}
+              disabled={hasSubtasks}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 disabled:bg-gray-100"
+            >
+              <option value="">None (top-level task)</option>
+              {parentOptions.map((task) => (
+                <option key={task._id} value={task._id}>
+                  {task.title}
+                </option>
+              ))}
+            </select>
+            {hasSubtasks && (
+              <p className="mt-1 text-xs text-gray-500">A task with subtasks cannot become a subtask.</p>
+            )}
+          </div>
+        </div>
+
+        {tags.length > 0 && (
+          <div>
+            <span className="block text-sm font-medium text-gray-700 mb-1">Tags</span>
+            <div className="flex flex-wrap gap-2">
+              {tags.map((tag) => (
+                <TagChip
+                  key={tag._id}
+                  tag={tag}
+                  selected={formData.tags.includes(tag._id)}
+                  onClick={() => toggleTag(tag._id)}
+                />
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Reminders (minutes before the due date) */}
+        <div>
+          <span className="block text-sm font-medium text-gray-700 mb-1">Reminders</span>
+          {formData.reminders.length > 0 && (
+            <div className="flex flex-wrap gap-2 mb-2">
+              {formData.reminders.map((offset) => (
+                <span
+                  key={offset}
+                  className="inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium bg-indigo-50 text-indigo-700"
+                >
+                  🔔 {formatReminder(offset)}
+                  <button
+                    type="button"
+                    onClick={() => removeReminder(offset)}
+                    className="text-indigo-400 hover:text-indigo-700"
+                    aria-label={`Remove reminder ${formatReminder(offset)}`}
+                  >
+                    ×
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+          {formData.reminders.length < MAX_REMINDERS && (
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              {REMINDER_PRESETS.filter((offset) => !formData.reminders.includes(offset)).map((offset) => (
+                <button
+                  key={offset}
+                  type="button"
+                  onClick={() => addReminder(offset)}
+                  className="px-2 py-1 rounded-md text-xs border border-gray-300 text-gray-700 hover:bg-gray-50"
+                >
+                  + {formatReminder(offset)}
+                </button>
+              ))}
+              <input
+                type="number"
+                min={1}
+                value={customReminder.count}
+                onChange={(e) => setCustomReminder({ ...customReminder, count: e.target.value })}
+                placeholder="Custom"
+                aria-label="Custom reminder amount"
+                className="w-20 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+              />
+              <select
+                value={customReminder.unit}
+                onChange={(e) => setCustomReminder({ ...customReminder, unit: Number(e.target.value) })}
+                aria-label="Custom reminder unit"
+                className="px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+              >
+                {REMINDER_UNITS.map((unit) => (
+                  <option key={unit.value} value={unit.value}>
+                    {unit.label} before
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={handleAddCustomReminder}
+                disabled={!customReminder.count}
+                className="text-indigo-600 hover:text-indigo-800 font-medium disabled:opacity-50"
+              >
+                Add
+              </button>
+            </div>
+          )}
+          {formData.reminders.length > 0 && !formData.dueDate && !formData.recurrence && (
+            <p className="mt-1 text-xs text-gray-500">Reminders are sent once the task has a due date.</p>
+          )}
+        </div>
+
+        {/* Recurrence */}
+        <div>
+          <label htmlFor="frequency" className="block text-sm font-medium text-gray-700 mb-1">
+            Repeat
+          </label>
+          <div className="flex flex-wrap items-center gap-3">
+            <select
+              id="frequency"
+              value={formData.recurrence?.frequency || ''}
+              onChange={handleFrequencyChange}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+            >
+              <option value="">Does not repeat</option>
+              <option value="daily">Daily</option>
+              <option value="weekly">Weekly</option>
+              <option value="monthly">Monthly</option>
+            </select>
+
+            {formData.recurrence && (
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                Every
+                <input
+                  type="number"
+                  min={1}
+                  max={365}
+                  value={formData.recurrence.interval}
+                  onChange={(e) => setRecurrence({ interval: e.target.value })}
+                  className="w-20 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                />
+                {INTERVAL_UNITS[formData.recurrence.frequency]}
+              </label>
+            )}
+
+            {formData.recurrence?.frequency === 'monthly' && (
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                on day
+                <input
+                  type="number"
+                  min={1}
+                  max={31}
+                  value={formData.recurrence.monthDay}
+                  onChange={(e) => setRecurrence({ monthDay: e.target.value })}
+                  placeholder={formData.dueDate ? String(Number(formData.dueDate.split('-')[2])) : ''}
+                  className="w-20 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                />
+              </label>
+            )}
+          </div>
+
+          {formData.recurrence?.frequency === 'weekly' && (
+            <div className="flex flex-wrap gap-1 mt-2">
+              {WEEKDAYS.map((label, day) => (
+                <button
+                  key={label}
+                  type="button"
+                  onClick={() => toggleWeekday(day)}
+                  aria-pressed={formData.recurrence.weekdays.includes(day)}
+                  className={`px-2 py-1 rounded-md text-xs font-medium border ${
+                    formData.recurrence.weekdays.includes(day)
+                      ? 'bg-indigo-600 text-white border-indigo-600'
+                      : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {formData.recurrence && (
+            <div className="flex flex-wrap items-center gap-3 mt-2 text-sm text-gray-700">
+              <label className="flex items-center gap-2">
+                Ends
+                <select
+                  value={formData.recurrence.ends}
+                  onChange={(e) => setRecurrence({ ends: e.target.value })}
+                  className="px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                >
+                  <option value="never">Never</option>
+                  <option value="date">On date</option>
+                  <option value="count">After</option>
+                </select>
+              </label>
+              {formData.recurrence.ends === 'date' && (
+                <input
+                  type="date"
+                  value={formData.recurrence.endDate}
+                  onChange={(e) => setRecurrence({ endDate: e.target.value })}
+                  required
+                  className="px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                />
+              )}
+              {formData.recurrence.ends === 'count' && (
+                <label className="flex items-center gap-2">
+                  <input
+                    type="number"
+                    min={1}
+                    max={1000}
+                    value={formData.recurrence.count}
+                    onChange={(e) => setRecurrence({ count: e.target.value })}
+                    required
+                    className="w-20 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  />
+                  occurrences
+                </label>
+              )}
+            </div>
+          )}
+
+          {formData.recurrence && (
+            <p className="mt-1 text-xs text-gray-500">
+              {describeRecurrence(formToRecurrence(formData.recurrence))}
+              {!formData.dueDate && ' · starts today'}
+            </p>
+          )}
+        </div>
+
+        {/* Checklist */}
+        <div>
+          <span className="block text-sm font-medium text-gray-700 mb-1">
+            Checklist ({formData.checklist.length}/{MAX_CHECKLIST_ITEMS})
+          </span>
+
+          {formData.checklist.length > 0 && (
+            <ul className="space-y-2 mb-2">
+              {formData.checklist.map((item, index) => (
+                <li key={item.key} className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={item.done}
+                    onChange={(e) => handleItemChange(index, { done: e.target.checked })}
+                    className="h-4 w-4 text-indigo-600 border-gray-300 rounded"
+                    aria-label="Done"
+                  />
+                  <input
+                    type="text"
+                    value={item.text}
+                    onChange={(e) => handleItemChange(index, { text: e.target.value })}
+                    maxLength={200}
+                    className={`flex-1 px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 ${
+                      item.done ? 'line-through text-gray-400' : ''
+                    }`}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => handleMoveItem(index, -1)}
+                    disabled={index === 0}
+                    className="text-gray-500 hover:text-gray-800 text-sm disabled:opacity-30"
+                    aria-label="Move up"
+                  >
+                    ↑
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleMoveItem(index, 1)}
+                    disabled={index === formData.checklist.length - 1}
+                    className="text-gray-500 hover:text-gray-800 text-sm disabled:opacity-30"
+                    aria-label="Move down"
+                  >
+                    ↓
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleRemoveItem(index)}
+                    className="text-red-600 hover:text-red-800 text-sm font-medium"
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={newItemText}
+              onChange={(e) => setNewItemText(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') {
+                  e.preventDefault();
+                  handleAddItem();
+                }
+              }}
+              maxLength={200}
+              disabled={formData.checklist.length >= MAX_CHECKLIST_ITEMS}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+              placeholder="Add a checklist item"
+            />
+            <button
+              type="button"
+              onClick={handleAddItem}
+              disabled={!newItemText.trim() || formData.checklist.length >= MAX_CHECKLIST_ITEMS}
+              className="bg-gray-200 text-gray-700 py-2 px-4 rounded-md text-sm hover:bg-gray-300 disabled:opacity-50"
+            >
+              Add
+            </button>
+          </div>
+        </div>
+
+        {/* Series vs. single occurrence edits */}
+        {editTask?.series && (
+          <fieldset className="text-sm text-gray-700">
+            <legend className="font-medium mb-1">Apply changes to</legend>
+            <div className="flex gap-4">
+              <label className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  name="scope"
+                  value="instance"
+                  checked={scope === 'instance'}
+                  onChange={(e) => setScope(e.target.value)}
+                />
+                This occurrence
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  name="scope"
+                  value="series"
+                  checked={scope === 'series'}
+                  onChange={(e) => setScope(e.target.value)}
+                />
+                All occurrences
+              </label>
+            </div>
+          </fieldset>
+        )}
+
         <div className="flex space-x-3">
           <button
             type="submit"
@@ -0,0 +1,185 @@
+// frontend/src/components/TaskHistory.jsx
+import { useState, useEffect } from 'react';
+import { getTaskHistory, revertTaskField } from '../utils/api';
+import { describeRecurrence } from '../utils/recurrence';
+import { formatReminder } from '../utils/reminders';
+
+const PAGE_SIZE = 20;
+
+// Must match REVERTABLE_FIELDS in backend/routes/taskRoutes.js
+const REVERTABLE_FIELDS = ['title', 'description', 'status', 'priority', 'dueDate', 'project', 'tags'];
+
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  status: 'Status',
+  priority: 'Priority',
+  dueDate: 'Due date',
+  parent: 'Parent task',
+  project: 'Project',
+  tags: 'Tags',
+  checklist: 'Checklist',
+  reminders: 'Reminders',
+  recurrence: 'Repeat'
+};
+
+const ACTION_LABELS = {
+  created: 'created the task',
+  updated: 'edited',
+  deleted: 'deleted the task',
+  restored: 'restored the task',
+  reverted: 'reverted a change'
+};
+
+const STATUS_LABELS = { pending: 'Pending', 'in-progress': 'In Progress', completed: 'Completed' };
+
+/**
+ * Timeline of changes to a task, newest first, with per-field revert.
+ * Reloads whenever the task is saved; reverts are reported through onTaskUpdated.
+ */
+function TaskHistory({ task, tags = [], projects = [], onTaskUpdated }) {
+  const [entries, setEntries] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        const response = await getTaskHistory(task._id, { limit: PAGE_SIZE });
+        setEntries(response.data.entries);
+        setHasMore(response.data.hasMore);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load history');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchHistory();
+  }, [task._id, task.updatedAt]);
+
+  const handleLoadOlder = async () => {
+    try {
+      const before = entries[entries.length - 1]._id;
+      const response = await getTaskHistory(task._id, { limit: PAGE_SIZE, before });
+      setEntries([...entries, ...response.data.entries]);
+      setHasMore(response.data.hasMore);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load history');
+    }
+  };
+
+  const handleRevert = async (entry, field) => {
+    setError('');
+    try {
+      const response = await revertTaskField(task._id, entry._id, field);
+      onTaskUpdated(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to revert change');
+    }
+  };
+
+  const formatValue = (field, value) => {
+    if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+      return { project: 'Inbox', parent: 'None', recurrence: "Doesn't repeat" }[field] || 'None';
+    }
+
+    switch (field) {
+      case 'status':
+        return STATUS_LABELS[value] || value;
+      case 'priority':
+        return value.charAt(0).toUpperCase() + value.slice(1);
+      case 'dueDate':
+        return new Date(value).toLocaleDateString();
+      case 'project':
+        return projects.find((p) => p._id === value)?.name || 'Deleted project';
+      case 'tags':
+        return value.map((id) => tags.find((tag) => tag._id === id)?.name || 'deleted tag').join(', ');
+      case 'parent':
+        return 'Another task';
+      case 'checklist':
+        return `${value.filter((item) => item.done).length}/${value.length} done`;
+      case 'reminders':
+        return value.map(formatReminder).join(', ');
+      case 'recurrence':
+        return describeRecurrence(value);
+      default:
+        return String(value);
+    }
+  };
+
+  // Whether the task still differs from a change's earlier value
+  const canRevert = (entry, change) => {
+    if (!['updated', 'reverted'].includes(entry.action) || !REVERTABLE_FIELDS.includes(change.field)) {
+      return false;
+    }
+    if (change.field === 'project' && task.parent) {
+      return false;
+    }
+
+    const current = change.field === 'dueDate' && task.dueDate ? new Date(task.dueDate).toISOString() : task[change.field];
+    const normalize = (value) => JSON.stringify(Array.isArray(value) ? [...value].sort() : value || null);
+    return normalize(current) !== normalize(change.from);
+  };
+
+  return (
+    <div>
+      <h4 className="text-sm font-semibold text-gray-900 mb-3">History</h4>
+
+      {error && <p className="mb-3 text-sm text-red-600">{error}</p>}
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading history...</p>
+      ) : entries.length === 0 ? (
+        <p className="text-sm text-gray-500">No changes recorded yet.</p>
+      ) : (
+        <ol className="border-l border-gray-200 ml-1 space-y-3">
+          {entries.map((entry) => (
+            <li key={entry._id} className="pl-4 relative">
+              <span className="absolute -left-1 top-1.5 w-2 h-2 rounded-full bg-indigo-400" aria-hidden="true" />
+              <p className="text-xs text-gray-500">
+                <span className="font-medium text-gray-800">{entry.actor?.name || 'Deleted user'}</span>
+                {entry.apiTokenName && ` (via ${entry.apiTokenName})`} {ACTION_LABELS[entry.action]}
+                {' · '}
+                {new Date(entry.createdAt).toLocaleString()}
+              </p>
+
+              {entry.action !== 'deleted' && entry.changes.length > 0 && (
+                <ul className="mt-1 space-y-1">
+                  {entry.changes.map((change) => (
+                    <li key={change.field} className="text-sm text-gray-700 flex flex-wrap items-baseline gap-x-2">
+                      <span className="font-medium">{FIELD_LABELS[change.field] || change.field}:</span>
+                      {entry.action !== 'created' && (
+                        <>
+                          <span className="text-gray-500 line-through break-all">{formatValue(change.field, change.from)}</span>
+                          <span aria-hidden="true">→</span>
+                        </>
+                      )}
+                      <span className="break-all">{formatValue(change.field, change.to)}</span>
+                      {canRevert(entry, change) && (
+                        <button
+                          onClick={() => handleRevert(entry, change.field)}
+                          className="text-xs text-indigo-600 hover:text-indigo-800"
+                        >
+                          Revert
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {hasMore && (
+        <button onClick={handleLoadOlder} className="mt-3 text-xs text-indigo-600 hover:text-indigo-800">
+          Load older changes
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default TaskHistory;
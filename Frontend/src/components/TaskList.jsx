@@ -1,9 +1,128 @@
 // frontend/src/components/TaskList.jsx
-import { useState } from 'react';
+import { useState, useEffect, useRef } from 'react';
+import TagChip from './TagChip';
+import SearchBox from './SearchBox';
+import { describeRecurrence } from '../utils/recurrence';
+import { formatReminder } from '../utils/reminders';
 
-function TaskList({ tasks, onEdit, onDelete, loading }) {
-  const [filter, setFilter] = useState({ status: '', priority: '' });
-  const [searchQuery, setSearchQuery] = useState('');
+const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest first' },
+  { value: 'oldest', label: 'Oldest first' },
+  { value: 'dueDate', label: 'Due date' },
+  { value: 'priority', label: 'Priority' },
+  { value: 'title', label: 'Title' }
+];
+
+const GROUP_OPTIONS = [
+  { value: 'none', label: 'No grouping' },
+  { value: 'status', label: 'Group by status' },
+  { value: 'priority', label: 'Group by priority' },
+  { value: 'project', label: 'Group by project' },
+  { value: 'dueDate', label: 'Group by due date' }
+];
+
+const STATUS_GROUPS = [
+  { key: 'pending', label: 'Pending' },
+  { key: 'in-progress', label: 'In Progress' },
+  { key: 'completed', label: 'Completed' }
+];
+
+const PRIORITY_GROUPS = [
+  { key: 'high', label: 'High priority' },
+  { key: 'medium', label: 'Medium priority' },
+  { key: 'low', label: 'Low priority' }
+];
+
+const DUE_GROUPS = [
+  { key: 'earlier', label: 'Earlier' },
+  { key: 'today', label: 'Today' },
+  { key: 'week', label: 'Next 7 days' },
+  { key: 'later', label: 'Later' },
+  { key: 'none', label: 'No due date' }
+];
+
+// Due dates are whole days stored as midnight UTC, so compare YYYY-MM-DD keys
+const dayKey = (date) => date.toLocaleDateString('en-CA');
+
+const dueGroup = (task) => {
+  if (!task.dueDate) return 'none';
+  const due = task.dueDate.slice(0, 10);
+  const today = new Date();
+  const weekEnd = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 7);
+  if (due < dayKey(today)) return 'earlier';
+  if (due === dayKey(today)) return 'today';
+  return due <= dayKey(weekEnd) ? 'week' : 'later';
+};
+
+/**
+ * Split tasks into sections, keeping their order within each
+ * @param {Array<Object>} tasks - Tasks to group
+ * @param {string} groupBy - One of GROUP_OPTIONS
+ * @param {Array<Object>} projects - For project names and order
+ * @returns {Array<Object>} - Non-empty sections: [{ key, label, tasks }]
+ */
+const groupTasks = (tasks, groupBy, projects) => {
+  const sections = {
+    status: STATUS_GROUPS,
+    priority: PRIORITY_GROUPS,
+    dueDate: DUE_GROUPS,
+    project: [{ key: '', label: 'Inbox' }, ...projects.map((project) => ({ key: project._id, label: project.name }))]
+  }[groupBy];
+  const keyOf = {
+    status: (task) => task.status,
+    priority: (task) => task.priority,
+    dueDate: dueGroup,
+    project: (task) => task.project || ''
+  }[groupBy];
+
+  return sections
+    .map((section) => ({ ...section, tasks: tasks.filter((task) => keyOf(task) === section.key) }))
+    .filter((section) => section.tasks.length > 0);
+};
+
+// Relative days (today, +7d) from saved views don't fit a date input
+const isRelativeDay = (value) => Boolean(value) && !/^\d{4}-\d{2}-\d{2}$/.test(value);
+
+/**
+ * Task list with filters and bulk actions. Filtering, sorting and paging are
+ * done by the server: `filters` is owned by the dashboard, and onLoadMore is
+ * called when the end of the list scrolls into view. A sort: term in the
+ * search text overrides the sort menu. Grouping splits the loaded tasks into
+ * sections.
+ */
+function TaskList({
+  tasks,
+  filters,
+  onFiltersChange,
+  groupBy = 'none',
+  onGroupByChange,
+  total = 0,
+  totals = {},
+  hasMore = false,
+  loadingMore = false,
+  onLoadMore,
+  searchError,
+  tags = [],
+  projects = [],
+  onEdit,
+  onDelete,
+  onMoveTask,
+  onToggleChecklistItem,
+  onSkip,
+  onOpen,
+  onBulkAction,
+  loading
+}) {
+  const [expanded, setExpanded] = useState({}); // taskId -> checklist open
+  const [selected, setSelected] = useState([]); // Task IDs picked for a bulk action
+  const [allMatching, setAllMatching] = useState(false); // Every task matching the filters, loaded or not
+  const [shiftDays, setShiftDays] = useState(1);
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const endRef = useRef(null);
+
+  const toggleExpanded = (taskId) => {
+    setExpanded({ ...expanded, [taskId]: !expanded[taskId] });
+  };
 
   // Get status badge color
   const getStatusColor = (status) => {
@@ -29,17 +148,246 @@ function TaskList({ tasks, onEdit, onDelete, loading }) {
     }
   };
 
-  // Filter tasks based on search and filters
-  const filteredTasks = tasks.filter((task) => {
-    const matchesStatus = !filter.status || task.status === filter.status;
-    const matchesPriority = !filter.priority || task.priority === filter.priority;
-    const matchesSearch =
-      !searchQuery ||
-      task.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      task.description?.toLowerCase().includes(searchQuery.toLowerCase());
+  // Load the next page when the end of the list comes into view
+  useEffect(() => {
+    const end = endRef.current;
+    if (!end || !hasMore) {
+      return undefined;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting && !loadingMore) {
+        onLoadMore();
+      }
+    });
+    observer.observe(end);
+    return () => observer.disconnect();
+  }, [hasMore, loadingMore, onLoadMore]);
+
+  const tagsById = new Map(tags.map((tag) => [tag._id, tag]));
+  // Ignore selections for tags that have since been deleted or merged
+  const selectedTags = filters.tags.filter((id) => tagsById.has(id));
+
+  // Any filter change starts a new selection
+  const changeFilters = (changes) => {
+    setSelected([]);
+    setAllMatching(false);
+    onFiltersChange({ ...filters, ...changes });
+  };
+
+  const toggleTagFilter = (tagId) => {
+    const selectedIdsForTags = selectedTags.includes(tagId)
+      ? selectedTags.filter((id) => id !== tagId)
+      : [...selectedTags, tagId];
+    changeFilters({ tags: selectedIdsForTags });
+  };
+
+  // Ignore selections for tasks that are no longer listed
+  const selectedIds = allMatching
+    ? tasks.map((task) => task._id)
+    : selected.filter((id) => tasks.some((task) => task._id === id));
+  const selectedCount = allMatching ? total : selectedIds.length;
+
+  const toggleSelected = (taskId) => {
+    setAllMatching(false);
+    setSelected(selectedIds.includes(taskId) ? selectedIds.filter((id) => id !== taskId) : [...selectedIds, taskId]);
+  };
+
+  const clearSelection = () => {
+    setSelected([]);
+    setAllMatching(false);
+  };
+
+  // All matching tasks are sent as the filter rather than a list of IDs
+  const runBulkAction = async (action, value) => {
+    setBulkBusy(true);
+    await onBulkAction(allMatching ? null : selectedIds, action, value);
+    setBulkBusy(false);
+    clearSelection();
+  };
+
+  // Nest subtasks under their parent; a subtask whose parent isn't listed
+  // is shown at the top level instead
+  const visibleIds = new Set(tasks.map((task) => task._id));
+  const topLevelTasks = tasks.filter((task) => !task.parent || !visibleIds.has(task.parent));
+  const getSubtasks = (taskId) => tasks.filter((task) => task.parent === taskId);
 
-    return matchesStatus && matchesPriority && matchesSearch;
-  });
+  // Projects (or the Inbox) a task could be moved to
+  const moveTargets = (task) => [
+    ...(task.project ? [{ value: 'inbox', label: 'Inbox' }] : []),
+    ...projects
+      .filter((project) => !project.archived && project._id !== task.project)
+      .map((project) => ({ value: project._id, label: project.name }))
+  ];
+
+  const renderTask = (task, isSubtask = false) => {
+    const subtasks = isSubtask ? [] : getSubtasks(task._id);
+    const checklist = task.checklist || [];
+
+    return (
+      <div
+        key={task._id}
+        className={`border border-gray-200 rounded-lg p-4 hover:shadow-md transition-shadow ${
+          isSubtask ? 'bg-gray-50' : ''
+        }`}
+      >
+        <div className="flex justify-between items-start mb-2">
+          <h4 className={`${isSubtask ? 'text-base' : 'text-lg'} font-semibold text-gray-900 flex items-center gap-2`}>
+            <input
+              type="checkbox"
+              checked={selectedIds.includes(task._id)}
+              onChange={() => toggleSelected(task._id)}
+              className="h-4 w-4 text-indigo-600 border-gray-300 rounded"
+              aria-label={`Select ${task.title}`}
+            />
+            <button onClick={() => onOpen(task)} className="text-left hover:text-indigo-700 hover:underline">
+              {task.title}
+            </button>
+          </h4>
+          <div className="flex space-x-2 items-center">
+            {/* Subtasks move with their parent */}
+            {!isSubtask && moveTargets(task).length > 0 && (
+              <select
+                value=""
+                onChange={(e) => onMoveTask(task, e.target.value === 'inbox' ? null : e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded-md text-xs text-gray-700"
+                aria-label={`Move ${task.title} to project`}
+              >
+                <option value="">Move to…</option>
+                {moveTargets(task).map((target) => (
+                  <option key={target.value} value={target.value}>
+                    {target.label}
+                  </option>
+                ))}
+              </select>
+            )}
+            {task.recurrence && task.status !== 'completed' && (
+              <button
+                onClick={() => onSkip(task)}
+                className="text-gray-600 hover:text-gray-800 text-sm font-medium"
+                title="Skip to the next occurrence"
+              >
+                Skip
+              </button>
+            )}
+            <button
+              onClick={() => onEdit(task)}
+              className="text-indigo-600 hover:text-indigo-800 text-sm font-medium"
+            >
+              Edit
+            </button>
+            <button
+              onClick={() => onDelete(task._id)}
+              className="text-red-600 hover:text-red-800 text-sm font-medium"
+            >
+              Delete
+            </button>
+          </div>
+        </div>
+
+        {task.description && (
+          <p className="text-gray-600 text-sm mb-3">{task.description}</p>
+        )}
+
+        <div className="flex flex-wrap gap-2 items-center">
+          <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(task.status)}`}>
+            {task.status === 'in-progress' ? 'In Progress' : task.status.charAt(0).toUpperCase() + task.status.slice(1)}
+          </span>
+          <span className={`px-2 py-1 rounded-full text-xs font-medium ${getPriorityColor(task.priority)}`}>
+            {task.priority.charAt(0).toUpperCase() + task.priority.slice(1)} Priority
+          </span>
+          {task.dueDate && (
+            <span className="text-xs text-gray-500">
+              Due: {new Date(task.dueDate).toLocaleDateString()}
+            </span>
+          )}
+          {task.dueDate && task.reminders?.length > 0 && (
+            <span
+              className="text-xs text-gray-500"
+              title={task.reminders.map((reminder) => formatReminder(reminder.offset)).join(', ')}
+            >
+              🔔 {task.reminders.length}
+            </span>
+          )}
+          {task.commentCount > 0 && (
+            <button
+              onClick={() => onOpen(task)}
+              className="text-xs text-gray-500 hover:text-gray-800"
+              aria-label={`${task.commentCount} comments`}
+            >
+              💬 {task.commentCount}
+            </button>
+          )}
+          {task.recurrence && (
+            <span className="text-xs text-indigo-600" title="Repeating task">
+              ↻ {describeRecurrence(task.recurrence)}
+            </span>
+          )}
+          {(task.tags || [])
+            .filter((id) => tagsById.has(id))
+            .map((id) => (
+              <TagChip key={id} tag={tagsById.get(id)} />
+            ))}
+        </div>
+
+        {/* Progress (checklist items plus subtasks) */}
+        {task.progress?.total > 0 && (
+          <div className="mt-3">
+            <div className="flex justify-between text-xs text-gray-600 mb-1">
+              <span>
+                {task.progress.done} of {task.progress.total} done
+              </span>
+              <span>{task.progress.percent}%</span>
+            </div>
+            <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+              <div
+                className="h-full bg-indigo-600 rounded-full transition-all"
+                style={{ width: `${task.progress.percent}%` }}
+              ></div>
+            </div>
+          </div>
+        )}
+
+        {/* Checklist */}
+        {checklist.length > 0 && (
+          <div className="mt-3">
+            <button
+              onClick={() => toggleExpanded(task._id)}
+              className="text-sm text-indigo-600 hover:text-indigo-800 font-medium"
+            >
+              {expanded[task._id] ? 'Hide' : 'Show'} checklist ({checklist.filter((item) => item.done).length}/
+              {checklist.length})
+            </button>
+
+            {expanded[task._id] && (
+              <ul className="mt-2 space-y-1">
+                {checklist.map((item) => (
+                  <li key={item._id}>
+                    <label className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={item.done}
+                        onChange={() => onToggleChecklistItem(task, item)}
+                        className="h-4 w-4 text-indigo-600 border-gray-300 rounded"
+                      />
+                      <span className={item.done ? 'line-through text-gray-400' : ''}>{item.text}</span>
+                    </label>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {/* Subtasks */}
+        {subtasks.length > 0 && (
+          <div className="mt-4 ml-4 space-y-3">
+            {subtasks.map((subtask) => renderTask(subtask, true))}
+          </div>
+        )}
+      </div>
+    );
+  };
 
   return (
     <div className="bg-white p-6 rounded-lg shadow-md">
@@ -48,29 +396,29 @@ function TaskList({ tasks, onEdit, onDelete, loading }) {
 
         {/* Search and Filters */}
         <div className="space-y-3">
-          <input
-            type="text"
-            placeholder="Search tasks..."
-            value={searchQuery}
-            onChange={(e) => setSearchQuery(e.target.value)}
-            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+          <SearchBox
+            value={filters.q}
+            onChange={(q) => changeFilters({ q })}
+            error={searchError}
+            tags={tags}
+            projects={projects}
           />
 
           <div className="flex flex-wrap gap-3">
             <select
-              value={filter.status}
-              onChange={(e) => setFilter({ ...filter, status: e.target.value })}
+              value={filters.status}
+              onChange={(e) => changeFilters({ status: e.target.value })}
               className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
             >
-              <option value="">All Status</option>
-              <option value="pending">Pending</option>
-              <option value="in-progress">In Progress</option>
-              <option value="completed">Completed</option>
+              <option value="">All Status ({totals.all ?? 0})</option>
+              <option value="pending">Pending ({totals.pending ?? 0})</option>
+              <option value="in-progress">In Progress ({totals['in-progress'] ?? 0})</option>
+              <option value="completed">Completed ({totals.completed ?? 0})</option>
             </select>
 
             <select
-              value={filter.priority}
-              onChange={(e) => setFilter({ ...filter, priority: e.target.value })}
+              value={filters.priority}
+              onChange={(e) => changeFilters({ priority: e.target.value })}
               className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
             >
               <option value="">All Priority</option>
@@ -78,10 +426,179 @@ function TaskList({ tasks, onEdit, onDelete, loading }) {
               <option value="medium">Medium</option>
               <option value="high">High</option>
             </select>
+
+            <select
+              value={filters.sort}
+              onChange={(e) => changeFilters({ sort: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+              aria-label="Sort tasks"
+            >
+              {SORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+
+            <select
+              value={groupBy}
+              onChange={(e) => onGroupByChange(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+              aria-label="Group tasks"
+            >
+              {GROUP_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
           </div>
+
+          {/* Due Date Filter */}
+          <div className="flex flex-wrap gap-3 items-center text-sm text-gray-600">
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={filters.overdue}
+                onChange={(e) => changeFilters({ overdue: e.target.checked })}
+                className="h-4 w-4 text-indigo-600 border-gray-300 rounded"
+              />
+              Overdue only
+            </label>
+            {[
+              { field: 'dueAfter', label: 'Due from' },
+              { field: 'dueBefore', label: 'to' }
+            ].map(({ field, label }) => (
+              <label key={field} className="flex items-center gap-2">
+                {label}
+                {isRelativeDay(filters[field]) ? (
+                  <span className="inline-flex items-center gap-1 px-2 py-1 bg-gray-100 rounded-md text-gray-800">
+                    {filters[field]}
+                    <button
+                      type="button"
+                      onClick={() => changeFilters({ [field]: '' })}
+                      className="text-gray-500 hover:text-gray-700"
+                      aria-label={`Clear ${label}`}
+                    >
+                      ✕
+                    </button>
+                  </span>
+                ) : (
+                  <input
+                    type="date"
+                    value={filters[field]}
+                    onChange={(e) => changeFilters({ [field]: e.target.value })}
+                    className="px-2 py-1 border border-gray-300 rounded-md"
+                  />
+                )}
+              </label>
+            ))}
+          </div>
+
+          {/* Tag Filter */}
+          {tags.length > 0 && (
+            <div className="flex flex-wrap gap-2 items-center">
+              <span className="text-sm text-gray-600">Tags:</span>
+              {tags.map((tag) => (
+                <TagChip
+                  key={tag._id}
+                  tag={tag}
+                  selected={selectedTags.includes(tag._id)}
+                  onClick={() => toggleTagFilter(tag._id)}
+                />
+              ))}
+              {selectedTags.length > 1 && (
+                <select
+                  value={filters.tagMode}
+                  onChange={(e) => changeFilters({ tagMode: e.target.value })}
+                  className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  aria-label="Tag match mode"
+                >
+                  <option value="any">Match any</option>
+                  <option value="all">Match all</option>
+                </select>
+              )}
+              {selectedTags.length > 0 && (
+                <button
+                  onClick={() => changeFilters({ tags: [] })}
+                  className="text-sm text-gray-600 hover:text-gray-800 underline"
+                >
+                  Clear
+                </button>
+              )}
+            </div>
+          )}
         </div>
       </div>
 
+      {/* Bulk Actions */}
+      {selectedCount > 0 && (
+        <div className="mb-4 flex flex-wrap gap-3 items-center bg-indigo-50 border border-indigo-100 rounded-md px-4 py-3 text-sm">
+          <span className="font-medium text-indigo-900">{selectedCount} selected</span>
+          {!allMatching && selectedCount < total && (
+            <button onClick={() => setAllMatching(true)} className="text-indigo-600 hover:text-indigo-800 underline">
+              Select all {total} matching
+            </button>
+          )}
+          <button onClick={clearSelection} className="text-gray-600 hover:text-gray-800 underline">
+            Clear
+          </button>
+
+          <select
+            value=""
+            disabled={bulkBusy}
+            onChange={(e) => runBulkAction('status', e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+            aria-label="Set status of selected tasks"
+          >
+            <option value="">Set status…</option>
+            <option value="pending">Pending</option>
+            <option value="in-progress">In Progress</option>
+            <option value="completed">Completed</option>
+          </select>
+
+          <select
+            value=""
+            disabled={bulkBusy}
+            onChange={(e) => runBulkAction('priority', e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+            aria-label="Set priority of selected tasks"
+          >
+            <option value="">Set priority…</option>
+            <option value="low">Low</option>
+            <option value="medium">Medium</option>
+            <option value="high">High</option>
+          </select>
+
+          <span className="flex items-center gap-1">
+            <input
+              type="number"
+              min={-3650}
+              max={3650}
+              value={shiftDays}
+              onChange={(e) => setShiftDays(parseInt(e.target.value, 10) || 0)}
+              className="w-16 px-2 py-1 border border-gray-300 rounded-md text-sm"
+              aria-label="Days to move due dates by"
+            />
+            <button
+              onClick={() => runBulkAction('shiftDueDate', shiftDays)}
+              disabled={bulkBusy || shiftDays === 0}
+              className="text-indigo-600 hover:text-indigo-800 font-medium disabled:opacity-50"
+            >
+              Shift due dates
+            </button>
+          </span>
+
+          <button
+            onClick={() => runBulkAction('delete')}
+            disabled={bulkBusy}
+            className="text-red-600 hover:text-red-800 font-medium disabled:opacity-50"
+          >
+            Delete
+          </button>
+        </div>
+      )}
+
       {/* Loading State */}
       {loading && (
         <div className="text-center py-8">
@@ -91,66 +608,47 @@ function TaskList({ tasks, onEdit, onDelete, loading }) {
       )}
 
       {/* Empty State */}
-      {!loading && filteredTasks.length === 0 && (
+      {!loading && tasks.length === 0 && (
         <div className="text-center py-8">
           <p className="text-gray-500">
-            {tasks.length === 0 ? 'No tasks yet. Create one to get started!' : 'No tasks match your filters.'}
+            {totals.all === 0 && !filters.q ? 'No tasks yet. Create one to get started!' : 'No tasks match your filters.'}
           </p>
         </div>
       )}
 
       {/* Task List */}
-      {!loading && filteredTasks.length > 0 && (
+      {!loading && tasks.length > 0 && (
         <div className="space-y-4">
-          {filteredTasks.map((task) => (
-            <div
-              key={task._id}
-              className="border border-gray-200 rounded-lg p-4 hover:shadow-md transition-shadow"
-            >
-              <div className="flex justify-between items-start mb-2">
-                <h4 className="text-lg font-semibold text-gray-900">{task.title}</h4>
-                <div className="flex space-x-2">
-                  <button
-                    onClick={() => onEdit(task)}
-                    className="text-indigo-600 hover:text-indigo-800 text-sm font-medium"
-                  >
-                    Edit
-                  </button>
-                  <button
-                    onClick={() => onDelete(task._id)}
-                    className="text-red-600 hover:text-red-800 text-sm font-medium"
-                  >
-                    Delete
-                  </button>
-                </div>
-              </div>
-
-              {task.description && (
-                <p className="text-gray-600 text-sm mb-3">{task.description}</p>
-              )}
+          {groupBy === 'none'
+            ? topLevelTasks.map((task) => renderTask(task))
+            : groupTasks(topLevelTasks, groupBy, projects).map((section) => (
+                <section key={section.key || 'inbox'} className="space-y-4">
+                  <h4 className="text-sm font-semibold text-gray-700 border-b border-gray-100 pb-1">
+                    {section.label} <span className="font-normal text-gray-500">({section.tasks.length})</span>
+                  </h4>
+                  {section.tasks.map((task) => renderTask(task))}
+                </section>
+              ))}
+        </div>
+      )}
 
-              <div className="flex flex-wrap gap-2 items-center">
-                <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(task.status)}`}>
-                  {task.status === 'in-progress' ? 'In Progress' : task.status.charAt(0).toUpperCase() + task.status.slice(1)}
-                </span>
-                <span className={`px-2 py-1 rounded-full text-xs font-medium ${getPriorityColor(task.priority)}`}>
-                  {task.priority.charAt(0).toUpperCase() + task.priority.slice(1)} Priority
-                </span>
-                {task.dueDate && (
-                  <span className="text-xs text-gray-500">
-                    Due: {new Date(task.dueDate).toLocaleDateString()}
-                  </span>
-                )}
-              </div>
-            </div>
-          ))}
+      {/* Next page loads as this scrolls into view */}
+      {!loading && hasMore && (
+        <div ref={endRef} className="mt-4 text-center">
+          <button
+            onClick={onLoadMore}
+            disabled={loadingMore}
+            className="text-sm text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+          >
+            {loadingMore ? 'Loading more tasks...' : 'Load more'}
+          </button>
         </div>
       )}
 
       {/* Task Count */}
-      {!loading && filteredTasks.length > 0 && (
+      {!loading && tasks.length > 0 && (
         <div className="mt-4 text-sm text-gray-600 text-center">
-          Showing {filteredTasks.length} of {tasks.length} tasks
+          Showing {tasks.length} of {total} tasks
         </div>
       )}
     </div>
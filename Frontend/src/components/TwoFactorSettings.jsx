@@ -0,0 +1,190 @@
+// frontend/src/components/TwoFactorSettings.jsx
+import { useState } from 'react';
+import {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} from '../utils/api';
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500';
+
+function TwoFactorSettings({ enabled, onChange, onMessage }) {
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  // Wrap an API call with loading state and error reporting
+  const run = async (action, fallbackError) => {
+    setLoading(true);
+    try {
+      await action();
+    } catch (err) {
+      onMessage('error', err.response?.data?.message || fallbackError);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleStartSetup = () =>
+    run(async () => {
+      const response = await setupTwoFactor();
+      setSetup(response.data);
+      setRecoveryCodes([]);
+    }, 'Failed to start two-factor setup');
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await enableTwoFactor(code);
+      setRecoveryCodes(response.data.recoveryCodes);
+      setSetup(null);
+      setCode('');
+      onChange(true);
+      onMessage('success', response.message);
+    }, 'Failed to enable two-factor authentication');
+  };
+
+  const handleDisable = () =>
+    run(async () => {
+      const response = await disableTwoFactor(password);
+      setPassword('');
+      setRecoveryCodes([]);
+      onChange(false);
+      onMessage('success', response.message);
+    }, 'Failed to disable two-factor authentication');
+
+  const handleRegenerate = () =>
+    run(async () => {
+      const response = await regenerateRecoveryCodes(password);
+      setPassword('');
+      setRecoveryCodes(response.data.recoveryCodes);
+      onMessage('success', response.message);
+    }, 'Failed to generate recovery codes');
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md mb-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Two-Factor Authentication</h3>
+        <span
+          className={`px-2 py-1 rounded-full text-xs font-medium ${
+            enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+          }`}
+        >
+          {enabled ? 'Enabled' : 'Disabled'}
+        </span>
+      </div>
+
+      {/* Recovery codes are only ever shown once */}
+      {recoveryCodes.length > 0 && (
+        <div className="mb-4 bg-yellow-50 border border-yellow-200 px-4 py-3 rounded">
+          <p className="text-sm text-yellow-800 mb-2">
+            Save these recovery codes somewhere safe. Each works once, and they won't be shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-2 font-mono text-sm text-gray-900">
+            {recoveryCodes.map((recoveryCode) => (
+              <span key={recoveryCode}>{recoveryCode}</span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {!enabled && !setup && (
+        <div>
+          <p className="text-sm text-gray-600 mb-4">
+            Protect your account with a code from an authenticator app when you sign in.
+          </p>
+          <button
+            onClick={handleStartSetup}
+            disabled={loading}
+            className="bg-indigo-600 text-white py-2 px-4 rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+          >
+            Set up two-factor authentication
+          </button>
+        </div>
+      )}
+
+      {!enabled && setup && (
+        <form onSubmit={handleEnable} className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Scan this QR code with your authenticator app, or enter the key manually.
+          </p>
+          <img src={setup.qrCode} alt="Two-factor QR code" className="h-48 w-48" />
+          <p className="font-mono text-sm text-gray-900 break-all">{setup.secret}</p>
+          <div>
+            <label htmlFor="totpCode" className="block text-sm font-medium text-gray-700 mb-1">
+              Enter the 6-digit code to confirm
+            </label>
+            <input
+              id="totpCode"
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              required
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className={inputClass}
+              placeholder="123456"
+            />
+          </div>
+          <div className="flex space-x-3">
+            <button
+              type="submit"
+              disabled={loading}
+              className="flex-1 bg-indigo-600 text-white py-2 px-4 rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+            >
+              Enable
+            </button>
+            <button
+              type="button"
+              onClick={() => setSetup(null)}
+              className="flex-1 bg-gray-200 text-gray-700 py-2 px-4 rounded-md hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-500"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {enabled && (
+        <div className="space-y-4">
+          <div>
+            <label htmlFor="twoFactorPassword" className="block text-sm font-medium text-gray-700 mb-1">
+              Confirm your password to make changes
+            </label>
+            <input
+              id="twoFactorPassword"
+              type="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className={inputClass}
+              placeholder="Current password"
+            />
+          </div>
+          <div className="flex space-x-3">
+            <button
+              onClick={handleRegenerate}
+              disabled={loading || !password}
+              className="flex-1 bg-gray-200 text-gray-700 py-2 px-4 rounded-md hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-500 disabled:opacity-50"
+            >
+              New recovery codes
+            </button>
+            <button
+              onClick={handleDisable}
+              disabled={loading || !password}
+              className="flex-1 bg-red-600 text-white py-2 px-4 rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 disabled:opacity-50"
+            >
+              Disable
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TwoFactorSettings;
@@ -0,0 +1,30 @@
+// frontend/src/components/UndoToast.jsx
+import { useEffect } from 'react';
+
+/**
+ * Bottom-of-screen notice with an Undo button that dismisses itself
+ * after `duration` ms
+ */
+function UndoToast({ message, onUndo, onDismiss, duration = 8000 }) {
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, duration);
+    return () => clearTimeout(timer);
+  }, [message, onDismiss, duration]);
+
+  return (
+    <div
+      role="status"
+      className="fixed bottom-6 left-1/2 -translate-x-1/2 z-40 flex items-center gap-4 bg-gray-900 text-white text-sm px-4 py-3 rounded-md shadow-lg"
+    >
+      <span>{message}</span>
+      <button onClick={onUndo} className="font-semibold text-indigo-300 hover:text-indigo-200">
+        Undo
+      </button>
+      <button onClick={onDismiss} className="text-gray-400 hover:text-white" aria-label="Dismiss">
+        ✕
+      </button>
+    </div>
+  );
+}
+
+export default UndoToast;
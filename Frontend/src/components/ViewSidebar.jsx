@@ -0,0 +1,181 @@
+// frontend/src/components/ViewSidebar.jsx
+import { useState } from 'react';
+import { createView, updateView, deleteView } from '../utils/api';
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500';
+
+/**
+ * Saved views ("smart lists") for the dashboard. `current` is what the task
+ * list shows now ({ filters, sort, groupBy }), for saving as a view. Counts
+ * come from the API, which works out relative dates when they're fetched.
+ */
+function ViewSidebar({ views, activeViewId, current, onApply, onViewsChange, onMessage }) {
+  const [newName, setNewName] = useState('');
+  const [editing, setEditing] = useState(null); // { _id, name }
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await createView({ ...current, name: newName });
+      const { view } = response.data;
+      // Pinning a view unpins the rest
+      onViewsChange([...views.map((v) => (view.pinned ? { ...v, pinned: false } : v)), view]);
+      onApply(view);
+      setNewName('');
+    } catch (err) {
+      onMessage('error', err.response?.data?.message || 'Failed to save view');
+    }
+  };
+
+  const handleUpdate = async (view, changes, message) => {
+    try {
+      const response = await updateView(view._id, changes);
+      const updated = response.data.view;
+      onViewsChange(
+        views.map((v) => {
+          if (v._id === updated._id) return updated;
+          return updated.pinned ? { ...v, pinned: false } : v;
+        })
+      );
+      if (message) {
+        onMessage('success', message);
+      }
+      return true;
+    } catch (err) {
+      onMessage('error', err.response?.data?.message || 'Failed to update view');
+      return false;
+    }
+  };
+
+  const handleRename = async () => {
+    const view = views.find((v) => v._id === editing._id);
+    if (await handleUpdate(view, { name: editing.name })) {
+      setEditing(null);
+    }
+  };
+
+  const handleDelete = async (view) => {
+    if (!window.confirm(`Delete the view "${view.name}"? Its tasks are not affected.`)) {
+      return;
+    }
+
+    try {
+      await deleteView(view._id);
+      onViewsChange(views.filter((v) => v._id !== view._id));
+    } catch (err) {
+      onMessage('error', err.response?.data?.message || 'Failed to delete view');
+    }
+  };
+
+  const itemClass = (id) =>
+    `w-full flex justify-between items-center px-3 py-2 rounded-md text-sm text-left ${
+      activeViewId === id ? 'bg-indigo-50 text-indigo-700 font-medium' : 'text-gray-700 hover:bg-gray-50'
+    }`;
+
+  const renderView = (view) => {
+    if (editing?._id === view._id) {
+      return (
+        <li key={view._id} className="space-y-2 p-2 bg-gray-50 rounded-md">
+          <input
+            type="text"
+            value={editing.name}
+            onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+            maxLength={50}
+            className={inputClass}
+            aria-label="View name"
+          />
+          <div className="flex gap-3 text-sm">
+            <button onClick={handleRename} className="text-indigo-600 hover:text-indigo-800 font-medium">
+              Save
+            </button>
+            <button onClick={() => setEditing(null)} className="text-gray-600 hover:text-gray-800">
+              Cancel
+            </button>
+          </div>
+        </li>
+      );
+    }
+
+    return (
+      <li key={view._id}>
+        <button onClick={() => onApply(view)} className={itemClass(view._id)}>
+          <span className="flex items-center gap-2 min-w-0">
+            {view.pinned && (
+              <span className="text-yellow-500 shrink-0" title="Default view">
+                ★
+              </span>
+            )}
+            <span className="truncate">{view.name}</span>
+          </span>
+          {view.error ? (
+            <span className="text-xs text-red-600" title={view.error}>
+              !
+            </span>
+          ) : (
+            <span className="text-xs text-gray-500">{view.count}</span>
+          )}
+        </button>
+
+        {/* Actions for the active view */}
+        {activeViewId === view._id && (
+          <div className="flex flex-wrap gap-x-3 gap-y-1 px-3 py-1 text-xs">
+            <button
+              onClick={() => handleUpdate(view, current, `Saved the current filters to "${view.name}"`)}
+              className="text-indigo-600 hover:text-indigo-800"
+            >
+              Save changes
+            </button>
+            <button
+              onClick={() => handleUpdate(view, { pinned: !view.pinned })}
+              className="text-gray-600 hover:text-gray-800"
+            >
+              {view.pinned ? 'Unpin' : 'Pin as default'}
+            </button>
+            <button
+              onClick={() => setEditing({ _id: view._id, name: view.name })}
+              className="text-gray-600 hover:text-gray-800"
+            >
+              Rename
+            </button>
+            <button onClick={() => handleDelete(view)} className="text-red-600 hover:text-red-800">
+              Delete
+            </button>
+          </div>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow-md mt-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-3 px-3">Views</h3>
+
+      {views.length === 0 && (
+        <p className="px-3 text-sm text-gray-500">Save the current filters to get back to them in one click.</p>
+      )}
+
+      <ul className="space-y-1">{views.map(renderView)}</ul>
+
+      <form onSubmit={handleCreate} className="mt-4 pt-3 border-t border-gray-100 flex gap-2">
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          maxLength={50}
+          required
+          placeholder="Save current filters as..."
+          className={inputClass}
+        />
+        <button
+          type="submit"
+          className="bg-indigo-600 text-white px-3 rounded-md text-sm hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+        >
+          Save
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default ViewSidebar;
@@ -0,0 +1,313 @@
+// frontend/src/pages/Admin.jsx
+import { useState, useEffect } from 'react';
+import Navbar from '../components/Navbar';
+import {
+  getAdminUsers,
+  setUserDisabled,
+  setUserRole,
+  forcePasswordReset,
+  getStoredUser
+} from '../utils/api';
+
+const PAGE_SIZE = 20;
+
+const inputClass =
+  'px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500';
+
+function Admin() {
+  const currentUser = getStoredUser();
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [searchInput, setSearchInput] = useState('');
+  const [query, setQuery] = useState({ search: '', role: '', status: '', page: 1 });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Fetch users whenever the search, filters or page change
+  useEffect(() => {
+    const fetchUsers = async () => {
+      try {
+        setLoading(true);
+        const params = { page: query.page, limit: PAGE_SIZE };
+        if (query.search) params.search = query.search;
+        if (query.role) params.role = query.role;
+        if (query.status) params.status = query.status;
+
+        const response = await getAdminUsers(params);
+        setUsers(response.data.users);
+        setPagination(response.data.pagination);
+        setError('');
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load users');
+        console.error('Error fetching users:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchUsers();
+  }, [query]);
+
+  const showMessage = (type, text) => {
+    if (type === 'success') {
+      setSuccess(text);
+      setError('');
+      setTimeout(() => setSuccess(''), 3000);
+    } else {
+      setError(text);
+      setSuccess('');
+      setTimeout(() => setError(''), 3000);
+    }
+  };
+
+  // Merge an updated user from the API into the list, keeping task counts
+  const replaceUser = (updated) => {
+    setUsers(users.map((user) => (user._id === updated._id ? { ...user, ...updated } : user)));
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setQuery({ ...query, search: searchInput.trim(), page: 1 });
+  };
+
+  const handleToggleDisabled = async (user) => {
+    const disable = !user.disabledAt;
+    if (disable && !window.confirm(`Disable ${user.email}? They will be signed out everywhere.`)) {
+      return;
+    }
+
+    try {
+      const response = await setUserDisabled(user._id, disable);
+      replaceUser(response.data.user);
+      showMessage('success', response.message);
+    } catch (err) {
+      showMessage('error', err.response?.data?.message || 'Failed to update account');
+    }
+  };
+
+  const handleToggleRole = async (user) => {
+    const role = user.role === 'admin' ? 'user' : 'admin';
+
+    try {
+      const response = await setUserRole(user._id, role);
+      replaceUser(response.data.user);
+      showMessage('success', response.message);
+    } catch (err) {
+      showMessage('error', err.response?.data?.message || 'Failed to update role');
+    }
+  };
+
+  const handleForceReset = async (user) => {
+    if (!window.confirm(`Sign ${user.email} out everywhere and require a new password?`)) {
+      return;
+    }
+
+    try {
+      const response = await forcePasswordReset(user._id);
+      replaceUser(response.data.user);
+      showMessage(response.data.emailSent ? 'success' : 'error', response.message);
+    } catch (err) {
+      showMessage('error', err.response?.data?.message || 'Failed to force password reset');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Navbar />
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Admin</h1>
+          <p className="mt-1 text-gray-600">Manage user accounts</p>
+        </div>
+
+        {/* Success/Error Messages */}
+        {success && (
+          <div className="mb-6 bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded">
+            {success}
+          </div>
+        )}
+
+        {error && (
+          <div className="mb-6 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+            {error}
+          </div>
+        )}
+
+        <div className="bg-white p-6 rounded-lg shadow-md">
+          {/* Search and Filters */}
+          <div className="flex flex-wrap gap-3 mb-6">
+            <form onSubmit={handleSearch} className="flex flex-1 gap-3 min-w-[16rem]">
+              <input
+                type="text"
+                placeholder="Search by name or email..."
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+                className={`flex-1 ${inputClass}`}
+              />
+              <button
+                type="submit"
+                className="bg-indigo-600 text-white py-2 px-4 rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+              >
+                Search
+              </button>
+            </form>
+
+            <select
+              value={query.role}
+              onChange={(e) => setQuery({ ...query, role: e.target.value, page: 1 })}
+              className={inputClass}
+            >
+              <option value="">All Roles</option>
+              <option value="user">Users</option>
+              <option value="admin">Admins</option>
+            </select>
+
+            <select
+              value={query.status}
+              onChange={(e) => setQuery({ ...query, status: e.target.value, page: 1 })}
+              className={inputClass}
+            >
+              <option value="">All Accounts</option>
+              <option value="active">Active</option>
+              <option value="disabled">Disabled</option>
+            </select>
+          </div>
+
+          {/* Loading State */}
+          {loading && (
+            <div className="text-center py-8">
+              <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+              <p className="mt-2 text-gray-600">Loading users...</p>
+            </div>
+          )}
+
+          {/* Empty State */}
+          {!loading && users.length === 0 && (
+            <p className="text-center py-8 text-gray-500">No users found</p>
+          )}
+
+          {/* User Table */}
+          {!loading && users.length > 0 && (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="py-2 pr-4 font-medium">User</th>
+                    <th className="py-2 pr-4 font-medium">Role</th>
+                    <th className="py-2 pr-4 font-medium">Status</th>
+                    <th className="py-2 pr-4 font-medium">Tasks</th>
+                    <th className="py-2 pr-4 font-medium">Joined</th>
+                    <th className="py-2 font-medium text-right">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {users.map((user) => {
+                    const isSelf = user._id === currentUser?._id;
+
+                    return (
+                      <tr key={user._id}>
+                        <td className="py-3 pr-4">
+                          <p className="font-medium text-gray-900">{user.name}</p>
+                          <p className="text-xs text-gray-500">{user.email}</p>
+                        </td>
+                        <td className="py-3 pr-4">
+                          <span
+                            className={`px-2 py-1 rounded-full text-xs font-medium ${
+                              user.role === 'admin' ? 'bg-indigo-100 text-indigo-800' : 'bg-gray-100 text-gray-800'
+                            }`}
+                          >
+                            {user.role}
+                          </span>
+                        </td>
+                        <td className="py-3 pr-4">
+                          {user.disabledAt ? (
+                            <span className="px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                              Disabled
+                            </span>
+                          ) : (
+                            <span className="px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                              Active
+                            </span>
+                          )}
+                          {user.passwordResetRequired && (
+                            <span className="ml-1 px-2 py-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                              Reset required
+                            </span>
+                          )}
+                        </td>
+                        <td className="py-3 pr-4 text-gray-700">
+                          {user.taskCounts.total}
+                          <span className="text-xs text-gray-500">
+                            {' '}({user.taskCounts.completed} done, {user.taskCounts['in-progress']} in progress,{' '}
+                            {user.taskCounts.pending} pending)
+                          </span>
+                        </td>
+                        <td className="py-3 pr-4 text-gray-500">
+                          {new Date(user.createdAt).toLocaleDateString()}
+                        </td>
+                        <td className="py-3 text-right whitespace-nowrap space-x-3">
+                          {isSelf ? (
+                            <span className="text-xs text-gray-400">You</span>
+                          ) : (
+                            <>
+                              <button
+                                onClick={() => handleToggleRole(user)}
+                                className="text-indigo-600 hover:text-indigo-800 font-medium"
+                              >
+                                {user.role === 'admin' ? 'Remove admin' : 'Make admin'}
+                              </button>
+                              <button
+                                onClick={() => handleForceReset(user)}
+                                className="text-orange-600 hover:text-orange-800 font-medium"
+                              >
+                                Force reset
+                              </button>
+                              <button
+                                onClick={() => handleToggleDisabled(user)}
+                                className="text-red-600 hover:text-red-800 font-medium"
+                              >
+                                {user.disabledAt ? 'Enable' : 'Disable'}
+                              </button>
+                            </>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Pagination */}
+          {!loading && pagination.pages > 1 && (
+            <div className="flex justify-between items-center mt-6 text-sm">
+              <p className="text-gray-600">
+                Page {pagination.page} of {pagination.pages} · {pagination.total} users
+              </p>
+              <div className="space-x-2">
+                <button
+                  onClick={() => setQuery({ ...query, page: query.page - 1 })}
+                  disabled={query.page <= 1}
+                  className="bg-gray-200 text-gray-700 py-1 px-3 rounded-md hover:bg-gray-300 disabled:opacity-50"
+                >
+                  Previous
+                </button>
+                <button
+                  onClick={() => setQuery({ ...query, page: query.page + 1 })}
+                  disabled={query.page >= pagination.pages}
+                  className="bg-gray-200 text-gray-700 py-1 px-3 rounded-md hover:bg-gray-300 disabled:opacity-50"
+                >
+                  Next
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Admin;
@@ -1,17 +1,75 @@
 // frontend/src/pages/Dashboard.jsx
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import Navbar from '../components/Navbar';
 import TaskForm from '../components/TaskForm';
 import TaskList from '../components/TaskList';
-import { getTasks, createTask, updateTask, deleteTask, getProfile } from '../utils/api';
+import TagManager from '../components/TagManager';
+import ProjectSidebar from '../components/ProjectSidebar';
+import ViewSidebar from '../components/ViewSidebar';
+import TaskDetail from '../components/TaskDetail';
+import UndoToast from '../components/UndoToast';
+import {
+  getTasks,
+  createTask,
+  updateTask,
+  skipOccurrence,
+  deleteTask,
+  restoreTask,
+  bulkUpdateTasks,
+  updateChecklistItem,
+  getTags,
+  getProjects,
+  getViews,
+  moveTasksToProject,
+  getProfile,
+  resendVerification,
+  updateStoredUser
+} from '../utils/api';
+
+// Replace tasks in a list with fresher copies from the API (e.g. parents
+// whose progress changed)
+const mergeTasks = (list, updated) =>
+  list.map((task) => updated.find((fresh) => fresh._id === task._id) || task);
+
+const PAGE_SIZE = 30;
+const SEARCH_DELAY_MS = 300; // Wait for typing to pause before searching
+
+const DEFAULT_FILTERS = {
+  q: '',
+  status: '',
+  priority: '',
+  tags: [],
+  tagMode: 'any',
+  sort: 'newest',
+  dueAfter: '',
+  dueBefore: '',
+  overdue: false
+};
+
+const EMPTY_COUNTS = { total: 0, pending: 0, 'in-progress': 0, completed: 0 };
 
 function Dashboard() {
   const [tasks, setTasks] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [inboxCounts, setInboxCounts] = useState(EMPTY_COUNTS);
+  const [selectedProject, setSelectedProject] = useState('all'); // 'all', 'inbox' or a project ID
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [groupBy, setGroupBy] = useState('none');
+  const [views, setViews] = useState([]);
+  const [activeViewId, setActiveViewId] = useState(null);
+  const [viewsLoaded, setViewsLoaded] = useState(false); // Tasks wait for the pinned view, if any
+  const [page, setPage] = useState({ nextCursor: null, hasMore: false, total: 0, totals: {} });
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [searchError, setSearchError] = useState(null); // Search syntax error: { message, position }
   const [editingTask, setEditingTask] = useState(null);
+  const [detailTaskId, setDetailTaskId] = useState(null); // Task shown in the detail view
+  const [trashed, setTrashed] = useState(null); // Last delete, offered for undo: { ids, message }
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [userProfile, setUserProfile] = useState(null);
+  const requestRef = useRef(0); // Bumped per list load so stale responses are dropped
 
   // Fetch user profile
   useEffect(() => {
@@ -19,6 +77,7 @@ function Dashboard() {
       try {
         const response = await getProfile();
         setUserProfile(response.data.user);
+        updateStoredUser(response.data.user); // Picks up role changes
       } catch (err) {
         console.error('Error fetching profile:', err);
       }
@@ -26,22 +85,144 @@ function Dashboard() {
     fetchProfile();
   }, []);
 
-  // Fetch tasks on component mount
+  // Fetch tags and projects on component mount, and open the pinned view
   useEffect(() => {
-    fetchTasks();
+    const loadViews = async () => {
+      const loaded = await fetchViews();
+      const pinned = loaded.find((view) => view.pinned);
+      if (pinned) {
+        applyView(pinned);
+      }
+      setViewsLoaded(true);
+    };
+
+    fetchTags();
+    fetchProjects();
+    loadViews();
   }, []);
 
-  const fetchTasks = async () => {
+  // Query parameters for the task list filters (also used as the bulk action filter)
+  const filterParams = useMemo(() => {
+    const params = { sort: filters.sort };
+    ['q', 'status', 'priority', 'tagMode', 'dueAfter', 'dueBefore'].forEach((key) => {
+      if (filters[key]) params[key] = filters[key];
+    });
+    if (filters.tags.length > 0) params.tags = filters.tags.join(',');
+    if (filters.overdue) params.overdue = 'true';
+    if (selectedProject !== 'all') params.project = selectedProject;
+    return params;
+  }, [filters, selectedProject]);
+
+  const fetchProjects = async () => {
+    try {
+      const response = await getProjects();
+      setProjects(response.data.projects);
+      setInboxCounts(response.data.inbox);
+    } catch (err) {
+      console.error('Error fetching projects:', err);
+    }
+  };
+
+  const fetchViews = async () => {
+    try {
+      const response = await getViews();
+      setViews(response.data.views);
+      return response.data.views;
+    } catch (err) {
+      console.error('Error fetching views:', err);
+      return [];
+    }
+  };
+
+  const fetchTags = async () => {
+    try {
+      const response = await getTags();
+      setTags(response.data.tags);
+    } catch (err) {
+      console.error('Error fetching tags:', err);
+    }
+  };
+
+  // Called after task changes to refresh tag, project and view task counts
+  const refreshCounts = () => {
+    fetchTags();
+    fetchProjects();
+    fetchViews();
+  };
+
+  // Show a saved view: its project, filters, sort and grouping
+  const applyView = (view) => {
+    const { project, ...viewFilters } = view.filters;
+    setFilters({ ...DEFAULT_FILTERS, ...viewFilters, sort: view.sort });
+    setGroupBy(view.groupBy);
+    setSelectedProject(project || 'all');
+    setActiveViewId(view._id);
+  };
+
+  const handleSelectProject = (projectId) => {
+    setSelectedProject(projectId);
+    setActiveViewId(null);
+  };
+
+  // Load the first page of tasks matching the filters
+  const fetchTasks = useCallback(async () => {
+    const request = ++requestRef.current;
     try {
       setLoading(true);
-      const response = await getTasks();
-      setTasks(response.data.tasks);
+      const response = await getTasks({ ...filterParams, limit: PAGE_SIZE });
+      if (request !== requestRef.current) return;
+      const { tasks: firstPage, nextCursor, hasMore, total, totals } = response.data;
+      setTasks(firstPage);
+      setPage({ nextCursor, hasMore, total, totals });
+      setSearchError(null);
       setError('');
     } catch (err) {
-      setError('Failed to load tasks');
+      if (request !== requestRef.current) return;
+      // Search syntax errors are shown under the search box
+      const { message, position } = err.response?.data || {};
+      if (position !== undefined) {
+        setSearchError({ message, position });
+        return;
+      }
+      setError(message || 'Failed to load tasks');
       console.error('Error fetching tasks:', err);
     } finally {
-      setLoading(false);
+      if (request === requestRef.current) {
+        setLoading(false);
+        setLoadingMore(false);
+      }
+    }
+  }, [filterParams]);
+
+  // The filters without the sort, as taken by bulk actions and saved views
+  const { sort: _sort, ...viewFilterParams } = filterParams;
+
+  // Reload whenever the filters change
+  useEffect(() => {
+    if (!viewsLoaded) {
+      return undefined;
+    }
+    const timer = setTimeout(fetchTasks, filterParams.q ? SEARCH_DELAY_MS : 0);
+    return () => clearTimeout(timer);
+  }, [fetchTasks, filterParams.q, viewsLoaded]);
+
+  const loadMoreTasks = async () => {
+    const request = requestRef.current;
+    try {
+      setLoadingMore(true);
+      const response = await getTasks({ ...filterParams, limit: PAGE_SIZE, cursor: page.nextCursor });
+      if (request !== requestRef.current) return;
+      const { tasks: nextPage, nextCursor, hasMore } = response.data;
+      // Tasks added locally since the first page may show up again
+      setTasks((current) => [...current, ...nextPage.filter((task) => !current.some((t) => t._id === task._id))]);
+      setPage((current) => ({ ...current, nextCursor, hasMore }));
+    } catch (err) {
+      if (request !== requestRef.current) return;
+      showMessage('error', err.response?.data?.message || 'Failed to load more tasks');
+    } finally {
+      if (request === requestRef.current) {
+        setLoadingMore(false);
+      }
     }
   };
 
@@ -60,35 +241,184 @@ function Dashboard() {
   const handleCreateTask = async (taskData) => {
     try {
       const response = await createTask(taskData);
-      setTasks([response.data.task, ...tasks]);
+      setTasks([response.data.task, ...mergeTasks(tasks, response.data.parents)]);
+      refreshCounts();
       showMessage('success', 'Task created successfully!');
     } catch (err) {
       showMessage('error', err.response?.data?.message || 'Failed to create task');
     }
   };
 
-  const handleUpdateTask = async (taskData) => {
+  const handleUpdateTask = async (taskData, scope) => {
     try {
-      const response = await updateTask(editingTask._id, taskData);
-      setTasks(tasks.map((t) => (t._id === editingTask._id ? response.data.task : t)));
+      const response = await updateTask(editingTask._id, taskData, scope);
+      const { task: updated, nextOccurrence } = response.data;
       setEditingTask(null);
+
+      // Series edits also change the other open occurrences
+      if (scope === 'series') {
+        fetchTasks();
+        refreshCounts();
+        showMessage('success', 'Series updated successfully!');
+        return;
+      }
+
+      // Subtasks follow their parent into its project
+      const withSubtasks = tasks.map((t) => (t.parent === updated._id ? { ...t, project: updated.project } : t));
+      const merged = mergeTasks(withSubtasks, [updated, ...response.data.parents]);
+      setTasks(nextOccurrence ? [nextOccurrence, ...merged] : merged);
+      refreshCounts();
       showMessage('success', 'Task updated successfully!');
     } catch (err) {
       showMessage('error', err.response?.data?.message || 'Failed to update task');
     }
   };
 
+  // Deleting moves the task (with its subtasks) to the trash, so there's no
+  // confirmation, just a chance to undo
   const handleDeleteTask = async (taskId) => {
-    if (!window.confirm('Are you sure you want to delete this task?')) {
-      return;
+    try {
+      const response = await deleteTask(taskId);
+      const { task, subtaskIds, parents } = response.data;
+      const remaining = tasks.filter((t) => t._id !== taskId && !subtaskIds.includes(t._id));
+      setTasks(mergeTasks(remaining, parents));
+      if (editingTask && (editingTask._id === taskId || subtaskIds.includes(editingTask._id))) {
+        setEditingTask(null);
+      }
+      setTrashed({ ids: [task._id], message: `Moved "${task.title}" to the trash` });
+      refreshCounts();
+    } catch (err) {
+      showMessage('error', err.response?.data?.message || 'Failed to delete task');
     }
+  };
+
+  const handleUndoDelete = async () => {
+    const { ids } = trashed;
+    setTrashed(null);
 
     try {
-      await deleteTask(taskId);
-      setTasks(tasks.filter((t) => t._id !== taskId));
-      showMessage('success', 'Task deleted successfully!');
+      const restored = [];
+      let parents = [];
+      for (const id of ids) {
+        const response = await restoreTask(id);
+        restored.push(response.data.task, ...response.data.subtasks);
+        parents = [...parents, ...response.data.parents];
+      }
+      setTasks((current) => [...restored, ...mergeTasks(current, parents)]);
+      refreshCounts();
+      showMessage('success', ids.length === 1 ? 'Task restored' : `${ids.length} tasks restored`);
     } catch (err) {
-      showMessage('error', err.response?.data?.message || 'Failed to delete task');
+      showMessage('error', err.response?.data?.message || 'Failed to restore task');
+      fetchTasks();
+    }
+  };
+
+  const dismissUndo = useCallback(() => setTrashed(null), []);
+
+  // ids is null to act on every task matching the current filters
+  const handleBulkAction = async (ids, action, value) => {
+    try {
+      const target = ids ? { ids } : { filter: viewFilterParams };
+      const response = await bulkUpdateTasks({ ...target, action, value });
+      const { results, failed } = response.data;
+      const failure = results.find((result) => !result.success);
+
+      await fetchTasks();
+      refreshCounts();
+      if (action === 'delete') {
+        const trashedIds = results
+          .filter((result) => result.success && !result.message)
+          .map((result) => result.id);
+        if (trashedIds.length > 0) {
+          setTrashed({ ids: trashedIds, message: response.message });
+        }
+      }
+      if (failed > 0) {
+        showMessage('error', `${response.message} (${failure.message})`);
+      } else if (action !== 'delete') {
+        showMessage('success', response.message);
+      }
+    } catch (err) {
+      showMessage('error', err.response?.data?.message || 'Failed to update tasks');
+    }
+  };
+
+  const handleSkipOccurrence = async (task) => {
+    try {
+      const response = await skipOccurrence(task._id);
+      const { nextOccurrence, parents } = response.data;
+      // Skipped occurrences are removed; their subtasks become top-level tasks
+      const remaining = tasks
+        .filter((t) => t._id !== task._id)
+        .map((t) => (t.parent === task._id ? { ...t, parent: null } : t));
+      const merged = mergeTasks(remaining, parents);
+      setTasks(nextOccurrence ? [nextOccurrence, ...merged] : merged);
+      if (editingTask?._id === task._id) {
+        setEditingTask(null);
+      }
+      showMessage('success', nextOccurrence ? 'Skipped to the next occurrence' : 'Skipped the last occurrence');
+    } catch (err) {
+      showMessage('error', err.response?.data?.message || 'Failed to skip occurrence');
+    }
+  };
+
+  const handleToggleChecklistItem = async (task, item) => {
+    try {
+      const response = await updateChecklistItem(task._id, item._id, { done: !item.done });
+      setTasks((current) => mergeTasks(current, [response.data.task]));
+    } catch (err) {
+      showMessage('error', err.response?.data?.message || 'Failed to update checklist');
+    }
+  };
+
+  const handleMoveTask = async (task, projectId) => {
+    try {
+      const response = await moveTasksToProject(projectId, [task._id]);
+      const moved = (t) => t._id === task._id || t.parent === task._id;
+      // Tasks moved out of the project being viewed leave the list
+      setTasks(
+        selectedProject === 'all'
+          ? tasks.map((t) => (moved(t) ? { ...t, project: projectId } : t))
+          : tasks.filter((t) => !moved(t))
+      );
+      refreshCounts();
+      showMessage('success', response.message);
+    } catch (err) {
+      showMessage('error', err.response?.data?.message || 'Failed to move task');
+    }
+  };
+
+  const handleProjectDeleted = (projectId) => {
+    setTasks(tasks.map((t) => (t.project === projectId ? { ...t, project: null } : t)));
+    fetchProjects(); // Its tasks now count towards the Inbox
+    if (selectedProject === projectId) {
+      handleSelectProject('all');
+    }
+    fetchViews(); // Views of the project now cover every project
+  };
+
+  // Mirror a tag merge (replacementId) or delete (null) on loaded tasks
+  const handleTagRemoved = (tagId, replacementId) => {
+    setTasks((current) =>
+      current.map((task) => {
+        if (!task.tags?.includes(tagId)) {
+          return task;
+        }
+        const remaining = task.tags.filter((id) => id !== tagId);
+        return {
+          ...task,
+          tags: replacementId && !remaining.includes(replacementId) ? [...remaining, replacementId] : remaining
+        };
+      })
+    );
+  };
+
+  const handleResendVerification = async () => {
+    try {
+      const response = await resendVerification();
+      showMessage('success', response.message);
+    } catch (err) {
+      showMessage('error', err.response?.data?.message || 'Failed to send verification email');
     }
   };
 
@@ -101,6 +431,40 @@ function Dashboard() {
     setEditingTask(null);
   };
 
+  const handleEditFromDetail = (task) => {
+    setDetailTaskId(null);
+    handleEditTask(task);
+  };
+
+  const handleCommentCountChange = (taskId, commentCount) => {
+    setTasks((current) => current.map((t) => (t._id === taskId ? { ...t, commentCount } : t)));
+  };
+
+  // A field reverted from the history timeline
+  const handleTaskReverted = ({ task, parents, nextOccurrence }) => {
+    setTasks((current) => {
+      const merged = mergeTasks(current, [task, ...parents]);
+      return nextOccurrence ? [nextOccurrence, ...merged] : merged;
+    });
+    refreshCounts();
+    showMessage('success', 'Change reverted');
+  };
+
+  // Looked up by ID so the detail view follows task updates (and closes if the task goes away)
+  const detailTask = tasks.find((t) => t._id === detailTaskId);
+
+  const currentProject = projects.find((p) => p._id === selectedProject);
+
+  // Stats cover the whole selected project, whatever the list filters are
+  const addCounts = (sum, counts) =>
+    Object.fromEntries(Object.keys(EMPTY_COUNTS).map((key) => [key, sum[key] + (counts?.[key] || 0)]));
+  const stats =
+    selectedProject === 'all'
+      ? projects.reduce((sum, project) => addCounts(sum, project.taskCounts), inboxCounts)
+      : selectedProject === 'inbox'
+        ? inboxCounts
+        : currentProject?.taskCounts || EMPTY_COUNTS;
+
   return (
     <div className="min-h-screen bg-gray-50">
       <Navbar />
@@ -114,6 +478,21 @@ function Dashboard() {
           <p className="mt-1 text-gray-600">Manage your tasks efficiently</p>
         </div>
 
+        {/* Email Verification Banner */}
+        {userProfile && !userProfile.emailVerified && (
+          <div className="mb-6 bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded flex flex-wrap justify-between items-center gap-2">
+            <span>
+              Please verify your email address ({userProfile.email}). Some features are limited until you do.
+            </span>
+            <button
+              onClick={handleResendVerification}
+              className="text-sm font-medium text-yellow-900 underline hover:text-yellow-700"
+            >
+              Resend verification email
+            </button>
+          </div>
+        )}
+
         {/* Success/Error Messages */}
         {success && (
           <div className="mb-6 bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded">
@@ -127,47 +506,133 @@ function Dashboard() {
           </div>
         )}
 
-        {/* Task Stats */}
-        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-8">
-          <div className="bg-white p-4 rounded-lg shadow">
-            <p className="text-gray-600 text-sm">Total Tasks</p>
-            <p className="text-2xl font-bold text-gray-900">{tasks.length}</p>
-          </div>
-          <div className="bg-white p-4 rounded-lg shadow">
-            <p className="text-gray-600 text-sm">Pending</p>
-            <p className="text-2xl font-bold text-yellow-600">
-              {tasks.filter((t) => t.status === 'pending').length}
-            </p>
-          </div>
-          <div className="bg-white p-4 rounded-lg shadow">
-            <p className="text-gray-600 text-sm">In Progress</p>
-            <p className="text-2xl font-bold text-blue-600">
-              {tasks.filter((t) => t.status === 'in-progress').length}
-            </p>
-          </div>
-          <div className="bg-white p-4 rounded-lg shadow">
-            <p className="text-gray-600 text-sm">Completed</p>
-            <p className="text-2xl font-bold text-green-600">
-              {tasks.filter((t) => t.status === 'completed').length}
-            </p>
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+          {/* Projects */}
+          <aside className="lg:col-span-1">
+            <ProjectSidebar
+              projects={projects}
+              inboxCounts={inboxCounts}
+              selected={selectedProject}
+              onSelect={handleSelectProject}
+              onProjectsChange={setProjects}
+              onProjectDeleted={handleProjectDeleted}
+              onMessage={showMessage}
+            />
+            <ViewSidebar
+              views={views}
+              activeViewId={activeViewId}
+              current={{ filters: viewFilterParams, sort: filters.sort, groupBy }}
+              onApply={applyView}
+              onViewsChange={setViews}
+              onMessage={showMessage}
+            />
+          </aside>
+
+          <div className="lg:col-span-3">
+            {currentProject && (
+              <h2 className="text-xl font-semibold text-gray-900 mb-4 flex items-center gap-2">
+                <span className="h-3 w-3 rounded-full" style={{ backgroundColor: currentProject.color }}></span>
+                {currentProject.name}
+                {currentProject.archived && <span className="text-sm font-normal text-gray-500">(archived)</span>}
+              </h2>
+            )}
+            {selectedProject === 'inbox' && (
+              <h2 className="text-xl font-semibold text-gray-900 mb-4">Inbox</h2>
+            )}
+
+            {/* Task Stats */}
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-8">
+              <div className="bg-white p-4 rounded-lg shadow">
+                <p className="text-gray-600 text-sm">Total Tasks</p>
+                <p className="text-2xl font-bold text-gray-900">{stats.total}</p>
+              </div>
+              <div className="bg-white p-4 rounded-lg shadow">
+                <p className="text-gray-600 text-sm">Pending</p>
+                <p className="text-2xl font-bold text-yellow-600">
+                  {stats.pending}
+                </p>
+              </div>
+              <div className="bg-white p-4 rounded-lg shadow">
+                <p className="text-gray-600 text-sm">In Progress</p>
+                <p className="text-2xl font-bold text-blue-600">
+                  {stats['in-progress']}
+                </p>
+              </div>
+              <div className="bg-white p-4 rounded-lg shadow">
+                <p className="text-gray-600 text-sm">Completed</p>
+                <p className="text-2xl font-bold text-green-600">
+                  {stats.completed}
+                </p>
+              </div>
+            </div>
+
+            {/* Tags */}
+            <TagManager
+              tags={tags}
+              onTagsChange={setTags}
+              onTagRemoved={handleTagRemoved}
+              onMessage={showMessage}
+            />
+
+            {/* Task Form */}
+            <TaskForm
+              onSubmit={editingTask ? handleUpdateTask : handleCreateTask}
+              editTask={editingTask}
+              onCancel={handleCancelEdit}
+              tasks={tasks}
+              tags={tags}
+              projects={projects}
+              defaultProject={currentProject && !currentProject.archived ? currentProject._id : ''}
+            />
+
+            {/* Task List */}
+            <TaskList
+              key={selectedProject} // Selections don't carry over between projects
+              tasks={tasks}
+              filters={filters}
+              onFiltersChange={setFilters}
+              groupBy={groupBy}
+              onGroupByChange={setGroupBy}
+              total={page.total}
+              totals={page.totals}
+              hasMore={page.hasMore}
+              loadingMore={loadingMore}
+              onLoadMore={loadMoreTasks}
+              searchError={searchError}
+              tags={tags}
+              projects={projects}
+              onEdit={handleEditTask}
+              onDelete={handleDeleteTask}
+              onMoveTask={handleMoveTask}
+              onToggleChecklistItem={handleToggleChecklistItem}
+              onSkip={handleSkipOccurrence}
+              onOpen={(task) => setDetailTaskId(task._id)}
+              onBulkAction={handleBulkAction}
+              loading={loading}
+            />
           </div>
         </div>
+      </div>
 
-        {/* Task Form */}
-        <TaskForm
-          onSubmit={editingTask ? handleUpdateTask : handleCreateTask}
-          editTask={editingTask}
-          onCancel={handleCancelEdit}
+      {detailTask && (
+        <TaskDetail
+          task={detailTask}
+          tags={tags}
+          projects={projects}
+          onClose={() => setDetailTaskId(null)}
+          onEdit={handleEditFromDetail}
+          onCommentCountChange={handleCommentCountChange}
+          onTaskUpdated={handleTaskReverted}
         />
+      )}
 
-        {/* Task List */}
-        <TaskList
-          tasks={tasks}
-          onEdit={handleEditTask}
-          onDelete={handleDeleteTask}
-          loading={loading}
+      {trashed && (
+        <UndoToast
+          message={trashed.message}
+          onUndo={handleUndoDelete}
+          onDismiss={dismissUndo}
         />
-      </div>
+      )}
     </div>
   );
 }
@@ -1,16 +1,57 @@
 // frontend/src/pages/Login.jsx
-import { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
-import { login, setAuthData } from '../utils/api';
+import { useState, useEffect } from 'react';
+import { useNavigate, useLocation, Link } from 'react-router-dom';
+import { login, loginTwoFactor, setAuthData, getRetryAfter } from '../utils/api';
+
+// Format seconds as m:ss
+const formatCountdown = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+};
 
 function Login() {
   const navigate = useNavigate();
+  const location = useLocation();
+  const notice = location.state?.message;
   const [formData, setFormData] = useState({
     email: '',
     password: ''
   });
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  const [challengeToken, setChallengeToken] = useState('');
+  const [secondFactor, setSecondFactor] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [retryAt, setRetryAt] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(0);
+
+  // Count down while locked out / rate limited
+  useEffect(() => {
+    if (!retryAt) return undefined;
+
+    const tick = () => {
+      const remaining = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+      setSecondsLeft(remaining);
+      if (remaining === 0) {
+        setRetryAt(null);
+      }
+    };
+
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [retryAt]);
+
+  // Show the server message and start the countdown if the error is a throttle
+  const handleAuthError = (err, fallback) => {
+    const retryAfter = getRetryAfter(err);
+    if (retryAfter) {
+      setRetryAt(Date.now() + retryAfter * 1000);
+    }
+    setError(err.response?.data?.message || fallback);
+  };
+
+  const isThrottled = retryAt !== null && secondsLeft > 0;
 
   const handleChange = (e) => {
     setFormData({
@@ -34,24 +75,144 @@ function Login() {
 
     try {
       const response = await login(formData);
+
+      // Password accepted, but the account needs a second factor
+      if (response.success && response.data.twoFactorRequired) {
+        setChallengeToken(response.data.challengeToken);
+        return;
+      }
       
       if (response.success) {
         // Store token and user data
-        setAuthData(response.data.token, response.data.user);
+        setAuthData(response.data);
         
         // Redirect to dashboard
         navigate('/dashboard');
       }
     } catch (err) {
-      setError(
-        err.response?.data?.message || 
-        'Login failed. Please try again.'
+      handleAuthError(err, 'Login failed. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSecondFactorSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await loginTwoFactor(
+        useRecoveryCode
+          ? { challengeToken, recoveryCode: secondFactor }
+          : { challengeToken, code: secondFactor }
       );
+
+      if (response.success) {
+        setAuthData(response.data);
+        navigate('/dashboard');
+      }
+    } catch (err) {
+      // Challenge expired - start over from the password step
+      if (err.response?.data?.code === 'CHALLENGE_EXPIRED') {
+        setChallengeToken('');
+      }
+      handleAuthError(err, 'Verification failed. Please try again.');
     } finally {
       setLoading(false);
     }
   };
 
+  if (challengeToken) {
+    return (
+      <div className="min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+              Two-factor authentication
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              {useRecoveryCode
+                ? 'Enter one of your recovery codes'
+                : 'Enter the 6-digit code from your authenticator app'}
+            </p>
+          </div>
+
+          <form className="mt-8 space-y-6" onSubmit={handleSecondFactorSubmit}>
+            {error && (
+              <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+                {error}
+              </div>
+            )}
+
+            {isThrottled && (
+              <p className="text-sm text-center text-gray-600">
+                Try again in {formatCountdown(secondsLeft)}
+              </p>
+            )}
+
+            <div>
+              <label htmlFor="secondFactor" className="block text-sm font-medium text-gray-700 mb-1">
+                {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+              </label>
+              <input
+                id="secondFactor"
+                name="secondFactor"
+                type="text"
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                required
+                autoFocus
+                value={secondFactor}
+                onChange={(e) => {
+                  setSecondFactor(e.target.value);
+                  setError('');
+                }}
+                className="appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 focus:z-10 sm:text-sm"
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+              />
+            </div>
+
+            <div className="flex justify-between text-sm">
+              <button
+                type="button"
+                onClick={() => {
+                  setUseRecoveryCode(!useRecoveryCode);
+                  setSecondFactor('');
+                  setError('');
+                }}
+                className="font-medium text-indigo-600 hover:text-indigo-500"
+              >
+                {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  setChallengeToken('');
+                  setSecondFactor('');
+                  setError('');
+                }}
+                className="font-medium text-gray-600 hover:text-gray-500"
+              >
+                Back to sign in
+              </button>
+            </div>
+
+            <div>
+              <button
+                type="submit"
+                disabled={loading || isThrottled}
+                className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? 'Verifying...' : 'Verify'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -68,12 +229,24 @@ function Login() {
         </div>
 
         <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+          {notice && !error && (
+            <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded">
+              {notice}
+            </div>
+          )}
+
           {error && (
             <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
               {error}
             </div>
           )}
 
+          {isThrottled && (
+            <p className="text-sm text-center text-gray-600">
+              Try again in {formatCountdown(secondsLeft)}
+            </p>
+          )}
+
           <div className="rounded-md shadow-sm space-y-4">
             <div>
               <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
@@ -110,10 +283,16 @@ function Login() {
             </div>
           </div>
 
+          <div className="text-sm text-right">
+            <Link to="/forgot-password" className="font-medium text-indigo-600 hover:text-indigo-500">
+              Forgot your password?
+            </Link>
+          </div>
+
           <div>
             <button
               type="submit"
-              disabled={loading}
+              disabled={loading || isThrottled}
               className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed"
             >
               {loading ? 'Signing in...' : 'Sign in'}
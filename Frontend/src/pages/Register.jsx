@@ -2,6 +2,8 @@
 import { useState } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { signup, setAuthData } from '../utils/api';
+import { usePasswordPolicy, evaluatePassword } from '../utils/passwordPolicy';
+import PasswordStrengthMeter from '../components/PasswordStrengthMeter';
 
 function Register() {
   const navigate = useNavigate();
@@ -13,6 +15,7 @@ function Register() {
   });
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  const passwordPolicy = usePasswordPolicy();
 
   const handleChange = (e) => {
     setFormData({
@@ -40,8 +43,8 @@ function Register() {
       return;
     }
 
-    if (formData.password.length < 6) {
-      setError('Password must be at least 6 characters');
+    if (!evaluatePassword(formData.password, passwordPolicy, { name: formData.name, email: formData.email }).valid) {
+      setError('Password does not meet the requirements');
       setLoading(false);
       return;
     }
@@ -53,12 +56,15 @@ function Register() {
     }
 
     try {
-      const { confirmPassword, ...signupData } = formData;
-      const response = await signup(signupData);
+      const response = await signup({
+        name: formData.name,
+        email: formData.email,
+        password: formData.password
+      });
       
       if (response.success) {
         // Store token and user data
-        setAuthData(response.data.token, response.data.user);
+        setAuthData(response.data);
         
         // Redirect to dashboard
         navigate('/dashboard');
@@ -143,7 +149,12 @@ function Register() {
                 value={formData.password}
                 onChange={handleChange}
                 className="appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 focus:z-10 sm:text-sm"
-                placeholder="Create a password (min 6 characters)"
+                placeholder="Create a password"
+              />
+              <PasswordStrengthMeter
+                password={formData.password}
+                policy={passwordPolicy}
+                person={{ name: formData.name, email: formData.email }}
               />
             </div>
 
@@ -0,0 +1,198 @@
+// frontend/src/pages/Security.jsx
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Navbar from '../components/Navbar';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import { getSessions, revokeSession, revokeOtherSessions, clearAuthData, getProfile } from '../utils/api';
+
+// Turn a raw user-agent string into a short "Browser on OS" label
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+  const systems = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+
+  const browser = browsers.find(([token]) => userAgent.includes(token))?.[1];
+  const system = systems.find(([token]) => userAgent.includes(token))?.[1];
+
+  if (!browser && !system) return userAgent.slice(0, 60);
+  return `${browser || 'Browser'} on ${system || 'unknown OS'}`;
+};
+
+function Security() {
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [twoFactorEnabled, setTwoFactorEnabled] = useState(null);
+
+  // Fetch sessions on component mount
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  // Fetch two-factor status
+  useEffect(() => {
+    const fetchProfile = async () => {
+      try {
+        const response = await getProfile();
+        setTwoFactorEnabled(response.data.user.twoFactorEnabled);
+      } catch (err) {
+        console.error('Error fetching profile:', err);
+      }
+    };
+    fetchProfile();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      setLoading(true);
+      const response = await getSessions();
+      setSessions(response.data.sessions);
+      setError('');
+    } catch (err) {
+      setError('Failed to load sessions');
+      console.error('Error fetching sessions:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showMessage = (type, text) => {
+    if (type === 'success') {
+      setSuccess(text);
+      setError('');
+      setTimeout(() => setSuccess(''), 3000);
+    } else {
+      setError(text);
+      setSuccess('');
+      setTimeout(() => setError(''), 3000);
+    }
+  };
+
+  const handleRevoke = async (session) => {
+    if (session.current && !window.confirm('This will sign you out of this device. Continue?')) {
+      return;
+    }
+
+    try {
+      await revokeSession(session._id);
+
+      if (session.current) {
+        clearAuthData();
+        navigate('/login');
+        return;
+      }
+
+      setSessions(sessions.filter((s) => s._id !== session._id));
+      showMessage('success', 'Session signed out');
+    } catch (err) {
+      showMessage('error', err.response?.data?.message || 'Failed to revoke session');
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    try {
+      const response = await revokeOtherSessions();
+      setSessions(sessions.filter((s) => s.current));
+      showMessage('success', response.message);
+    } catch (err) {
+      showMessage('error', err.response?.data?.message || 'Failed to revoke sessions');
+    }
+  };
+
+  const otherSessions = sessions.filter((s) => !s.current);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Navbar />
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Security</h1>
+          <p className="mt-1 text-gray-600">Two-factor authentication and signed-in devices</p>
+        </div>
+
+        {/* Success/Error Messages */}
+        {success && (
+          <div className="mb-6 bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded">
+            {success}
+          </div>
+        )}
+
+        {error && (
+          <div className="mb-6 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+            {error}
+          </div>
+        )}
+
+        {twoFactorEnabled !== null && (
+          <TwoFactorSettings
+            enabled={twoFactorEnabled}
+            onChange={setTwoFactorEnabled}
+            onMessage={showMessage}
+          />
+        )}
+
+        <div className="bg-white p-6 rounded-lg shadow-md">
+          <div className="flex justify-between items-center mb-6">
+            <h3 className="text-lg font-semibold text-gray-900">Active Sessions</h3>
+            {otherSessions.length > 0 && (
+              <button
+                onClick={handleRevokeOthers}
+                className="text-red-600 hover:text-red-800 text-sm font-medium"
+              >
+                Sign out everywhere else
+              </button>
+            )}
+          </div>
+
+          {/* Loading State */}
+          {loading && (
+            <div className="text-center py-8">
+              <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+              <p className="mt-2 text-gray-600">Loading sessions...</p>
+            </div>
+          )}
+
+          {/* Session List */}
+          {!loading && (
+            <div className="space-y-4">
+              {sessions.map((session) => (
+                <div
+                  key={session._id}
+                  className="border border-gray-200 rounded-lg p-4 flex justify-between items-start"
+                >
+                  <div>
+                    <h4 className="font-semibold text-gray-900">
+                      {describeDevice(session.userAgent)}
+                      {session.current && (
+                        <span className="ml-2 px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                          This device
+                        </span>
+                      )}
+                    </h4>
+                    <p className="text-xs text-gray-500 mt-1">IP: {session.ip || 'Unknown'}</p>
+                    <p className="text-xs text-gray-500">
+                      Signed in: {new Date(session.createdAt).toLocaleString()} · Last active:{' '}
+                      {new Date(session.lastSeenAt).toLocaleString()}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleRevoke(session)}
+                    className="text-red-600 hover:text-red-800 text-sm font-medium"
+                  >
+                    Sign out
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Security;
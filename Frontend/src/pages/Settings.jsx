@@ -0,0 +1,316 @@
+// frontend/src/pages/Settings.jsx
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Navbar from '../components/Navbar';
+import {
+  getProfile,
+  updateProfile,
+  changePassword,
+  deleteAccount,
+  updateStoredUser,
+  clearAuthData
+} from '../utils/api';
+import { usePasswordPolicy, evaluatePassword } from '../utils/passwordPolicy';
+import PasswordStrengthMeter from '../components/PasswordStrengthMeter';
+import ApiTokenSettings from '../components/ApiTokenSettings';
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500';
+
+function Settings() {
+  const navigate = useNavigate();
+  const [user, setUser] = useState(null);
+  const [profileForm, setProfileForm] = useState({ name: '', email: '', currentPassword: '' });
+  const [passwordForm, setPasswordForm] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: ''
+  });
+  const [deletePassword, setDeletePassword] = useState('');
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const passwordPolicy = usePasswordPolicy();
+
+  // Fetch user profile
+  useEffect(() => {
+    const fetchProfile = async () => {
+      try {
+        const response = await getProfile();
+        setUser(response.data.user);
+        setProfileForm({
+          name: response.data.user.name,
+          email: response.data.user.email,
+          currentPassword: ''
+        });
+      } catch (err) {
+        console.error('Error fetching profile:', err);
+      }
+    };
+    fetchProfile();
+  }, []);
+
+  const showMessage = (type, text) => {
+    if (type === 'success') {
+      setSuccess(text);
+      setError('');
+      setTimeout(() => setSuccess(''), 5000);
+    } else {
+      setError(text);
+      setSuccess('');
+      setTimeout(() => setError(''), 5000);
+    }
+  };
+
+  const emailChanged = user && profileForm.email.trim().toLowerCase() !== user.email;
+
+  const handleProfileSubmit = async (e) => {
+    e.preventDefault();
+
+    const data = { name: profileForm.name };
+    if (emailChanged) {
+      data.email = profileForm.email;
+      data.currentPassword = profileForm.currentPassword;
+    }
+
+    try {
+      const response = await updateProfile(data);
+      setUser(response.data.user);
+      updateStoredUser(response.data.user);
+      setProfileForm({ ...profileForm, email: response.data.user.email, currentPassword: '' });
+      showMessage('success', response.message);
+    } catch (err) {
+      showMessage('error', err.response?.data?.message || 'Failed to update profile');
+    }
+  };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!evaluatePassword(passwordForm.newPassword, passwordPolicy, user || {}).valid) {
+      showMessage('error', 'New password does not meet the requirements');
+      return;
+    }
+
+    if (passwordForm.newPassword !== passwordForm.confirmPassword) {
+      showMessage('error', 'Passwords do not match');
+      return;
+    }
+
+    try {
+      const response = await changePassword(passwordForm.currentPassword, passwordForm.newPassword);
+      setPasswordForm({ currentPassword: '', newPassword: '', confirmPassword: '' });
+      showMessage('success', `${response.message}. Other devices have been signed out.`);
+    } catch (err) {
+      showMessage('error', err.response?.data?.message || 'Failed to change password');
+    }
+  };
+
+  const handleDeleteAccount = async (e) => {
+    e.preventDefault();
+
+    if (!window.confirm('This permanently deletes your account and all of your tasks. Continue?')) {
+      return;
+    }
+
+    try {
+      await deleteAccount(deletePassword);
+      clearAuthData();
+      navigate('/login');
+    } catch (err) {
+      showMessage('error', err.response?.data?.message || 'Failed to delete account');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Navbar />
+
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Settings</h1>
+          <p className="mt-1 text-gray-600">Manage your profile, API tokens and account</p>
+        </div>
+
+        {/* Success/Error Messages */}
+        {success && (
+          <div className="mb-6 bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded">
+            {success}
+          </div>
+        )}
+
+        {error && (
+          <div className="mb-6 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+            {error}
+          </div>
+        )}
+
+        {/* Profile */}
+        <div className="bg-white p-6 rounded-lg shadow-md mb-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Profile</h3>
+
+          {user?.pendingEmail && (
+            <div className="mb-4 bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded text-sm">
+              Waiting for you to confirm {user.pendingEmail}. Until then you'll keep signing in with {user.email}.
+            </div>
+          )}
+
+          <form onSubmit={handleProfileSubmit} className="space-y-4">
+            <div>
+              <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-1">
+                Full Name
+              </label>
+              <input
+                id="name"
+                type="text"
+                required
+                minLength={2}
+                maxLength={50}
+                value={profileForm.name}
+                onChange={(e) => setProfileForm({ ...profileForm, name: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+
+            <div>
+              <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
+                Email address
+              </label>
+              <input
+                id="email"
+                type="email"
+                required
+                value={profileForm.email}
+                onChange={(e) => setProfileForm({ ...profileForm, email: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+
+            {emailChanged && (
+              <div>
+                <label htmlFor="profileCurrentPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                  Current password (required to change email)
+                </label>
+                <input
+                  id="profileCurrentPassword"
+                  type="password"
+                  autoComplete="current-password"
+                  required
+                  value={profileForm.currentPassword}
+                  onChange={(e) => setProfileForm({ ...profileForm, currentPassword: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+            )}
+
+            <button
+              type="submit"
+              className="bg-indigo-600 text-white py-2 px-4 rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+            >
+              Save profile
+            </button>
+          </form>
+        </div>
+
+        {/* Change Password */}
+        <div className="bg-white p-6 rounded-lg shadow-md mb-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Change Password</h3>
+
+          <form onSubmit={handlePasswordSubmit} className="space-y-4">
+            <div>
+              <label htmlFor="currentPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                Current Password
+              </label>
+              <input
+                id="currentPassword"
+                type="password"
+                autoComplete="current-password"
+                required
+                value={passwordForm.currentPassword}
+                onChange={(e) => setPasswordForm({ ...passwordForm, currentPassword: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+
+            <div>
+              <label htmlFor="newPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                New Password
+              </label>
+              <input
+                id="newPassword"
+                type="password"
+                autoComplete="new-password"
+                required
+                value={passwordForm.newPassword}
+                onChange={(e) => setPasswordForm({ ...passwordForm, newPassword: e.target.value })}
+                className={inputClass}
+              />
+              <PasswordStrengthMeter
+                password={passwordForm.newPassword}
+                policy={passwordPolicy}
+                person={user || {}}
+              />
+            </div>
+
+            <div>
+              <label htmlFor="confirmNewPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                Confirm New Password
+              </label>
+              <input
+                id="confirmNewPassword"
+                type="password"
+                autoComplete="new-password"
+                required
+                value={passwordForm.confirmPassword}
+                onChange={(e) => setPasswordForm({ ...passwordForm, confirmPassword: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+
+            <button
+              type="submit"
+              className="bg-indigo-600 text-white py-2 px-4 rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+            >
+              Change password
+            </button>
+          </form>
+        </div>
+
+        <ApiTokenSettings onMessage={showMessage} />
+
+        {/* Delete Account */}
+        <div className="bg-white p-6 rounded-lg shadow-md border border-red-200">
+          <h3 className="text-lg font-semibold text-red-700 mb-2">Delete Account</h3>
+          <p className="text-sm text-gray-600 mb-4">
+            Permanently delete your account and every task in it. This cannot be undone.
+          </p>
+
+          <form onSubmit={handleDeleteAccount} className="space-y-4">
+            <div>
+              <label htmlFor="deletePassword" className="block text-sm font-medium text-gray-700 mb-1">
+                Password
+              </label>
+              <input
+                id="deletePassword"
+                type="password"
+                autoComplete="current-password"
+                required
+                value={deletePassword}
+                onChange={(e) => setDeletePassword(e.target.value)}
+                className={inputClass}
+              />
+            </div>
+
+            <button
+              type="submit"
+              className="bg-red-600 text-white py-2 px-4 rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
+            >
+              Delete my account
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Settings;
@@ -0,0 +1,160 @@
+// frontend/src/pages/Trash.jsx
+import { useState, useEffect } from 'react';
+import Navbar from '../components/Navbar';
+import { getTrash, restoreTask, purgeTask, emptyTrash } from '../utils/api';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function Trash() {
+  const [tasks, setTasks] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(30);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    const fetchTrash = async () => {
+      try {
+        const response = await getTrash();
+        setTasks(response.data.tasks);
+        setRetentionDays(response.data.retentionDays);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load trash');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchTrash();
+  }, []);
+
+  const showMessage = (type, text) => {
+    if (type === 'success') {
+      setSuccess(text);
+      setError('');
+      setTimeout(() => setSuccess(''), 3000);
+    } else {
+      setError(text);
+      setSuccess('');
+      setTimeout(() => setError(''), 3000);
+    }
+  };
+
+  // Subtasks trashed with their parent go wherever the parent goes
+  const isTrashedWith = (task, parent) =>
+    task._id === parent._id || (task.parent === parent._id && task.deletedAt === parent.deletedAt);
+
+  const handleRestore = async (task) => {
+    try {
+      await restoreTask(task._id);
+      setTasks(tasks.filter((t) => !isTrashedWith(t, task)));
+      showMessage('success', `Restored "${task.title}"`);
+    } catch (err) {
+      showMessage('error', err.response?.data?.message || 'Failed to restore task');
+    }
+  };
+
+  const handlePurge = async (task) => {
+    if (!window.confirm(`Permanently delete "${task.title}"? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      await purgeTask(task._id);
+      setTasks(tasks.filter((t) => !isTrashedWith(t, task)));
+      showMessage('success', 'Task permanently deleted');
+    } catch (err) {
+      showMessage('error', err.response?.data?.message || 'Failed to delete task');
+    }
+  };
+
+  const handleEmpty = async () => {
+    if (!window.confirm('Permanently delete everything in the trash? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      const response = await emptyTrash();
+      setTasks([]);
+      showMessage('success', response.message);
+    } catch (err) {
+      showMessage('error', err.response?.data?.message || 'Failed to empty trash');
+    }
+  };
+
+  const daysLeft = (task) =>
+    Math.max(0, Math.ceil((new Date(task.deletedAt).getTime() + retentionDays * DAY_MS - Date.now()) / DAY_MS));
+
+  // Subtasks trashed with their parent are listed under it
+  const topLevel = tasks.filter((task) => !tasks.some((other) => other._id !== task._id && isTrashedWith(task, other)));
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Navbar />
+
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="mb-8 flex justify-between items-end gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Trash</h1>
+            <p className="mt-1 text-gray-600">
+              Deleted tasks are kept for {retentionDays} days, then removed for good
+            </p>
+          </div>
+          {tasks.length > 0 && (
+            <button onClick={handleEmpty} className="text-sm text-red-600 hover:text-red-800 font-medium">
+              Empty trash
+            </button>
+          )}
+        </div>
+
+        {/* Success/Error Messages */}
+        {success && (
+          <div className="mb-6 bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded">
+            {success}
+          </div>
+        )}
+
+        {error && (
+          <div className="mb-6 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+            {error}
+          </div>
+        )}
+
+        <div className="bg-white rounded-lg shadow-md">
+          {loading ? (
+            <p className="p-6 text-gray-500">Loading trash...</p>
+          ) : topLevel.length === 0 ? (
+            <p className="p-6 text-gray-500">The trash is empty.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {topLevel.map((task) => {
+                const subtasks = tasks.filter((t) => t._id !== task._id && isTrashedWith(t, task));
+
+                return (
+                  <li key={task._id} className="p-4 flex justify-between items-start gap-4">
+                    <div className="min-w-0">
+                      <p className="font-medium text-gray-900 break-words">{task.title}</p>
+                      <p className="text-xs text-gray-500 mt-1">
+                        Deleted {new Date(task.deletedAt).toLocaleString()} · {daysLeft(task)} days left
+                        {subtasks.length > 0 && ` · ${subtasks.length} subtask${subtasks.length === 1 ? '' : 's'}`}
+                      </p>
+                    </div>
+                    <div className="flex gap-3 shrink-0 text-sm">
+                      <button onClick={() => handleRestore(task)} className="text-indigo-600 hover:text-indigo-800 font-medium">
+                        Restore
+                      </button>
+                      <button onClick={() => handlePurge(task)} className="text-red-600 hover:text-red-800">
+                        Delete forever
+                      </button>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Trash;
@@ -0,0 +1,71 @@
+// frontend/src/pages/VerifyEmail.jsx
+import { useState, useEffect, useRef } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { verifyEmail, isAuthenticated, verifySession } from '../utils/api';
+
+function VerifyEmail() {
+  const { token } = useParams();
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+  const [signedIn, setSignedIn] = useState(isAuthenticated());
+  const requested = useRef(false);
+
+  // The page works signed in or out - find out which for the link below
+  useEffect(() => {
+    verifySession().then(setSignedIn);
+  }, []);
+
+  // Verify once on mount - the token is single-use, so guard against double effects
+  useEffect(() => {
+    if (requested.current) return;
+    requested.current = true;
+
+    verifyEmail(token)
+      .then((response) => {
+        setStatus('success');
+        setMessage(response.message);
+      })
+      .catch((err) => {
+        setStatus('error');
+        setMessage(err.response?.data?.message || 'Verification failed. Please try again.');
+      });
+  }, [token]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8 text-center">
+        <h2 className="mt-6 text-3xl font-extrabold text-gray-900">Email verification</h2>
+
+        {status === 'verifying' && (
+          <div>
+            <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+            <p className="mt-2 text-gray-600">Verifying your email...</p>
+          </div>
+        )}
+
+        {status === 'success' && (
+          <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded">
+            {message}
+          </div>
+        )}
+
+        {status === 'error' && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+            {message}
+          </div>
+        )}
+
+        {status !== 'verifying' && (
+          <Link
+            to={signedIn ? '/dashboard' : '/login'}
+            className="inline-block font-medium text-indigo-600 hover:text-indigo-500"
+          >
+            {signedIn ? 'Go to dashboard' : 'Go to sign in'}
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default VerifyEmail;
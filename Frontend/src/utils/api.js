@@ -6,25 +6,67 @@ import axios from 'axios';
  */
 const API_URL = import.meta.env.VITE_API_URL || 'https://taskmanager-webapp.onrender.com/api';
 
+/**
+ * Auth state
+ * The server runs in one of two modes, and tells us which by what it returns:
+ *   token  - JWT and refresh token come back in the body and live in localStorage
+ *   cookie - tokens stay in HttpOnly cookies; we only hold a CSRF token (in memory)
+ * Either way the user is only trusted once the server has confirmed the session.
+ */
+const AUTH_MODE_KEY = 'authMode';
+const SAFE_METHODS = ['get', 'head', 'options'];
+
+let currentUser = null;
+let csrfToken = null;
+let sessionCheck = null;
+
+/**
+ * Which mode this browser last signed in with (a hint, not proof of a session)
+ * @returns {string|null} 'token', 'cookie' or null
+ */
+const getAuthMode = () => {
+  return localStorage.getItem(AUTH_MODE_KEY) || (localStorage.getItem('token') ? 'token' : null);
+};
+
+/**
+ * Get the CSRF token for cookie mode, fetching it if we don't have one
+ * Uses bare axios so the request skips these interceptors
+ * @returns {Promise<string>} CSRF token
+ */
+const ensureCsrfToken = async () => {
+  if (!csrfToken) {
+    const response = await axios.get(`${API_URL}/auth/csrf`, { withCredentials: true });
+    csrfToken = response.data.data.csrfToken;
+  }
+  return csrfToken;
+};
+
 /**
  * Create axios instance with default config
+ * withCredentials lets the browser send the auth cookies in cookie mode
  */
 const api = axios.create({
   baseURL: API_URL,
+  withCredentials: true,
   headers: {
     'Content-Type': 'application/json'
   }
 });
 
 /**
- * Request interceptor to add auth token to headers
+ * Request interceptor to add the auth token (token mode) or the
+ * CSRF token on state-changing requests (cookie mode)
  */
 api.interceptors.request.use(
-  (config) => {
+  async (config) => {
     const token = localStorage.getItem('token');
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
+
+    if (getAuthMode() === 'cookie' && !SAFE_METHODS.includes(config.method)) {
+      config.headers['X-CSRF-Token'] = await ensureCsrfToken();
+    }
     return config;
   },
   (error) => {
@@ -33,16 +75,104 @@ api.interceptors.request.use(
 );
 
 /**
- * Response interceptor to handle errors globally
+ * Auth endpoints whose 401s mean bad credentials, not an expired token
+ */
+const NO_REFRESH_ROUTES = [
+  '/auth/login',
+  '/auth/login/2fa',
+  '/auth/signup',
+  '/auth/refresh',
+  '/auth/logout',
+  '/auth/forgot-password',
+  '/auth/reset-password'
+];
+
+/**
+ * Refresh in flight, shared so concurrent 401s only rotate the token once
+ */
+let refreshPromise = null;
+
+/**
+ * Ask the server for a new token pair
+ * Uses bare axios so the request skips these interceptors
+ * @returns {Promise<Object>} Response data ({ token, refreshToken } or { csrfToken })
+ */
+const requestRefresh = async () => {
+  if (getAuthMode() === 'cookie') {
+    // The refresh token travels in its HttpOnly cookie
+    const response = await axios.post(`${API_URL}/auth/refresh`, {}, {
+      withCredentials: true,
+      headers: { 'X-CSRF-Token': await ensureCsrfToken() }
+    });
+    return response.data.data;
+  }
+
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) {
+    throw new Error('No refresh token');
+  }
+
+  const response = await axios.post(`${API_URL}/auth/refresh`, { refreshToken });
+  return response.data.data;
+};
+
+/**
+ * Exchange the refresh token for a new token pair
+ * @returns {Promise<string|undefined>} New access token (undefined in cookie mode)
+ */
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = requestRefresh()
+      .then((data) => {
+        if (data.csrfToken) {
+          csrfToken = data.csrfToken;
+          return undefined;
+        }
+
+        localStorage.setItem('token', data.token);
+        localStorage.setItem('refreshToken', data.refreshToken);
+        return data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+/**
+ * Response interceptor to refresh expired tokens and retry
  */
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid - logout user
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+  async (error) => {
+    const originalRequest = error.config;
+    const skipRefresh = NO_REFRESH_ROUTES.includes(originalRequest?.url);
+
+    // The CSRF cookie may have been replaced - fetch the current token and retry once
+    if (error.response?.data?.code === 'CSRF_INVALID' && originalRequest && !originalRequest._csrfRetry) {
+      originalRequest._csrfRetry = true;
+      csrfToken = null;
+      return api(originalRequest);
+    }
+
+    if (error.response?.status === 401 && originalRequest && !originalRequest._retry && !skipRefresh) {
+      originalRequest._retry = true;
+
+      try {
+        const token = await refreshAccessToken();
+        if (token) {
+          originalRequest.headers.Authorization = `Bearer ${token}`;
+        }
+        return api(originalRequest);
+      } catch {
+        // Refresh failed - session is gone, logout user
+        clearAuthData();
+        if (!originalRequest.skipAuthRedirect) {
+          window.location.href = '/login';
+        }
+      }
     }
     return Promise.reject(error);
   }
@@ -70,6 +200,86 @@ export const login = async (credentials) => {
   return response.data;
 };
 
+/**
+ * Complete a two-factor login
+ * @param {Object} data - challengeToken plus either code or recoveryCode
+ * @returns {Promise} API response
+ */
+export const loginTwoFactor = async (data) => {
+  const response = await api.post('/auth/login/2fa', data);
+  return response.data;
+};
+
+/**
+ * Confirm an email address
+ * @param {string} token - Verification token from the email link
+ * @returns {Promise} API response
+ */
+export const verifyEmail = async (token) => {
+  const response = await api.get(`/auth/verify-email/${token}`);
+  return response.data;
+};
+
+/**
+ * Send a fresh verification email
+ * @returns {Promise} API response
+ */
+export const resendVerification = async () => {
+  const response = await api.post('/auth/resend-verification');
+  return response.data;
+};
+
+/**
+ * Get the server's password rules
+ * @returns {Promise} API response with policy
+ */
+export const getPasswordPolicy = async () => {
+  const response = await api.get('/auth/password-policy');
+  return response.data;
+};
+
+/**
+ * Request a password reset email
+ * @param {string} email - Account email
+ * @returns {Promise} API response
+ */
+export const forgotPassword = async (email) => {
+  const response = await api.post('/auth/forgot-password', { email });
+  return response.data;
+};
+
+/**
+ * Set a new password using a reset token
+ * @param {string} token - Reset token from the email link
+ * @param {string} password - New password
+ * @returns {Promise} API response
+ */
+export const resetPassword = async (token, password) => {
+  const response = await api.post('/auth/reset-password', { token, password });
+  return response.data;
+};
+
+/**
+ * Logout user - revokes the refresh token server-side, then clears storage
+ * @returns {Promise} Resolves once local auth data is cleared
+ */
+export const logout = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+
+  try {
+    if (getAuthMode() === 'cookie') {
+      // The server reads the refresh cookie and clears the auth cookies
+      await api.post('/auth/logout', {});
+    } else if (refreshToken) {
+      await api.post('/auth/logout', { refreshToken });
+    }
+  } catch (err) {
+    console.error('Error revoking session:', err);
+  } finally {
+    clearAuthData();
+  }
+};
+
 /**
  * Get user profile
  * @returns {Promise} API response
@@ -79,13 +289,189 @@ export const getProfile = async () => {
   return response.data;
 };
 
-// ==================== TASK APIs ====================
+/**
+ * Update name and/or email
+ * @param {Object} data - { name, email, currentPassword }
+ * @returns {Promise} API response
+ */
+export const updateProfile = async (data) => {
+  const response = await api.patch('/auth/profile', data);
+  return response.data;
+};
+
+/**
+ * Change password (signs out other sessions)
+ * @param {string} currentPassword - Current password
+ * @param {string} newPassword - New password
+ * @returns {Promise} API response
+ */
+export const changePassword = async (currentPassword, newPassword) => {
+  const response = await api.post('/auth/change-password', { currentPassword, newPassword });
+  return response.data;
+};
+
+/**
+ * Permanently delete the account and its tasks
+ * @param {string} password - Current password
+ * @returns {Promise} API response
+ */
+export const deleteAccount = async (password) => {
+  const response = await api.delete('/auth/account', { data: { password } });
+  return response.data;
+};
+
+/**
+ * Get active sessions (signed-in devices)
+ * @returns {Promise} API response
+ */
+export const getSessions = async () => {
+  const response = await api.get('/auth/sessions');
+  return response.data;
+};
+
+/**
+ * Revoke a single session
+ * @param {string} id - Session ID
+ * @returns {Promise} API response
+ */
+export const revokeSession = async (id) => {
+  const response = await api.delete(`/auth/sessions/${id}`);
+  return response.data;
+};
+
+/**
+ * Revoke every session except the current one
+ * @returns {Promise} API response
+ */
+export const revokeOtherSessions = async () => {
+  const response = await api.delete('/auth/sessions');
+  return response.data;
+};
+
+// ==================== TWO-FACTOR APIs ====================
+
+/**
+ * Start two-factor enrollment
+ * @returns {Promise} API response with secret, otpauthUrl and qrCode
+ */
+export const setupTwoFactor = async () => {
+  const response = await api.post('/auth/2fa/setup');
+  return response.data;
+};
+
+/**
+ * Confirm two-factor enrollment
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise} API response with recoveryCodes
+ */
+export const enableTwoFactor = async (code) => {
+  const response = await api.post('/auth/2fa/enable', { code });
+  return response.data;
+};
+
+/**
+ * Turn off two-factor authentication
+ * @param {string} password - Current password
+ * @returns {Promise} API response
+ */
+export const disableTwoFactor = async (password) => {
+  const response = await api.post('/auth/2fa/disable', { password });
+  return response.data;
+};
+
+/**
+ * Replace recovery codes
+ * @param {string} password - Current password
+ * @returns {Promise} API response with recoveryCodes
+ */
+export const regenerateRecoveryCodes = async (password) => {
+  const response = await api.post('/auth/2fa/recovery-codes', { password });
+  return response.data;
+};
+
+// ==================== API TOKEN APIs ====================
+
+/**
+ * List personal API tokens
+ * @returns {Promise} API response with tokens and available scopes
+ */
+export const getApiTokens = async () => {
+  const response = await api.get('/auth/tokens');
+  return response.data;
+};
+
+/**
+ * Create a personal API token
+ * @param {Object} tokenData - { name, scopes, expiresInDays }
+ * @returns {Promise} API response with the raw token (shown once)
+ */
+export const createApiToken = async (tokenData) => {
+  const response = await api.post('/auth/tokens', tokenData);
+  return response.data;
+};
+
+/**
+ * Revoke a personal API token
+ * @param {string} id - Token ID
+ * @returns {Promise} API response
+ */
+export const revokeApiToken = async (id) => {
+  const response = await api.delete(`/auth/tokens/${id}`);
+  return response.data;
+};
+
+// ==================== ADMIN APIs ====================
+
+/**
+ * List users (admin only)
+ * @param {Object} params - Query parameters (search, role, status, page, limit)
+ * @returns {Promise} API response with users and pagination
+ */
+export const getAdminUsers = async (params = {}) => {
+  const response = await api.get('/admin/users', { params });
+  return response.data;
+};
+
+/**
+ * Disable or re-enable an account (admin only)
+ * @param {string} id - User ID
+ * @param {boolean} disabled - New state
+ * @returns {Promise} API response
+ */
+export const setUserDisabled = async (id, disabled) => {
+  const response = await api.patch(`/admin/users/${id}/status`, { disabled });
+  return response.data;
+};
+
+/**
+ * Change a user's role (admin only)
+ * @param {string} id - User ID
+ * @param {string} role - 'user' or 'admin'
+ * @returns {Promise} API response
+ */
+export const setUserRole = async (id, role) => {
+  const response = await api.patch(`/admin/users/${id}/role`, { role });
+  return response.data;
+};
 
 /**
- * Get all tasks
- * @param {Object} params - Query parameters (status, priority, sort)
+ * Sign a user out and require a new password (admin only)
+ * @param {string} id - User ID
  * @returns {Promise} API response
  */
+export const forcePasswordReset = async (id) => {
+  const response = await api.post(`/admin/users/${id}/force-password-reset`);
+  return response.data;
+};
+
+// ==================== TASK APIs ====================
+
+/**
+ * Get a page of tasks
+ * @param {Object} params - Query parameters (status, priority, project, tags,
+ *   tagMode, q, dueAfter, dueBefore, overdue, sort, limit, cursor)
+ * @returns {Promise} API response (tasks, nextCursor, hasMore, total, totals)
+ */
 export const getTasks = async (params = {}) => {
   const response = await api.get('/tasks', { params });
   return response.data;
@@ -115,15 +501,26 @@ export const createTask = async (taskData) => {
  * Update a task
  * @param {string} id - Task ID
  * @param {Object} taskData - Updated task data
+ * @param {string} [scope] - For recurring tasks: 'instance' (default) or 'series'
  * @returns {Promise} API response
  */
-export const updateTask = async (id, taskData) => {
-  const response = await api.put(`/tasks/${id}`, taskData);
+export const updateTask = async (id, taskData, scope) => {
+  const response = await api.put(`/tasks/${id}`, taskData, { params: scope ? { scope } : {} });
   return response.data;
 };
 
 /**
- * Delete a task
+ * Skip an occurrence of a recurring task (creates the next one)
+ * @param {string} id - Task ID
+ * @returns {Promise} API response
+ */
+export const skipOccurrence = async (id) => {
+  const response = await api.post(`/tasks/${id}/skip`);
+  return response.data;
+};
+
+/**
+ * Move a task (and its subtasks) to the trash
  * @param {string} id - Task ID
  * @returns {Promise} API response
  */
@@ -132,51 +529,560 @@ export const deleteTask = async (id) => {
   return response.data;
 };
 
+/**
+ * Apply one change to many tasks
+ * @param {Object} payload - { action: 'status'|'priority'|'shiftDueDate'|'delete', value?, ids? , filter? }
+ * @returns {Promise} API response with per-task results
+ */
+export const bulkUpdateTasks = async (payload) => {
+  const response = await api.post('/tasks/bulk', payload);
+  return response.data;
+};
+
+/**
+ * Get trashed tasks and how many days they are kept
+ * @returns {Promise} API response
+ */
+export const getTrash = async () => {
+  const response = await api.get('/tasks/trash');
+  return response.data;
+};
+
+/**
+ * Restore a task (and the subtasks trashed with it) from the trash
+ * @param {string} id - Task ID
+ * @returns {Promise} API response
+ */
+export const restoreTask = async (id) => {
+  const response = await api.post(`/tasks/${id}/restore`);
+  return response.data;
+};
+
+/**
+ * Permanently delete a trashed task
+ * @param {string} id - Task ID
+ * @returns {Promise} API response
+ */
+export const purgeTask = async (id) => {
+  const response = await api.delete(`/tasks/trash/${id}`);
+  return response.data;
+};
+
+/**
+ * Permanently delete everything in the trash
+ * @returns {Promise} API response
+ */
+export const emptyTrash = async () => {
+  const response = await api.delete('/tasks/trash');
+  return response.data;
+};
+
 /**
  * Search tasks
- * @param {string} query - Search query
+ * @param {string} query - Search text, e.g. 'status:pending tag:work "phrase"'
+ * @param {Object} params - Other getTasks parameters (sort, limit, cursor, ...)
+ * @returns {Promise} API response (same shape as getTasks)
+ */
+export const searchTasks = async (query, params = {}) => {
+  const response = await api.get('/tasks/search', { params: { ...params, q: query } });
+  return response.data;
+};
+
+/**
+ * Get the subtasks of a task
+ * @param {string} id - Parent task ID
+ * @returns {Promise} API response
+ */
+export const getSubtasks = async (id) => {
+  const response = await api.get(`/tasks/${id}/subtasks`);
+  return response.data;
+};
+
+// ==================== PROJECT APIs ====================
+
+/**
+ * Get the user's projects (with task counts) and Inbox counts
+ * @returns {Promise} API response
+ */
+export const getProjects = async () => {
+  const response = await api.get('/projects');
+  return response.data;
+};
+
+/**
+ * Create a project
+ * @param {Object} projectData - { name, color }
+ * @returns {Promise} API response
+ */
+export const createProject = async (projectData) => {
+  const response = await api.post('/projects', projectData);
+  return response.data;
+};
+
+/**
+ * Rename, recolor, archive or unarchive a project
+ * @param {string} id - Project ID
+ * @param {Object} projectData - { name?, color?, archived? }
+ * @returns {Promise} API response
+ */
+export const updateProject = async (id, projectData) => {
+  const response = await api.patch(`/projects/${id}`, projectData);
+  return response.data;
+};
+
+/**
+ * Reorder projects
+ * @param {Array<string>} projectIds - Every project ID, in the new order
+ * @returns {Promise} API response
+ */
+export const reorderProjects = async (projectIds) => {
+  const response = await api.put('/projects/order', { projectIds });
+  return response.data;
+};
+
+/**
+ * Move tasks (and their subtasks) to a project
+ * @param {string|null} projectId - Project ID, or null for the Inbox
+ * @param {Array<string>} taskIds - Tasks to move
+ * @returns {Promise} API response
+ */
+export const moveTasksToProject = async (projectId, taskIds) => {
+  const response = await api.post(`/projects/${projectId || 'inbox'}/tasks`, { taskIds });
+  return response.data;
+};
+
+/**
+ * Delete a project (its tasks move to the Inbox)
+ * @param {string} id - Project ID
+ * @returns {Promise} API response
+ */
+export const deleteProject = async (id) => {
+  const response = await api.delete(`/projects/${id}`);
+  return response.data;
+};
+
+// ==================== VIEW APIs ====================
+
+/**
+ * Get the user's saved views (with task counts)
+ * @returns {Promise} API response
+ */
+export const getViews = async () => {
+  const response = await api.get('/views');
+  return response.data;
+};
+
+/**
+ * Save a view
+ * @param {Object} viewData - { name, filters, sort, groupBy, pinned }; filters
+ *   take the same fields as getTasks
+ * @returns {Promise} API response
+ */
+export const createView = async (viewData) => {
+  const response = await api.post('/views', viewData);
+  return response.data;
+};
+
+/**
+ * Rename a view, replace its filters, sort or grouping, or pin/unpin it
+ * @param {string} id - View ID
+ * @param {Object} viewData - { name?, filters?, sort?, groupBy?, pinned? }
+ * @returns {Promise} API response
+ */
+export const updateView = async (id, viewData) => {
+  const response = await api.patch(`/views/${id}`, viewData);
+  return response.data;
+};
+
+/**
+ * Delete a view
+ * @param {string} id - View ID
+ * @returns {Promise} API response
+ */
+export const deleteView = async (id) => {
+  const response = await api.delete(`/views/${id}`);
+  return response.data;
+};
+
+// ==================== TAG APIs ====================
+
+/**
+ * Get the user's tags (with task counts)
+ * @returns {Promise} API response
+ */
+export const getTags = async () => {
+  const response = await api.get('/tags');
+  return response.data;
+};
+
+/**
+ * Create a tag
+ * @param {Object} tagData - { name, color }
+ * @returns {Promise} API response
+ */
+export const createTag = async (tagData) => {
+  const response = await api.post('/tags', tagData);
+  return response.data;
+};
+
+/**
+ * Rename or recolor a tag
+ * @param {string} id - Tag ID
+ * @param {Object} tagData - { name?, color? }
+ * @returns {Promise} API response
+ */
+export const updateTag = async (id, tagData) => {
+  const response = await api.patch(`/tags/${id}`, tagData);
+  return response.data;
+};
+
+/**
+ * Merge a tag into another (the first tag is deleted)
+ * @param {string} id - Tag to merge away
+ * @param {string} into - Tag to keep
+ * @returns {Promise} API response
+ */
+export const mergeTag = async (id, into) => {
+  const response = await api.post(`/tags/${id}/merge`, { into });
+  return response.data;
+};
+
+/**
+ * Delete a tag (removes it from every task)
+ * @param {string} id - Tag ID
+ * @returns {Promise} API response
+ */
+export const deleteTag = async (id) => {
+  const response = await api.delete(`/tags/${id}`);
+  return response.data;
+};
+
+// ==================== CHECKLIST APIs ====================
+
+/**
+ * Add a checklist item to a task
+ * @param {string} taskId - Task ID
+ * @param {string} text - Item text
+ * @param {number} [position] - Index to insert at (defaults to the end)
+ * @returns {Promise} API response
+ */
+export const addChecklistItem = async (taskId, text, position) => {
+  const response = await api.post(`/tasks/${taskId}/checklist`, { text, position });
+  return response.data;
+};
+
+/**
+ * Edit or toggle a checklist item
+ * @param {string} taskId - Task ID
+ * @param {string} itemId - Checklist item ID
+ * @param {Object} changes - { text?, done? }
+ * @returns {Promise} API response
+ */
+export const updateChecklistItem = async (taskId, itemId, changes) => {
+  const response = await api.patch(`/tasks/${taskId}/checklist/${itemId}`, changes);
+  return response.data;
+};
+
+/**
+ * Reorder a task's checklist
+ * @param {string} taskId - Task ID
+ * @param {Array<string>} itemIds - Every item ID, in the new order
+ * @returns {Promise} API response
+ */
+export const reorderChecklist = async (taskId, itemIds) => {
+  const response = await api.put(`/tasks/${taskId}/checklist/order`, { itemIds });
+  return response.data;
+};
+
+/**
+ * Remove a checklist item
+ * @param {string} taskId - Task ID
+ * @param {string} itemId - Checklist item ID
+ * @returns {Promise} API response
+ */
+export const removeChecklistItem = async (taskId, itemId) => {
+  const response = await api.delete(`/tasks/${taskId}/checklist/${itemId}`);
+  return response.data;
+};
+
+// ==================== HISTORY APIs ====================
+
+/**
+ * Get a task's change history, newest first
+ * @param {string} taskId - Task ID
+ * @param {Object} params - { limit?, before? } (before = oldest entry ID seen)
+ * @returns {Promise} API response
+ */
+export const getTaskHistory = async (taskId, params = {}) => {
+  const response = await api.get(`/tasks/${taskId}/history`, { params });
+  return response.data;
+};
+
+/**
+ * Set a field back to its value before a history entry
+ * @param {string} taskId - Task ID
+ * @param {string} entryId - History entry ID
+ * @param {string} field - Field to revert
+ * @returns {Promise} API response
+ */
+export const revertTaskField = async (taskId, entryId, field) => {
+  const response = await api.post(`/tasks/${taskId}/history/${entryId}/revert`, { field });
+  return response.data;
+};
+
+// ==================== COMMENT APIs ====================
+
+/**
+ * Get a task's comments, newest first
+ * @param {string} taskId - Task ID
+ * @param {Object} params - { limit?, before? } (before = oldest comment ID seen)
+ * @returns {Promise} API response
+ */
+export const getComments = async (taskId, params = {}) => {
+  const response = await api.get(`/tasks/${taskId}/comments`, { params });
+  return response.data;
+};
+
+/**
+ * Comment on a task
+ * @param {string} taskId - Task ID
+ * @param {string} text - Comment text
+ * @returns {Promise} API response
+ */
+export const addComment = async (taskId, text) => {
+  const response = await api.post(`/tasks/${taskId}/comments`, { text });
+  return response.data;
+};
+
+/**
+ * Edit one of your comments
+ * @param {string} taskId - Task ID
+ * @param {string} commentId - Comment ID
+ * @param {string} text - New text
+ * @returns {Promise} API response
+ */
+export const updateComment = async (taskId, commentId, text) => {
+  const response = await api.patch(`/tasks/${taskId}/comments/${commentId}`, { text });
+  return response.data;
+};
+
+/**
+ * Delete one of your comments
+ * @param {string} taskId - Task ID
+ * @param {string} commentId - Comment ID
+ * @returns {Promise} API response
+ */
+export const deleteComment = async (taskId, commentId) => {
+  const response = await api.delete(`/tasks/${taskId}/comments/${commentId}`);
+  return response.data;
+};
+
+// ==================== ATTACHMENT APIs ====================
+
+/**
+ * Get a task's attachments
+ * @param {string} taskId - Task ID
+ * @returns {Promise} API response
+ */
+export const getAttachments = async (taskId) => {
+  const response = await api.get(`/tasks/${taskId}/attachments`);
+  return response.data;
+};
+
+/**
+ * Upload a file to a task
+ * @param {string} taskId - Task ID
+ * @param {File} file - File to upload
+ * @param {Function} [onProgress] - Called with the percent uploaded
+ * @returns {Promise} API response
+ */
+export const uploadAttachment = async (taskId, file, onProgress) => {
+  const formData = new FormData();
+  formData.append('file', file);
+
+  // multipart (not the instance's JSON default) so axios sends the form as-is
+  const response = await api.post(`/tasks/${taskId}/attachments`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+    onUploadProgress: (event) => event.total && onProgress?.(Math.round((event.loaded / event.total) * 100))
+  });
+  return response.data;
+};
+
+/**
+ * Download an attachment (sent with the usual auth, so it can't be a plain link)
+ * @param {string} taskId - Task ID
+ * @param {string} attachmentId - Attachment ID
+ * @returns {Promise<Blob>} File contents
+ */
+export const downloadAttachment = async (taskId, attachmentId) => {
+  const response = await api.get(`/tasks/${taskId}/attachments/${attachmentId}`, { responseType: 'blob' });
+  return response.data;
+};
+
+/**
+ * Delete an attachment
+ * @param {string} taskId - Task ID
+ * @param {string} attachmentId - Attachment ID
+ * @returns {Promise} API response
+ */
+export const deleteAttachment = async (taskId, attachmentId) => {
+  const response = await api.delete(`/tasks/${taskId}/attachments/${attachmentId}`);
+  return response.data;
+};
+
+// ==================== NOTIFICATION APIs ====================
+
+/**
+ * Get notifications, newest first, with the unread count
+ * @param {Object} params - { unread?, limit?, before? } (before = last notification ID seen)
  * @returns {Promise} API response
  */
-export const searchTasks = async (query) => {
-  const response = await api.get(`/tasks/search?q=${query}`);
+export const getNotifications = async (params = {}) => {
+  const response = await api.get('/notifications', { params });
+  return response.data;
+};
+
+/**
+ * Mark a notification read or unread
+ * @param {string} id - Notification ID
+ * @param {boolean} [read=true] - New state
+ * @returns {Promise} API response
+ */
+export const markNotificationRead = async (id, read = true) => {
+  const response = await api.patch(`/notifications/${id}`, { read });
+  return response.data;
+};
+
+/**
+ * Mark every notification read
+ * @returns {Promise} API response
+ */
+export const markAllNotificationsRead = async () => {
+  const response = await api.post('/notifications/read-all');
+  return response.data;
+};
+
+/**
+ * Delete a notification
+ * @param {string} id - Notification ID
+ * @returns {Promise} API response
+ */
+export const deleteNotification = async (id) => {
+  const response = await api.delete(`/notifications/${id}`);
   return response.data;
 };
 
 // ==================== HELPER FUNCTIONS ====================
 
 /**
- * Store authentication data
- * @param {string} token - JWT token
+ * Seconds to wait before retrying a rate-limited (429) or locked (423) request
+ * @param {Object} error - Axios error
+ * @returns {number|null} Seconds, or null if the error isn't a throttle
+ */
+export const getRetryAfter = (error) => {
+  const status = error.response?.status;
+  if (status !== 429 && status !== 423) return null;
+
+  const seconds = error.response.data?.retryAfter ?? parseInt(error.response.headers?.['retry-after'], 10);
+  return Number.isFinite(seconds) ? seconds : null;
+};
+
+/**
+ * Store authentication data from a login/signup response
+ * @param {Object} data - Response data: { user } plus { token, refreshToken }
+ *   in token mode or { csrfToken } in cookie mode
+ */
+export const setAuthData = ({ user, token, refreshToken, csrfToken: nextCsrfToken }) => {
+  if (token) {
+    localStorage.setItem(AUTH_MODE_KEY, 'token');
+    localStorage.setItem('token', token);
+    if (refreshToken) {
+      localStorage.setItem('refreshToken', refreshToken);
+    }
+  } else {
+    localStorage.setItem(AUTH_MODE_KEY, 'cookie');
+    csrfToken = nextCsrfToken || null;
+  }
+
+  currentUser = user;
+  sessionCheck = Promise.resolve(true);
+};
+
+/**
+ * Replace the signed-in user object (e.g. after a profile update)
  * @param {Object} user - User object
  */
-export const setAuthData = (token, user) => {
-  localStorage.setItem('token', token);
-  localStorage.setItem('user', JSON.stringify(user));
+export const updateStoredUser = (user) => {
+  currentUser = user;
 };
 
 /**
- * Get stored user data
+ * Get the signed-in user (set once the session has been confirmed)
  * @returns {Object|null} User object or null
  */
 export const getStoredUser = () => {
-  const user = localStorage.getItem('user');
-  return user ? JSON.parse(user) : null;
+  return currentUser;
+};
+
+/**
+ * Check if the stored user is an admin (the server enforces this too)
+ * @returns {boolean} True for admins
+ */
+export const isAdmin = () => {
+  return getStoredUser()?.role === 'admin';
+};
+
+/**
+ * Confirm the session with the server (once per page load)
+ * Skips the request if this browser has never signed in.
+ * @returns {Promise<boolean>} True if signed in
+ */
+export const verifySession = () => {
+  if (!sessionCheck) {
+    if (!getAuthMode()) {
+      return Promise.resolve(false);
+    }
+
+    sessionCheck = api
+      .get('/auth/profile', { skipAuthRedirect: true })
+      .then((response) => {
+        currentUser = response.data.data.user;
+        return true;
+      })
+      .catch((err) => {
+        if (err.response?.status === 401) {
+          clearAuthData();
+        } else {
+          sessionCheck = null; // Network/server error - ask again next time
+        }
+        return false;
+      });
+  }
+
+  return sessionCheck;
 };
 
 /**
  * Check if user is authenticated
+ * Only true once verifySession (or a login) has confirmed the session -
+ * a token sitting in localStorage isn't enough.
  * @returns {boolean} True if authenticated
  */
 export const isAuthenticated = () => {
-  return !!localStorage.getItem('token');
+  return currentUser !== null;
 };
 
 /**
- * Logout user (clear storage)
+ * Clear stored authentication data
  */
-export const logout = () => {
+export const clearAuthData = () => {
   localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
   localStorage.removeItem('user');
+  localStorage.removeItem(AUTH_MODE_KEY);
+  currentUser = null;
+  csrfToken = null;
+  sessionCheck = null;
 };
 
 export default api;
\ No newline at end of file
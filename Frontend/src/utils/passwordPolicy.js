@@ -0,0 +1,98 @@
+// frontend/src/utils/passwordPolicy.js
+import { useState, useEffect } from 'react';
+import { getPasswordPolicy } from './api';
+
+/**
+ * Used until the server's policy loads (mirrors the backend defaults)
+ */
+const DEFAULT_POLICY = {
+  minLength: 8,
+  requireLowercase: true,
+  requireUppercase: true,
+  requireNumber: true,
+  requireSymbol: false,
+  disallowPersonalInfo: true
+};
+
+let policyPromise = null;
+
+/**
+ * Fetch the password policy once per page load
+ * @returns {Promise<Object>} Policy config
+ */
+export const loadPasswordPolicy = () => {
+  if (!policyPromise) {
+    policyPromise = getPasswordPolicy()
+      .then((response) => response.data.policy)
+      .catch(() => {
+        policyPromise = null; // Retry next time
+        return DEFAULT_POLICY;
+      });
+  }
+  return policyPromise;
+};
+
+/**
+ * React hook returning the server's password policy
+ * @returns {Object} Policy config (defaults until loaded)
+ */
+export const usePasswordPolicy = () => {
+  const [policy, setPolicy] = useState(DEFAULT_POLICY);
+
+  useEffect(() => {
+    let active = true;
+    loadPasswordPolicy().then((loaded) => {
+      if (active) setPolicy(loaded);
+    });
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return policy;
+};
+
+/**
+ * Check a password against the policy - same rules as the backend's
+ * utils/passwordPolicy.js (the breached-password list is checked server-side)
+ * @param {string} password - Candidate password
+ * @param {Object} policy - Policy config
+ * @param {Object} [person] - { name, email } of the account owner
+ * @returns {Object} { checks: [{ label, passed }], valid, score (0-4) }
+ */
+export const evaluatePassword = (password, policy, person = {}) => {
+  const value = password || '';
+  const checks = [{ label: `At least ${policy.minLength} characters`, passed: value.length >= policy.minLength }];
+
+  if (policy.requireLowercase) {
+    checks.push({ label: 'A lowercase letter', passed: /[a-z]/.test(value) });
+  }
+  if (policy.requireUppercase) {
+    checks.push({ label: 'An uppercase letter', passed: /[A-Z]/.test(value) });
+  }
+  if (policy.requireNumber) {
+    checks.push({ label: 'A number', passed: /\d/.test(value) });
+  }
+  if (policy.requireSymbol) {
+    checks.push({ label: 'A symbol', passed: /[^A-Za-z0-9]/.test(value) });
+  }
+  if (policy.disallowPersonalInfo) {
+    const emailName = (person.email || '').split('@')[0].toLowerCase();
+    const nameParts = (person.name || '').toLowerCase().split(/\s+/);
+    const personal = [emailName, ...nameParts].filter((part) => part.length >= 3);
+
+    checks.push({
+      label: "Doesn't contain your name or email",
+      passed: value.length > 0 && !personal.some((part) => value.toLowerCase().includes(part))
+    });
+  }
+
+  const valid = checks.every((check) => check.passed);
+
+  // Strength: rules met, plus credit for length and variety beyond the minimum
+  let score = Math.round((checks.filter((check) => check.passed).length / checks.length) * 2);
+  if (valid && value.length >= policy.minLength + 4) score += 1;
+  if (valid && /[^A-Za-z0-9]/.test(value)) score += 1;
+
+  return { checks, valid, score: Math.min(score, 4) };
+};
@@ -0,0 +1,42 @@
+// frontend/src/utils/recurrence.js
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const UNITS = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+/**
+ * Describe a recurrence rule, e.g. "Every 2 weeks on Mon, Thu, 10 times"
+ * @param {Object|null} rule - { frequency, interval, weekdays, monthDay, endDate, count }
+ * @returns {string} Description ('' when the task doesn't repeat)
+ */
+export const describeRecurrence = (rule) => {
+  if (!rule) {
+    return '';
+  }
+
+  const interval = rule.interval || 1;
+  const unit = UNITS[rule.frequency];
+  let text;
+
+  if (interval === 1) {
+    text = { daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly' }[rule.frequency];
+  } else {
+    text = `Every ${interval} ${unit}s`;
+  }
+
+  if (rule.frequency === 'weekly' && rule.weekdays?.length) {
+    text += ` on ${rule.weekdays.map((day) => WEEKDAYS[day]).join(', ')}`;
+  }
+
+  if (rule.frequency === 'monthly' && rule.monthDay) {
+    text += ` on day ${rule.monthDay}`;
+  }
+
+  if (rule.count) {
+    text += `, ${rule.count} times`;
+  } else if (rule.endDate) {
+    text += `, until ${new Date(rule.endDate).toLocaleDateString(undefined, { timeZone: 'UTC' })}`;
+  }
+
+  return text;
+};
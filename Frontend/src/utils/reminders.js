@@ -0,0 +1,31 @@
+// frontend/src/utils/reminders.js
+
+// Must match MAX_REMINDERS / MAX_REMINDER_OFFSET in backend/models/Task.js
+export const MAX_REMINDERS = 5;
+export const MAX_REMINDER_OFFSET = 4 * 7 * 24 * 60;
+
+// Offsets are minutes before the due day ends (due dates are whole days)
+export const REMINDER_PRESETS = [0, 60, 24 * 60, 7 * 24 * 60];
+
+export const REMINDER_UNITS = [
+  { value: 1, label: 'minutes' },
+  { value: 60, label: 'hours' },
+  { value: 24 * 60, label: 'days' }
+];
+
+/**
+ * Describe a reminder offset, e.g. "1 day before"
+ * @param {number} offset - Minutes before the due day ends
+ * @returns {string}
+ */
+export const formatReminder = (offset) => {
+  if (offset === 0) {
+    return 'When the due day ends';
+  }
+
+  const unit = [...REMINDER_UNITS].reverse().find((u) => offset % u.value === 0);
+  const count = offset / unit.value;
+  const label = count === 1 ? unit.label.slice(0, -1) : unit.label;
+
+  return `${count} ${label} before`;
+};
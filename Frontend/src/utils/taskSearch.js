@@ -0,0 +1,143 @@
+// frontend/src/utils/taskSearch.js
+// Autocomplete for the task search syntax, e.g.
+//   status:pending priority:high due:<2026-11-01 sort:due "exact phrase" -completed
+// The backend does the parsing (backend/utils/taskSearch.js); this only
+// suggests keys and values as you type.
+
+// Must match KEYS in backend/utils/taskSearch.js
+export const SEARCH_KEYS = [
+  { key: 'status', hint: 'pending, in-progress or completed' },
+  { key: 'priority', hint: 'low, medium or high; >=medium works too' },
+  { key: 'due', hint: 'a date, today, +7d, none; <, <=, >, >= compare' },
+  { key: 'created', hint: 'a date, today, -7d; <, <=, >, >= compare' },
+  { key: 'updated', hint: 'a date, today, -7d; <, <=, >, >= compare' },
+  { key: 'tag', hint: 'a tag name' },
+  { key: 'project', hint: 'a project name or inbox' },
+  { key: 'is', hint: 'overdue, open, recurring or subtask' },
+  { key: 'sort', hint: 'newest, oldest, title, due or priority' }
+];
+
+const FIXED_VALUES = {
+  status: ['pending', 'in-progress', 'completed'],
+  priority: ['low', 'medium', 'high'],
+  due: ['today', 'tomorrow', 'yesterday', '+7d', 'none'],
+  created: ['today', 'yesterday', '-7d'],
+  updated: ['today', 'yesterday', '-7d'],
+  is: ['overdue', 'open', 'recurring', 'subtask'],
+  sort: ['newest', 'oldest', 'title', 'due', 'priority']
+};
+
+const LIST_KEYS = ['status', 'priority', 'tag', 'project'];
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * Find the search term around the caret. Terms are split on spaces outside quotes.
+ * @param {string} text - Search text
+ * @param {number} caret - Caret offset
+ * @returns {Object} - { start, end, text }
+ */
+const termAt = (text, caret) => {
+  let start = 0;
+  let inQuotes = false;
+
+  for (let i = 0; i < caret; i += 1) {
+    if (text[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (/\s/.test(text[i]) && !inQuotes) {
+      start = i + 1;
+    }
+  }
+
+  let end = caret;
+  while (end < text.length && (inQuotes || !/\s/.test(text[end]))) {
+    if (text[end] === '"') {
+      inQuotes = !inQuotes;
+    }
+    end += 1;
+  }
+
+  return { start, end, text: text.slice(start, end) };
+};
+
+// Values with spaces or commas need quotes
+const quote = (value) => (/[\s,]/.test(value) ? `"${value}"` : value);
+
+/**
+ * Suggestions for the term at the caret
+ * @param {string} text - Search text
+ * @param {number} caret - Caret offset
+ * @param {Object} options - { tags, projects } for tag: and project: values
+ * @returns {Array<Object>} - [{ label, hint, replacement, start, end }]; apply
+ *   one by putting replacement in place of text.slice(start, end)
+ */
+export const getSuggestions = (text, caret, { tags = [], projects = [] } = {}) => {
+  const term = termAt(text, caret);
+  const negate = term.text.startsWith('-') ? '-' : '';
+  const body = term.text.slice(negate.length);
+  const colon = body.indexOf(':');
+
+  const suggest = (items) =>
+    items.slice(0, MAX_SUGGESTIONS).map((item) => ({ ...item, start: term.start, end: term.end }));
+
+  // Keys, once something has been typed
+  if (colon === -1) {
+    if (!body || body.startsWith('"')) {
+      return [];
+    }
+    return suggest(
+      SEARCH_KEYS.filter(({ key }) => key.startsWith(body.toLowerCase()) && key !== body.toLowerCase()).map(
+        ({ key, hint }) => ({ label: `${key}:`, hint, replacement: `${negate}${key}:` })
+      )
+    );
+  }
+
+  const key = body.slice(0, colon).toLowerCase();
+  const known = SEARCH_KEYS.some((item) => item.key === key);
+  if (!known) {
+    return [];
+  }
+
+  // Keep any comparison and earlier list items; complete the last value
+  const rest = body.slice(colon + 1);
+  const operator = /^(<=|>=|<|>|=)?/.exec(rest)[0];
+  const valueText = rest.slice(operator.length);
+  const listStart = LIST_KEYS.includes(key) && !valueText.startsWith('"') ? valueText.lastIndexOf(',') + 1 : 0;
+  const earlier = valueText.slice(0, listStart);
+  const partial = valueText.slice(listStart).replace(/^"/, '').replace(/"$/, '').toLowerCase();
+
+  let values = FIXED_VALUES[key] || [];
+  if (key === 'tag') {
+    values = tags.map((tag) => tag.name);
+  } else if (key === 'project') {
+    values = ['inbox', ...projects.filter((project) => !project.archived).map((project) => project.name)];
+  }
+
+  // Quoted values can't go in a list, and a value needn't be listed twice
+  const listed = earlier.toLowerCase().split(',');
+  if (earlier) {
+    values = values.filter((value) => !/[\s,]/.test(value) && !listed.includes(value.toLowerCase()));
+  }
+
+  return suggest(
+    values
+      .filter((value) => value.toLowerCase().startsWith(partial) && value.toLowerCase() !== partial)
+      .map((value) => ({
+        label: value,
+        hint: `${key}:`,
+        replacement: `${negate}${key}:${operator}${earlier}${quote(value)} `
+      }))
+  );
+};
+
+/**
+ * Apply a suggestion from getSuggestions
+ * @param {string} text - Search text
+ * @param {Object} suggestion - Picked suggestion
+ * @returns {Object} - { text, caret }
+ */
+export const applySuggestion = (text, suggestion) => {
+  // Don't double up the space before the next term
+  const after = text.slice(suggestion.end).replace(/^\s+/, suggestion.replacement.endsWith(' ') ? '' : ' ');
+  const before = text.slice(0, suggestion.start) + suggestion.replacement;
+  return { text: before + after, caret: before.length };
+};